@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * Apex Log Monitor command line, for CI and scripts: no server, no UI.
+ *
+ *   apex-log-monitor analyze <files|dirs…> [--format md|json|sarif|junit|html] [--fail-on error|warning|info|none]
+ *                            [--analyzer <name>] [--output <file>] [--project <dir>]
+ *   apex-log-monitor tail [--duration 5m] [--org <alias>] [--debug-level <name>] [--output <file>] [--analyze …]
+ *
+ * Exit codes: 0 when no finding reaches --fail-on, 1 when one does, 2 on usage or runtime errors.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { providerConfigs, analyzerChain, runAnalyzers } = require('./lib/analyzers');
+const { isArchiveLog, readArchiveFile } = require('./lib/archive');
+const { findProjectDir, loadConfig } = require('./lib/config');
+const { withFingerprints, loadIssues, listIssues } = require('./lib/issues');
+const { createRedactor } = require('./lib/redaction');
+const { formatResults, meetsThreshold, summarize } = require('./lib/report-formats');
+const { getSfEnv, sfInvocation } = require('./lib/sf');
+const { isDeveloperName } = require('./lib/trace-flags');
+
+const PROMPT_FILE = path.join(__dirname, 'prompts', 'apex-log-analysis.md');
+const DEFAULT_DEBUG_LEVEL = 'DEBUG';
+const DEFAULT_DURATION = '60s';
+const EXIT_OK = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR = 2;
+const FLAGS = new Set(['analyze', 'help']); // Options without a value
+
+const USAGE = `Usage:
+  apex-log-monitor analyze <files|dirs…> [options]   Analyze saved .log / .log.gz files
+  apex-log-monitor tail [options]                     Capture \`sf apex tail log\` for a fixed window
+
+Analyze options:
+  --format md|json|sarif|junit|html
+                                 Output format (default md)
+  --fail-on error|warning|info|none
+                                 Exit with 1 when a finding has this severity or higher (default error)
+  --analyzer <name>              regex (default, offline), cursor-agent or a provider from .debugfast.json;
+                                 the configured fallbacks run when it fails
+  --output <file>                Write the report to a file instead of stdout
+  --project <dir>                Project with .debugfast.json / .debugfast-issues.json (default: nearest sfdx-project.json)
+
+Tail options:
+  --duration <n>[s|m|h]          How long to capture (default ${DEFAULT_DURATION})
+  --org <alias>                  Org to tail (default: the project default org)
+  --debug-level <name>           DebugLevel developer name (default ${DEFAULT_DEBUG_LEVEL})
+  --output <file>                Log file to write (default .sf-log/<alias>/apex-<time>.log)
+  --analyze                      Analyze the captured log afterwards (takes the analyze options; --report for its output file)`;
+
+/** argv -> { _: positional, option: value }; `--name value`, `--name=value` and the FLAGS booleans */
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) {
+      args._.push(a);
+      continue;
+    }
+    const [name, inline] = a.slice(2).split(/=(.*)/s);
+    if (FLAGS.has(name)) args[name] = true;
+    else if (inline !== undefined) args[name] = inline;
+    else if (i + 1 < argv.length) args[name] = argv[++i];
+    else throw new Error(`--${name} needs a value`);
+  }
+  return args;
+}
+
+/** 90, 90s, 5m, 1h -> milliseconds */
+function parseDuration(value) {
+  const m = /^(\d+(?:\.\d+)?)(s|m|h)?$/.exec(String(value).trim());
+  if (!m) throw new Error(`Invalid duration ${value}; use e.g. 90s, 5m or 1h`);
+  return Math.round(parseFloat(m[1]) * { s: 1000, m: 60000, h: 3600000 }[m[2] || 's']);
+}
+
+/** Log files named on the command line; folders are searched recursively */
+function collectLogFiles(paths) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const p = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(p);
+      else if (entry.isFile() && isArchiveLog(entry.name)) files.push(p);
+    }
+  };
+  for (const p of paths) {
+    if (!fs.existsSync(p)) throw new Error(`No such file or folder: ${p}`);
+    if (fs.statSync(p).isDirectory()) walk(p);
+    else files.push(p);
+  }
+  return [...new Set(files)].sort();
+}
+
+/**
+ * Analyze each file on its own (so findings keep their file) with the chosen analyzer and its fallbacks.
+ * Log text is redacted with the project's rules first; ignored issues in .debugfast-issues.json are left out.
+ */
+async function analyzeFiles(files, { analyzer = 'regex', projectDir }) {
+  const config = loadConfig(projectDir);
+  const chain = analyzerChain(config.analyzers, analyzer);
+  if (chain[0] !== analyzer) throw new Error(`Unknown analyzer: ${analyzer}`);
+  const providers = providerConfigs(config.analyzers);
+  const needsFiles = chain.some((name) => providers[name].type === 'cursor-agent');
+  const ignored = new Set(listIssues(loadIssues(projectDir)).filter((i) => i.status === 'ignored').map((i) => i.fingerprint));
+  const redactor = createRedactor(config.redaction);
+  const results = [];
+  for (const file of files) {
+    const content = redactor.redact(await readArchiveFile(file));
+    // The Cursor agent reads logs from a folder: give it a redacted, decompressed copy
+    const logDir = needsFiles ? fs.mkdtempSync(path.join(os.tmpdir(), 'apex-log-monitor-')) : path.dirname(file);
+    const name = path.basename(file).replace(/\.gz$/, '');
+    if (needsFiles) fs.writeFileSync(path.join(logDir, name), content);
+    try {
+      const result = await runAnalyzers(chain, { projectDir, logDir, files: [name], content, promptFile: PROMPT_FILE, config, ignored });
+      if (result.source === 'error') throw new Error(`${file}: ${result.report}`);
+      for (const f of result.failures) console.error(`${file}: ${f.provider} failed (${f.error}), used ${result.source}`);
+      results.push({
+        file: path.relative(process.cwd(), file) || file,
+        source: result.source,
+        sourceLabel: result.sourceLabel,
+        report: result.report,
+        errors: withFingerprints(result.errors).filter((e) => !ignored.has(e.fingerprint)),
+      });
+    } finally {
+      if (needsFiles) fs.rmSync(logDir, { recursive: true, force: true });
+    }
+  }
+  return results;
+}
+
+/** Analyze, write the report and return the exit code for --fail-on */
+async function analyzeCommand(paths, opts, { output = opts.output } = {}) {
+  const format = opts.format || 'md';
+  const failOn = opts['fail-on'] || 'error';
+  if (!['error', 'warning', 'info', 'none'].includes(failOn)) throw new Error('--fail-on must be error, warning, info or none');
+  const files = collectLogFiles(paths);
+  if (!files.length) throw new Error('No .log or .log.gz files found');
+  const projectDir = findProjectDir(opts.project) || process.cwd();
+  const results = await analyzeFiles(files, { analyzer: opts.analyzer || 'regex', projectDir });
+  const text = formatResults(results, format, { failOn, toolVersion: require('./package.json').version });
+  if (output) fs.writeFileSync(output, text);
+  else process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+  const s = summarize(results);
+  const failed = results.some((r) => r.errors.some((e) => meetsThreshold(e.severity, failOn)));
+  console.error(`${s.files} file(s): ${s.error} error(s), ${s.warning} warning(s), ${s.info} info${failed ? ` – failing on ${failOn}` : ''}`);
+  return failed ? EXIT_FINDINGS : EXIT_OK;
+}
+
+/** Run `sf apex tail log` for the duration, writing redacted output to a log file; resolves with its path */
+function captureTail({ projectDir, org, debugLevel, durationMs, output }) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const file = output || path.join(projectDir, '.sf-log', (org || 'default').replace(/[^A-Za-z0-9._@-]/g, '_'), `apex-${timestamp}.log`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const out = fs.createWriteStream(file);
+  const redactor = createRedactor(loadConfig(projectDir).redaction);
+  const stdout = redactor.lineStream();
+  const args = ['apex', 'tail', 'log', '--debug-level', debugLevel, ...(org ? ['--target-org', org] : [])];
+  return new Promise((resolve, reject) => {
+    const env = getSfEnv();
+    let command;
+    let commandArgs;
+    try { [command, commandArgs] = sfInvocation(args, env); } catch (e) { return reject(e); }
+    const proc = spawn(command, commandArgs, { cwd: projectDir, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let bytes = 0;
+    let stderr = '';
+    let stopped = false;
+    const stop = () => {
+      stopped = true;
+      proc.kill('SIGTERM');
+    };
+    const timer = setTimeout(stop, durationMs);
+    process.once('SIGINT', stop);
+    proc.stdout.on('data', (c) => {
+      const text = stdout.write(c.toString());
+      bytes += Buffer.byteLength(text);
+      out.write(text);
+    });
+    proc.stderr.on('data', (c) => { stderr += redactor.redact(c.toString()); });
+    proc.on('error', (e) => {
+      clearTimeout(timer);
+      out.end();
+      reject(new Error(`Could not run sf: ${e.message}`));
+    });
+    // Children of sf (or of a wrapper script) can keep the pipes open after it exits; stop reading once it is gone
+    proc.on('exit', () => {
+      if (!stopped) return;
+      proc.stdout.destroy();
+      proc.stderr.destroy();
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      process.removeListener('SIGINT', stop);
+      out.end(stdout.flush(), () => {
+        if (!stopped && code !== 0 && !bytes) return reject(new Error(stderr.trim() || `sf apex tail log exited with code ${code}`));
+        console.error(`Captured ${bytes} bytes in ${path.relative(process.cwd(), file) || file}`);
+        resolve(file);
+      });
+    });
+    console.error(`Tailing ${org || 'the default org'} (${debugLevel}) for ${Math.round(durationMs / 1000)}s…`);
+  });
+}
+
+async function tailCommand(opts) {
+  const projectDir = findProjectDir(opts.project);
+  if (!projectDir) throw new Error('Not inside a Salesforce project; run from a folder with sfdx-project.json or pass --project');
+  const debugLevel = opts['debug-level'] || DEFAULT_DEBUG_LEVEL;
+  if (!isDeveloperName(debugLevel)) throw new Error(`Invalid debug level name: ${debugLevel}`);
+  const file = await captureTail({
+    projectDir,
+    org: opts.org,
+    debugLevel,
+    durationMs: parseDuration(opts.duration || DEFAULT_DURATION),
+    output: opts.output,
+  });
+  if (!opts.analyze) return EXIT_OK;
+  return analyzeCommand([file], { ...opts, project: projectDir }, { output: opts.report });
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const opts = parseArgs(rest);
+  if (!command || opts.help || command === 'help') {
+    console.log(USAGE);
+    return command ? EXIT_OK : EXIT_ERROR;
+  }
+  if (command === 'analyze') {
+    if (!opts._.length) throw new Error('Name at least one .log file or folder');
+    return analyzeCommand(opts._, opts);
+  }
+  if (command === 'tail') return tailCommand(opts);
+  throw new Error(`Unknown command ${command}\n\n${USAGE}`);
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (e) => {
+  console.error(`apex-log-monitor: ${e.message}`);
+  process.exitCode = EXIT_ERROR;
+});
@@ -0,0 +1,92 @@
+/**
+ * Who may call the local server. Every request needs the per-launch token, sent as `Authorization: Bearer`
+ * (VS Code extension) or as the cookie the one-time login link sets (standalone page). Browsers must come
+ * from an allowed Origin, and while the server listens on loopback the Host header must name loopback too,
+ * so a page elsewhere cannot reach it by rebinding its own domain to 127.0.0.1.
+ */
+
+const crypto = require('crypto');
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]', '::1']);
+
+function isLoopback(host) {
+  return LOOPBACK_HOSTS.has(String(host || '').toLowerCase());
+}
+
+function randomToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) cookies[part.slice(0, i).trim()] = part.slice(i + 1).trim();
+  }
+  return cookies;
+}
+
+/** Host name of a Host header (`localhost:3456`, `[::1]:3456`) */
+function hostName(header) {
+  try { return new URL(`http://${header}`).hostname; } catch (_) { return null; }
+}
+
+/**
+ * Access control for a server on `host`:`port`. `token` defaults to a random one; `allowedOrigins` adds to
+ * the server's own origins. Returns { token, cookieName, loginUrl, corsHeaders, checkRequest, isAuthorized, login }.
+ */
+function createAccessControl({ port, host = '127.0.0.1', token = randomToken(), allowedOrigins = [] }) {
+  const cookieName = `apex_log_monitor_${port}`; // Browsers share localhost cookies across ports
+  const origins = new Set([...['localhost', '127.0.0.1', '[::1]'].map((h) => `http://${h}:${port}`), ...allowedOrigins]);
+  let loginCode = randomToken();
+
+  return {
+    token,
+    cookieName,
+
+    /** Link that signs a browser in once; a new link is made each time one is used */
+    loginUrl() {
+      const shown = isLoopback(host) || host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+      return `http://${shown}:${port}/?login=${loginCode}`;
+    },
+
+    /** CORS headers for a request: its Origin is echoed only when allowed */
+    corsHeaders(origin) {
+      return {
+        ...(origin && origins.has(origin) ? { 'Access-Control-Allow-Origin': origin, 'Access-Control-Allow-Credentials': 'true' } : {}),
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID',
+        Vary: 'Origin',
+      };
+    },
+
+    /** Host and Origin checks that apply before any token is looked at: null, or { status, error } */
+    checkRequest(req) {
+      if (isLoopback(host) && !isLoopback(hostName(req.headers.host))) return { status: 403, error: 'Host not allowed' };
+      const origin = req.headers.origin;
+      if (origin && !origins.has(origin)) return { status: 403, error: `Origin ${origin} not allowed` };
+      return null;
+    },
+
+    isAuthorized(req) {
+      const auth = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+      const given = auth ? auth[1] : parseCookies(req.headers.cookie)[cookieName];
+      return !!given && safeEqual(given, token);
+    },
+
+    /** The `Set-Cookie` value for a valid login code (which is then used up), else null */
+    login(code) {
+      if (!code || !safeEqual(code, loginCode)) return null;
+      loginCode = randomToken();
+      return `${cookieName}=${token}; HttpOnly; SameSite=Strict; Path=/`;
+    },
+  };
+}
+
+module.exports = { createAccessControl };
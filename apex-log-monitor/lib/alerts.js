@@ -0,0 +1,236 @@
+/**
+ * Alert rules evaluated on tail output as it arrives, and the outgoing webhook notifier.
+ * Rules live in `.debugfast-alerts.json` in the project root (re-read when the file changes):
+ *
+ *   { "cooldownSeconds": 60, "maxPerMinute": 10,
+ *     "notifiers": { "vscode": true, "browser": true, "webhook": { "url": "http://localhost:9000/hook" } },
+ *     "rules": [
+ *       { "name": "fatal", "event": "FATAL_ERROR", "severity": "error" },
+ *       { "name": "npe", "exception": "NullPointerException" },
+ *       { "name": "timeouts", "event": "CALLOUT_RESPONSE", "message": "timed out", "flags": "i" },
+ *       { "name": "cpu", "limit": "cpuTime", "percent": 80 },
+ *       { "name": "exception-burst", "event": "EXCEPTION_THROWN", "count": 5, "windowSeconds": 60 }
+ *     ] }
+ *
+ * All conditions of a rule must match. `count` + `windowSeconds` fires once that many matches fall in the window.
+ * A rule fires at most once per cooldown; alerts held back by the cooldown or by maxPerMinute are counted
+ * in `suppressed` of the next alert of that rule.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { parseLine } = require('./log-parser');
+const { parseLimitBlock } = require('./limits');
+const { EXCEPTION_RE } = require('./regex-analyzer');
+
+const ALERTS_FILE_NAME = '.debugfast-alerts.json';
+const NOTIFIERS = ['vscode', 'browser', 'webhook'];
+const DEFAULT_COOLDOWN_SECONDS = 60;
+const DEFAULT_MAX_PER_MINUTE = 10;
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 5000;
+const MAX_CARRY = 64 * 1024;
+const ANSI_RE = /\x1b\[[0-9;]*m/g;
+
+const cache = { file: null, mtimeMs: null, rules: null };
+
+/** Rule list with compiled patterns; invalid rules are left out and described in `errors` */
+function compileRules(data) {
+  const errors = [];
+  const rules = [];
+  (Array.isArray(data.rules) ? data.rules : []).forEach((rule, i) => {
+    const name = String(rule?.name || `rule${i + 1}`);
+    try {
+      if (!rule || typeof rule !== 'object') throw new Error('rule must be an object');
+      if (!rule.event && !rule.exception && !rule.message && !rule.limit) throw new Error('needs event, exception, message or limit');
+      if (rule.limit && rule.percent == null) throw new Error('limit needs percent');
+      if (rule.count != null && !(rule.count > 0 && rule.windowSeconds > 0)) throw new Error('count needs a positive count and windowSeconds');
+      if (rule.notify && !(Array.isArray(rule.notify) && rule.notify.every((n) => NOTIFIERS.includes(n)))) {
+        throw new Error(`notify must list notifiers from ${NOTIFIERS.join(', ')}`);
+      }
+      rules.push({
+        name,
+        events: rule.event ? [].concat(rule.event).map((e) => String(e).toUpperCase()) : null,
+        exception: rule.exception ? String(rule.exception).replace(/^System\./, '') : null,
+        message: rule.message ? new RegExp(rule.message, String(rule.flags || '').replace('g', '')) : null,
+        limit: rule.limit || null,
+        percent: rule.percent != null ? Number(rule.percent) : null,
+        count: rule.count || null,
+        windowMs: rule.windowSeconds ? rule.windowSeconds * 1000 : null,
+        cooldownMs: (rule.cooldownSeconds ?? data.cooldownSeconds ?? DEFAULT_COOLDOWN_SECONDS) * 1000,
+        severity: rule.severity || (rule.exception || rule.event === 'FATAL_ERROR' ? 'error' : 'warning'),
+        notify: rule.notify || null,
+      });
+    } catch (e) {
+      errors.push(`alert rule ${name}: ${e.message}`);
+    }
+  });
+  return { rules, errors };
+}
+
+/**
+ * Alert config for the project, cached until the file changes:
+ * { rules, errors, notifiers: { vscode, browser, webhook }, maxPerMinute, exists }
+ */
+function loadAlertRules(projectDir) {
+  const file = path.join(projectDir, ALERTS_FILE_NAME);
+  let stat = null;
+  try { stat = fs.statSync(file); } catch (_) {}
+  if (cache.file === file && cache.mtimeMs === (stat?.mtimeMs ?? null) && cache.rules) return cache.rules;
+  let data = {};
+  let error = null;
+  if (stat) {
+    try { data = JSON.parse(fs.readFileSync(file, 'utf8')) || {}; } catch (e) { error = `${ALERTS_FILE_NAME}: ${e.message}`; }
+  }
+  const { rules, errors } = compileRules(data);
+  const notifiers = data.notifiers || {};
+  cache.file = file;
+  cache.mtimeMs = stat?.mtimeMs ?? null;
+  cache.rules = {
+    exists: !!stat,
+    rules,
+    errors: error ? [error, ...errors] : errors,
+    notifiers: {
+      vscode: notifiers.vscode !== false,
+      browser: notifiers.browser !== false,
+      webhook: notifiers.webhook?.url ? notifiers.webhook : null,
+    },
+    maxPerMinute: data.maxPerMinute ?? DEFAULT_MAX_PER_MINUTE,
+  };
+  return cache.rules;
+}
+
+/** Does one rule match an event line (or a limit line of a LIMIT_USAGE_FOR_NS block)? */
+function matches(rule, { event, exception, message, limit }) {
+  if (rule.limit) {
+    if (!limit || (rule.limit !== '*' && rule.limit !== limit.key) || limit.pct < rule.percent) return false;
+  } else if (limit) {
+    return false;
+  }
+  if (rule.events && !rule.events.includes(event.type)) return false;
+  if (rule.exception && !(exception && (exception === rule.exception || exception.endsWith(`.${rule.exception}`)))) return false;
+  if (rule.message && !rule.message.test(message)) return false;
+  return true;
+}
+
+/**
+ * Rule engine for one tail session. write(text) takes output chunks (partial lines are held until complete);
+ * onAlert({ rule, severity, notify, event, line, count, suppressed, at }) is called for every alert that passes
+ * the cooldown and the per-minute cap. `getRules()` supplies the current loadAlertRules() result.
+ */
+function createAlertEngine({ getRules, onAlert, now = Date.now }) {
+  const state = new Map(); // rule name -> { hits: [times], lastFired, suppressed }
+  const fired = []; // times of alerts sent in the last minute, across rules
+  let carry = '';
+  let limitBlock = null; // LIMIT_USAGE_FOR_NS event whose limit lines are being read
+
+  const ruleState = (rule) => {
+    if (!state.has(rule.name)) state.set(rule.name, { hits: [], lastFired: -Infinity, suppressed: 0 });
+    return state.get(rule.name);
+  };
+
+  const trigger = (config, rule, event, line, detail) => {
+    const t = now();
+    const s = ruleState(rule);
+    if (rule.count) {
+      s.hits = s.hits.filter((h) => t - h < rule.windowMs);
+      s.hits.push(t);
+      if (s.hits.length < rule.count) return;
+      s.hits = [];
+    }
+    while (fired.length && t - fired[0] >= 60000) fired.shift();
+    if (t - s.lastFired < rule.cooldownMs || fired.length >= config.maxPerMinute) {
+      s.suppressed++;
+      return;
+    }
+    s.lastFired = t;
+    fired.push(t);
+    const suppressed = s.suppressed;
+    s.suppressed = 0;
+    const notify = NOTIFIERS.filter((n) => config.notifiers[n] && (!rule.notify || rule.notify.includes(n)));
+    onAlert({
+      rule: rule.name,
+      severity: rule.severity,
+      notify,
+      event: event.type,
+      line: line.length > 500 ? `${line.slice(0, 500)}…` : line,
+      count: rule.count || 1,
+      windowSeconds: rule.windowMs ? rule.windowMs / 1000 : null,
+      suppressed,
+      ...detail,
+      at: new Date(t).toISOString(),
+    });
+  };
+
+  const scanLine = (config, raw) => {
+    const line = raw.replace(ANSI_RE, '').trimEnd();
+    const event = parseLine(line.trim());
+    if (!event) {
+      if (!limitBlock) return;
+      const [key, l] = Object.entries(parseLimitBlock(line))[0] || [];
+      if (!key) return;
+      const limit = { key, namespace: limitBlock.fields[0] || '(default)', ...l };
+      for (const rule of config.rules) {
+        if (matches(rule, { event: limitBlock, limit })) trigger(config, rule, limitBlock, line.trim(), { limit });
+      }
+      return;
+    }
+    limitBlock = event.type === 'LIMIT_USAGE_FOR_NS' ? event : null;
+    const message = event.fields.join('|');
+    const exception = EXCEPTION_RE.exec(message)?.[1]?.replace(/^System\./, '') || null;
+    for (const rule of config.rules) {
+      if (matches(rule, { event, exception, message })) trigger(config, rule, event, line, exception ? { exception } : {});
+    }
+  };
+
+  return {
+    write(text) {
+      if (!text) return;
+      const config = getRules();
+      if (!config.rules.length) {
+        carry = '';
+        return;
+      }
+      const all = carry + text;
+      const cut = all.length > MAX_CARRY ? all.length : all.lastIndexOf('\n') + 1;
+      carry = all.slice(cut);
+      for (const line of all.slice(0, cut).split('\n')) if (line) scanLine(config, line);
+    },
+    flush() {
+      const rest = carry;
+      carry = '';
+      if (rest) scanLine(getRules(), rest);
+    },
+  };
+}
+
+/** POST the alert as JSON to `webhook.url`; resolves with { ok, status } or { ok: false, error } (never rejects) */
+function postWebhook(webhook, payload) {
+  return new Promise((resolve) => {
+    let url;
+    try { url = new URL(webhook.url); } catch (_) { return resolve({ ok: false, error: `Invalid webhook url ${webhook.url}` }); }
+    const body = JSON.stringify(payload);
+    const timeout = webhook.timeoutMs || DEFAULT_WEBHOOK_TIMEOUT_MS;
+    const req = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...(webhook.headers || {}) },
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode >= 200 && res.statusCode < 300
+        ? { ok: true, status: res.statusCode }
+        : { ok: false, status: res.statusCode, error: `HTTP ${res.statusCode}` }));
+    });
+    req.setTimeout(timeout, () => req.destroy(new Error(`${url.host} timed out after ${timeout} ms`)));
+    req.on('error', (e) => resolve({ ok: false, error: e.message }));
+    req.end(body);
+  });
+}
+
+module.exports = {
+  ALERTS_FILE_NAME,
+  NOTIFIERS,
+  loadAlertRules,
+  createAlertEngine,
+  postWebhook,
+};
@@ -0,0 +1,143 @@
+/**
+ * Saved analyses: every /api/analyze result as one JSON file in `.debugfast-analyses/` under the project, with
+ * when it ran, the org and analyzer, the log files it read and its findings. The logs themselves are not
+ * copied; findLogFile() follows them from `.sf-log_Analysis` into the archive batch they were moved to, or finds
+ * them still in `.sf-log` when a targeted analysis read a live log.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolveArchivePath } = require('./archive');
+
+const ANALYSES_DIR_NAME = '.debugfast-analyses';
+const MAX_ANALYSES = 200; // Oldest are deleted beyond this
+// Milliseconds and a per-process counter keep ids of the same second in save order; ids saved before they were
+// added (20261018T200039Z-a1b2c3) still load
+const ID_RE = /^\d{8}T\d{6}(?:\d{3})?Z-(?:[0-9a-f]{4})?[0-9a-f]{6}$/;
+let idSeq = 0;
+
+function analysesDir(projectDir) {
+  return path.join(projectDir, ANALYSES_DIR_NAME);
+}
+
+function isAnalysisId(id) {
+  return ID_RE.test(String(id));
+}
+
+/** Sortable id from the analysis time, a counter and a random part: 20261018T200039123Z-0007a1b2c3 */
+function newAnalysisId(date = new Date()) {
+  idSeq = (idSeq + 1) % 0x10000;
+  const seq = idSeq.toString(16).padStart(4, '0');
+  return `${date.toISOString().replace(/[-:.]/g, '')}-${seq}${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/** Finding counts by severity */
+function severityCounts(errors = []) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const e of errors) counts[counts[e.severity] !== undefined ? e.severity : 'warning']++;
+  return counts;
+}
+
+/** Persist an analysis record (gets an `id`); the oldest files beyond MAX_ANALYSES are removed */
+function saveAnalysis(projectDir, record) {
+  const dir = analysesDir(projectDir);
+  fs.mkdirSync(dir, { recursive: true });
+  const saved = { id: newAnalysisId(new Date(record.analyzedAt || Date.now())), ...record };
+  const file = path.join(dir, `${saved.id}.json`);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(saved, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+  const ids = listIds(dir);
+  for (const old of ids.slice(0, Math.max(0, ids.length - MAX_ANALYSES))) fs.rmSync(path.join(dir, `${old}.json`), { force: true });
+  return saved;
+}
+
+function listIds(dir) {
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch (_) {}
+  return names.filter((n) => n.endsWith('.json')).map((n) => n.slice(0, -5)).filter(isAnalysisId).sort();
+}
+
+/** One saved analysis, or null */
+function loadAnalysis(projectDir, id) {
+  if (!isAnalysisId(id)) return null;
+  try { return JSON.parse(fs.readFileSync(path.join(analysesDir(projectDir), `${id}.json`), 'utf8')); } catch (_) { return null; }
+}
+
+/** Newest first, without the report and findings: { id, analyzedAt, session, org, source, sourceLabel, scope, logFiles, counts } */
+function listAnalyses(projectDir) {
+  return listIds(analysesDir(projectDir)).reverse().map((id) => loadAnalysis(projectDir, id)).filter(Boolean).map((a) => ({
+    id: a.id,
+    analyzedAt: a.analyzedAt,
+    session: a.session,
+    org: a.org,
+    source: a.source,
+    sourceLabel: a.sourceLabel,
+    scope: a.scope || null,
+    logFiles: a.logFiles || [],
+    counts: severityCounts(a.errors),
+  }));
+}
+
+function deleteAnalysis(projectDir, id) {
+  const file = isAnalysisId(id) ? path.join(analysesDir(projectDir), `${id}.json`) : null;
+  if (!file || !fs.existsSync(file)) return false;
+  fs.rmSync(file);
+  return true;
+}
+
+/** Folder of `roots` that holds `abs`, as { folder, sub } with `sub` relative to it; null when none does */
+function folderOf(roots, abs) {
+  for (const [folder, root] of Object.entries(roots)) {
+    if (!root) continue;
+    const rel = path.relative(root, abs);
+    if (rel !== '..' && !rel.startsWith(`..${path.sep}`) && !path.isAbsolute(rel)) return { folder, sub: rel.split(path.sep).join('/') };
+  }
+  return null;
+}
+
+/**
+ * Where a log an analysis read is now. `logDir` is the folder it was read from, relative to the project
+ * (`.sf-log_Analysis/dev`, `.sf-log_archive/<batch>/dev`). A log of the live or analysis folder is looked for
+ * under the same sub-folder of both, then in the newest archive batch holding `<sub>/<file>` (or its .gz), where
+ * archiveOnAppLoad() moves them. Records saved before logDir was project-relative hold a path inside one of the
+ * folders, which is tried in each. Paths never leave their folder. Returns
+ * { folder: 'analysis' | 'live' | 'archive', path, abs } or null.
+ */
+function findLogFile({ projectDir, liveDir, analysisDir, archiveDir }, logDir, file) {
+  const name = path.basename(String(file));
+  const roots = { analysis: analysisDir, live: liveDir, archive: archiveDir };
+  const saved = projectDir ? folderOf(roots, path.resolve(projectDir, String(logDir || ''))) : null;
+  const sub = saved ? saved.sub : String(logDir || '').replace(/\\/g, '/');
+  const lookIn = (folder, dir) => {
+    for (const candidate of [name, `${name}.gz`]) {
+      const rel = path.posix.join(dir, candidate);
+      const abs = roots[folder] && resolveArchivePath(roots[folder], rel);
+      if (abs && fs.existsSync(abs)) return { folder, path: rel, abs };
+    }
+    return null;
+  };
+  const folders = saved?.folder === 'archive' ? ['archive'] : saved ? ['analysis', 'live'] : Object.keys(roots);
+  for (const folder of folders) {
+    const found = lookIn(folder, sub);
+    if (found) return found;
+  }
+  if (saved?.folder === 'archive') return null;
+  let batches = [];
+  try { batches = fs.readdirSync(archiveDir).sort().reverse(); } catch (_) {}
+  for (const batch of batches) {
+    const found = lookIn('archive', path.posix.join(batch, sub));
+    if (found) return found;
+  }
+  return null;
+}
+
+module.exports = {
+  ANALYSES_DIR_NAME,
+  isAnalysisId,
+  saveAnalysis,
+  loadAnalysis,
+  listAnalyses,
+  deleteAnalysis,
+  findLogFile,
+};
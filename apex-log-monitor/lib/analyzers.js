@@ -0,0 +1,224 @@
+/**
+ * Analyzer providers: each turns one analysis request into { report, errors }.
+ * The server runs the chosen provider, then the configured fallbacks in order, until one succeeds.
+ *
+ *   cursor-agent – Cursor `agent` CLI; reads the .log files itself
+ *   command      – any CLI that reads the prompt (instructions + log text) on stdin and prints the report
+ *   http         – OpenAI-compatible chat completions endpoint (`<baseUrl>/chat/completions`)
+ *   regex        – offline pattern scan (lib/regex-analyzer)
+ */
+
+const { spawn } = require('child_process');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const fs = require('fs');
+const { analyzeLogs } = require('./regex-analyzer');
+const { extractFindings } = require('./findings');
+
+const PROVIDER_TYPES = ['cursor-agent', 'command', 'http', 'regex'];
+const BUILTIN_PROVIDERS = {
+  'cursor-agent': { type: 'cursor-agent', label: 'Cursor Agent', command: 'agent' },
+  regex: { type: 'regex', label: 'Regex' },
+};
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_LOG_CHARS = 200000; // Log text sent to command/http providers; the newest part is kept
+
+/** Built-in providers overlaid with `analyzers.providers` from .debugfast.json, keyed by name */
+function providerConfigs(analyzersConfig = {}) {
+  const merged = {};
+  for (const [name, p] of Object.entries({ ...BUILTIN_PROVIDERS, ...(analyzersConfig.providers || {}) })) {
+    const cfg = { ...BUILTIN_PROVIDERS[name], ...p, name };
+    if (PROVIDER_TYPES.includes(cfg.type)) merged[name] = { label: name, ...cfg };
+  }
+  return merged;
+}
+
+/** Names to try in order: the requested (or configured) provider, then `analyzers.fallback` */
+function analyzerChain(analyzersConfig = {}, requested) {
+  const providers = providerConfigs(analyzersConfig);
+  const first = requested || analyzersConfig.provider || 'cursor-agent';
+  return [...new Set([first, ...(analyzersConfig.fallback || [])])].filter((name) => providers[name]);
+}
+
+const FOCUS_NOTE = 'Analyze only the part under "=== Selection"; the lines before and after it are context.';
+
+/** Prompt file plus a note that the log text is inline, for providers that cannot read the project */
+function inlineInstructions(promptFile, focus) {
+  const prompt = fs.existsSync(promptFile) ? fs.readFileSync(promptFile, 'utf8') : '';
+  return `${prompt}\n\n---\nContext: The log text is included below. You cannot read files or run commands, ` +
+    'so skip retrieving metadata and base the analysis and suggested fixes on the log alone.' + (focus ? ` ${FOCUS_NOTE}` : '');
+}
+
+/**
+ * Log text for a model when only part of a log is analyzed: the selection under a heading with its label,
+ * between the lines around it. `focus` is { label, before, after }; without it the content is returned as is.
+ */
+function focusedLog(content, focus) {
+  if (!focus) return content;
+  return [
+    focus.before ? `=== Context before the selection ===\n${focus.before}` : '',
+    `=== Selection: ${focus.label} ===\n${content}`,
+    focus.after ? `=== Context after the selection ===\n${focus.after}` : '',
+  ].filter(Boolean).join('\n');
+}
+
+function trimLog(content, maxChars = DEFAULT_MAX_LOG_CHARS) {
+  if (content.length <= maxChars) return content;
+  return `[… ${content.length - maxChars} earlier characters omitted …]\n${content.slice(-maxChars)}`;
+}
+
+/** Spawn without a shell, write `stdin`, resolve with trimmed stdout. On Windows `command` must be an executable, not a .cmd shim */
+function runProcess(command, args, { cwd, stdin, timeout = DEFAULT_TIMEOUT_MS }) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, {
+      cwd,
+      env: { ...process.env },
+      stdio: [stdin == null ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+    });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => proc.kill(), timeout);
+    proc.stdout.on('data', (c) => { stdout += c.toString(); });
+    proc.stderr.on('data', (c) => { stderr += c.toString(); });
+    proc.on('error', (err) => { clearTimeout(timer); reject(err); });
+    proc.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (signal) return reject(new Error(`${command} timed out after ${timeout} ms`));
+      if (code !== 0) return reject(new Error(stderr.trim() || `${command} exited with code ${code}`));
+      if (!stdout.trim()) return reject(new Error(`${command} produced no output`));
+      resolve(stdout.trim());
+    });
+    if (stdin != null) {
+      proc.stdin.on('error', () => {}); // Process exited before reading everything; reported by 'close'
+      proc.stdin.end(stdin);
+    }
+  });
+}
+
+function runCursorAgent(cfg, { projectDir, logDir, files, promptFile, focus }) {
+  if (!fs.existsSync(promptFile)) return Promise.reject(new Error('Prompt file not found'));
+  const logDirAbs = path.resolve(logDir);
+  const readInstruction = files?.length
+    ? `Read only these .log files in this folder: ${files.join(', ')}. Analyze them now.`
+    : 'Read all .log files in this folder, starting with the most recent. Analyze them now.';
+  const fullPrompt = `${fs.readFileSync(promptFile, 'utf8')}\n\n---\nContext: Analyze the log files in \`${path.relative(projectDir, logDirAbs)}\`. Full path: ${logDirAbs}\n\n${readInstruction}${focus ? ` ${FOCUS_NOTE}` : ''}`;
+  const args = ['--print', '--output-format', 'text', '--workspace', projectDir, '--approve-mcps', ...(cfg.args || []), fullPrompt];
+  return runProcess(cfg.command || 'agent', args, { cwd: projectDir, timeout: cfg.timeoutMs });
+}
+
+function runCommand(cfg, { projectDir, content, promptFile, focus }) {
+  if (!cfg.command) return Promise.reject(new Error('No command configured'));
+  const prompt = `${inlineInstructions(promptFile, focus)}\n\n${trimLog(focusedLog(content, focus), cfg.maxLogChars)}`;
+  return runProcess(cfg.command, cfg.args || [], { cwd: projectDir, stdin: prompt, timeout: cfg.timeoutMs });
+}
+
+/** POST a chat completion; the API key comes from the environment variable named by `apiKeyEnv` */
+function runChatCompletion(cfg, { content, promptFile, focus }) {
+  if (!cfg.baseUrl) return Promise.reject(new Error('No baseUrl configured'));
+  let url;
+  try { url = new URL('chat/completions', cfg.baseUrl.endsWith('/') ? cfg.baseUrl : `${cfg.baseUrl}/`); } catch (_) {
+    return Promise.reject(new Error(`Invalid baseUrl ${cfg.baseUrl}`));
+  }
+  const apiKey = cfg.apiKeyEnv ? process.env[cfg.apiKeyEnv] : null;
+  if (cfg.apiKeyEnv && !apiKey) return Promise.reject(new Error(`${cfg.apiKeyEnv} is not set`));
+  const body = JSON.stringify({
+    model: cfg.model,
+    temperature: cfg.temperature ?? 0.2,
+    messages: [
+      { role: 'system', content: inlineInstructions(promptFile, focus) },
+      { role: 'user', content: trimLog(focusedLog(content, focus), cfg.maxLogChars) },
+    ],
+  });
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    ...(cfg.headers || {}),
+  };
+  const timeout = cfg.timeoutMs || DEFAULT_TIMEOUT_MS;
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === 'https:' ? https : http).request(url, { method: 'POST', headers }, (res) => {
+      let data = '';
+      res.on('data', (c) => (data += c));
+      res.on('end', () => {
+        let json = null;
+        try { json = JSON.parse(data); } catch (_) {}
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return reject(new Error(`HTTP ${res.statusCode}: ${json?.error?.message || data.slice(0, 200) || res.statusMessage}`));
+        }
+        const text = json?.choices?.[0]?.message?.content;
+        if (typeof text !== 'string' || !text.trim()) return reject(new Error('Response has no choices[0].message.content'));
+        resolve(text.trim());
+      });
+    });
+    req.setTimeout(timeout, () => req.destroy(new Error(`${url.host} timed out after ${timeout} ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Model report -> { report, errors, ignoredCount, findingsError }: the findings block is validated and merged ahead of the
+ * regex findings; without a usable block only the regex findings are returned and findingsError says why
+ */
+function modelResult(text, { content, config, ignored }) {
+  const { narrative, findings, error } = extractFindings(text);
+  const regex = analyzeLogs(content, config, { ignored });
+  return {
+    report: narrative || text,
+    errors: [...(findings || []), ...regex.errors],
+    ignoredCount: regex.ignoredCount,
+    findingsError: error || undefined,
+  };
+}
+
+function runProvider(cfg, input) {
+  switch (cfg.type) {
+    case 'cursor-agent': return runCursorAgent(cfg, input).then((text) => modelResult(text, input));
+    case 'command': return runCommand(cfg, input).then((text) => modelResult(text, input));
+    case 'http': return runChatCompletion(cfg, input).then((text) => modelResult(text, input));
+    default: return Promise.resolve(analyzeLogs(input.content, input.config, { ignored: input.ignored }));
+  }
+}
+
+/**
+ * Try each provider in `names` until one succeeds.
+ * input: { projectDir, logDir, files, content, promptFile, config, ignored (Set of fingerprints to leave out), focus? }.
+ * With `focus` (see focusedLog) `content` is a selection: model analyzers also get the lines around it, while
+ * the regex scan covers only the selection.
+ * Resolves with { report, errors, findingsError?, source, sourceLabel, failures }; source is 'error' when every provider failed.
+ */
+async function runAnalyzers(names, input) {
+  const providers = providerConfigs(input.config?.analyzers);
+  const failures = [];
+  for (const name of names) {
+    const cfg = providers[name];
+    try {
+      const result = await runProvider(cfg, input);
+      return { ...result, source: name, sourceLabel: cfg.label, failures };
+    } catch (e) {
+      failures.push({ provider: name, error: e.message });
+    }
+  }
+  return {
+    report: failures.map((f) => `${f.provider}: ${f.error}`).join('\n') || 'No analyzer configured',
+    errors: [],
+    source: 'error',
+    failures,
+  };
+}
+
+/** Provider list for the UI: name, type and label only (no commands, URLs or key names) */
+function describeProviders(analyzersConfig = {}) {
+  return Object.values(providerConfigs(analyzersConfig)).map(({ name, type, label }) => ({ name, type, label }));
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  providerConfigs,
+  analyzerChain,
+  runAnalyzers,
+  describeProviders,
+  focusedLog,
+};
@@ -0,0 +1,257 @@
+/**
+ * .sf-log_archive browser: batches (<batch>/<file> or <batch>/<alias>/<file>), per-file summaries, streaming search
+ * and the retention policy. `.log.gz` files are read through gunzip, so callers never see the difference.
+ * Paths handed to and from the API are relative to the archive root, always with forward slashes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const EVENT_RE = /^\d{1,2}:\d{2}:\d{2}\.\d{1,3}\s+\(\d+\)\|([A-Z_]+)/;
+const ERROR_EVENTS = new Set(['EXCEPTION_THROWN', 'FATAL_ERROR', 'VALIDATION_FAIL']);
+const BATCH_RE = /^(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})$/; // archiveOnAppLoad() batch names, local time
+const FILE_TIME_RE = /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/; // apex-<ISO time>.log, UTC
+const DEFAULT_SEARCH_LIMIT = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const summaryCache = new Map(); // absolute path -> { key: size:mtime, summary }
+
+function isArchiveLog(name) {
+  return name.endsWith('.log') || name.endsWith('.log.gz');
+}
+
+/** Archive-relative path -> absolute path, or null when it escapes the archive or is not a log file */
+function resolveArchivePath(archiveDir, relPath) {
+  if (typeof relPath !== 'string' || !isArchiveLog(relPath)) return null;
+  const root = path.resolve(archiveDir);
+  const abs = path.resolve(root, relPath);
+  return abs.startsWith(root + path.sep) ? abs : null;
+}
+
+function batchTime(batch, dir) {
+  const m = BATCH_RE.exec(batch);
+  if (m) return new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}`).getTime();
+  try { return fs.statSync(dir).mtimeMs; } catch (_) { return 0; }
+}
+
+/** Log files of one batch: loose files (no org recorded) and one level of per-org folders */
+function batchFiles(archiveDir, batch) {
+  const batchDir = path.join(archiveDir, batch);
+  const files = [];
+  for (const entry of fs.readdirSync(batchDir, { withFileTypes: true })) {
+    if (entry.isFile() && isArchiveLog(entry.name)) {
+      files.push({ rel: `${batch}/${entry.name}`, abs: path.join(batchDir, entry.name), org: null, name: entry.name });
+    } else if (entry.isDirectory()) {
+      for (const f of fs.readdirSync(path.join(batchDir, entry.name), { withFileTypes: true })) {
+        if (f.isFile() && isArchiveLog(f.name)) {
+          files.push({ rel: `${batch}/${entry.name}/${f.name}`, abs: path.join(batchDir, entry.name, f.name), org: entry.name, name: f.name });
+        }
+      }
+    }
+  }
+  return files;
+}
+
+/** Batch names, newest first */
+function listBatches(archiveDir) {
+  if (!fs.existsSync(archiveDir)) return [];
+  return fs.readdirSync(archiveDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory())
+    .map((e) => ({ batch: e.name, time: batchTime(e.name, path.join(archiveDir, e.name)) }))
+    .sort((a, b) => b.time - a.time)
+    .map((b) => b.batch);
+}
+
+/** Line stream over a log file, gunzipping .log.gz */
+function openLines(abs) {
+  const raw = fs.createReadStream(abs);
+  const input = abs.endsWith('.gz') ? raw.pipe(zlib.createGunzip()) : raw;
+  if (input !== raw) raw.on('error', (e) => input.destroy(e));
+  return { input, lines: readline.createInterface({ input, crlfDelay: Infinity }) };
+}
+
+/** Whole file as text, gunzipping .log.gz */
+function readArchiveFile(abs) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(abs, (err, data) => {
+      if (err) return reject(err);
+      if (!abs.endsWith('.gz')) return resolve(data.toString('utf8'));
+      zlib.gunzip(data, (e, out) => (e ? reject(e) : resolve(out.toString('utf8'))));
+    });
+  });
+}
+
+/** One streaming pass over a file: first/last event clock time, transaction, event and error counts */
+async function scanFile(abs) {
+  const summary = { firstEvent: null, lastEvent: null, transactions: 0, events: 0, errorCount: 0 };
+  const { lines } = openLines(abs);
+  for await (const line of lines) {
+    const m = EVENT_RE.exec(line);
+    if (!m) continue;
+    const time = line.slice(0, line.indexOf(' '));
+    summary.firstEvent = summary.firstEvent || time;
+    summary.lastEvent = time;
+    summary.events++;
+    if (m[1] === 'EXECUTION_STARTED') summary.transactions++;
+    if (ERROR_EVENTS.has(m[1])) summary.errorCount++;
+  }
+  return summary;
+}
+
+/** File entry with size, time range and counts; content summaries are cached by size and mtime */
+async function describeFile(file) {
+  const stat = fs.statSync(file.abs);
+  const key = `${stat.size}:${stat.mtimeMs}`;
+  let cached = summaryCache.get(file.abs);
+  if (!cached || cached.key !== key) {
+    cached = { key, summary: await scanFile(file.abs).catch((e) => ({ error: e.message })) };
+    summaryCache.set(file.abs, cached);
+  }
+  const m = FILE_TIME_RE.exec(file.name);
+  return {
+    path: file.rel,
+    org: file.org,
+    name: file.name,
+    size: stat.size,
+    compressed: file.name.endsWith('.gz'),
+    startedAt: m ? new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}Z`).toISOString() : null,
+    modifiedAt: new Date(stat.mtimeMs).toISOString(),
+    ...cached.summary,
+  };
+}
+
+/** Batches, newest first, with their files and totals */
+async function listArchive(archiveDir) {
+  const batches = [];
+  for (const batch of listBatches(archiveDir)) {
+    const files = [];
+    for (const file of batchFiles(archiveDir, batch)) files.push(await describeFile(file));
+    files.sort((a, b) => a.path.localeCompare(b.path));
+    batches.push({
+      batch,
+      archivedAt: new Date(batchTime(batch, path.join(archiveDir, batch))).toISOString(),
+      orgs: [...new Set(files.map((f) => f.org || '(none)'))],
+      size: files.reduce((n, f) => n + f.size, 0),
+      errorCount: files.reduce((n, f) => n + (f.errorCount || 0), 0),
+      files,
+    });
+  }
+  return batches;
+}
+
+/**
+ * Stream matches across archived files, newest batch first.
+ * Filters: q (text, case-insensitive; regex: true for a regular expression), event (event type), org, batch.
+ * Calls onFile(path) before each file and onMatch({ path, org, lineNumber, event, line }) per match;
+ * resolves with { files, matches, truncated }. isCancelled() is checked between lines.
+ */
+async function searchArchive(archiveDir, { q, regex = false, event, org, batch, limit = DEFAULT_SEARCH_LIMIT } = {}, { onFile, onMatch, isCancelled } = {}) {
+  let matcher = null;
+  if (q) {
+    const re = regex ? new RegExp(q, 'i') : null;
+    const needle = String(q).toLowerCase();
+    matcher = re ? (line) => re.test(line) : (line) => line.toLowerCase().includes(needle);
+  }
+  const eventType = event ? String(event).toUpperCase() : null;
+  const result = { files: 0, matches: 0, truncated: false };
+  for (const b of listBatches(archiveDir)) {
+    if (batch && b !== batch) continue;
+    for (const file of batchFiles(archiveDir, b)) {
+      if (org && file.org !== org) continue;
+      if (isCancelled?.()) return result;
+      result.files++;
+      onFile?.(file.rel);
+      const { input, lines } = openLines(file.abs);
+      let lineNumber = 0;
+      try {
+        for await (const line of lines) {
+          lineNumber++;
+          const ev = EVENT_RE.exec(line)?.[1] || null;
+          if (eventType && ev !== eventType) continue;
+          if (matcher && !matcher(line)) continue;
+          if (!eventType && !matcher) continue;
+          result.matches++;
+          onMatch?.({ path: file.rel, org: file.org, lineNumber, event: ev, line: line.length > 500 ? `${line.slice(0, 500)}…` : line });
+          if (result.matches >= limit || isCancelled?.()) {
+            result.truncated = result.matches >= limit;
+            input.destroy();
+            return result;
+          }
+        }
+      } catch (_) {} // Unreadable or corrupt .gz: skip the rest of this file
+    }
+  }
+  return result;
+}
+
+function gzipFile(abs) {
+  return new Promise((resolve, reject) => {
+    pipeline(fs.createReadStream(abs), zlib.createGzip(), fs.createWriteStream(`${abs}.gz`), (err) => {
+      if (err) {
+        fs.rm(`${abs}.gz`, { force: true }, () => reject(err));
+        return;
+      }
+      fs.unlink(abs, (e) => (e ? reject(e) : resolve()));
+    });
+  });
+}
+
+/**
+ * Retention, in order: delete batches older than maxAgeDays, gzip .log files in batches older than gzipAfterDays,
+ * then delete the oldest batches while the archive exceeds maxTotalMB (the newest batch is always kept).
+ * Unset (null) limits are skipped. Resolves with what was done.
+ */
+async function applyRetention(archiveDir, { maxAgeDays = null, maxTotalMB = null, gzipAfterDays = null } = {}, now = Date.now()) {
+  const done = { deleted: [], gzipped: 0, errors: [] };
+  const ageOf = (batch) => now - batchTime(batch, path.join(archiveDir, batch));
+  const remove = (batch) => {
+    try {
+      fs.rmSync(path.join(archiveDir, batch), { recursive: true, force: true });
+      done.deleted.push(batch);
+    } catch (e) {
+      done.errors.push(`${batch}: ${e.message}`);
+    }
+  };
+
+  if (maxAgeDays != null) {
+    for (const batch of listBatches(archiveDir).slice(1)) if (ageOf(batch) > maxAgeDays * DAY_MS) remove(batch);
+  }
+  if (gzipAfterDays != null) {
+    for (const batch of listBatches(archiveDir)) {
+      if (ageOf(batch) <= gzipAfterDays * DAY_MS) continue;
+      for (const file of batchFiles(archiveDir, batch).filter((f) => f.name.endsWith('.log'))) {
+        try {
+          await gzipFile(file.abs);
+          done.gzipped++;
+        } catch (e) {
+          done.errors.push(`${file.rel}: ${e.message}`);
+        }
+      }
+    }
+  }
+  if (maxTotalMB != null) {
+    const batches = listBatches(archiveDir).map((batch) => ({
+      batch,
+      size: batchFiles(archiveDir, batch).reduce((n, f) => n + fs.statSync(f.abs).size, 0),
+    }));
+    let total = batches.reduce((n, b) => n + b.size, 0);
+    while (total > maxTotalMB * 1024 * 1024 && batches.length > 1) {
+      const oldest = batches.pop();
+      remove(oldest.batch);
+      total -= oldest.size;
+    }
+  }
+  return done;
+}
+
+module.exports = {
+  isArchiveLog,
+  resolveArchivePath,
+  listArchive,
+  readArchiveFile,
+  searchArchive,
+  applyRetention,
+};
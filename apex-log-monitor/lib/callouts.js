@@ -0,0 +1,201 @@
+/**
+ * HTTP callout tracing
+ * Pairs CALLOUT_REQUEST/CALLOUT_RESPONSE (and the NAMED_CREDENTIAL_* events between them) of a transaction
+ * into one row per callout, and flags non-2xx responses, timeouts and callouts made after uncommitted DML.
+ *
+ *   CALLOUT_REQUEST|[15]|System.HttpRequest[Endpoint=https://api.example.com/orders, Method=POST]
+ *   CALLOUT_RESPONSE|[15]|System.HttpResponse[Status=Service Unavailable, StatusCode=503]
+ *   NAMED_CREDENTIAL_RESPONSE|NamedCallout[Named Credential Name=Orders, Status Code=503, Response Size bytes=120, …]
+ */
+
+const { eventName } = require('./log-parser');
+
+const CALLOUT_EXCEPTION_RE = /\b(?:System\.)?CalloutException\b:?\s*(.*)/;
+const TIMEOUT_RE = /timed out|timeout|Exceeded maximum time allotted/i;
+const UNCOMMITTED_RE = /uncommitted work pending/i;
+const BRACKET_RE = /^[\w.]+\[(.*)\]$/s;
+// `Key=value` pairs separated by `, ` where the next key starts with a capital (values may contain commas)
+const ATTRIBUTE_RE = /([A-Z][\w -]*?)=(.*?)(?=, [A-Z][\w -]*?=|$)/gs;
+
+/** `System.HttpRequest[Endpoint=…, Method=POST]` → { Endpoint, Method } */
+function parseAttributes(text) {
+  const m = BRACKET_RE.exec(String(text).trim());
+  const out = {};
+  if (!m) return out;
+  for (const [, key, value] of m[1].matchAll(ATTRIBUTE_RE)) out[key.trim()] = value;
+  return out;
+}
+
+function toInt(value) {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? null : n;
+}
+
+function newCallout(event, caller, pendingDml) {
+  return {
+    endpoint: null,
+    method: null,
+    namedCredential: null,
+    status: null,
+    statusCode: null,
+    durationMs: null,
+    requestSize: null,
+    responseSize: null,
+    requestBody: null,
+    responseBody: null,
+    lineNumber: event.lineNumber,
+    caller,
+    time: event.time,
+    startNanos: event.nanos,
+    pendingDml: pendingDml.length ? pendingDml.slice(-3) : null,
+    error: null,
+    flags: [],
+  };
+}
+
+function setRequest(callout, attrs) {
+  callout.endpoint = callout.endpoint || attrs.Endpoint || null;
+  callout.method = callout.method || attrs.Method || null;
+  if (attrs['Named Credential Name']) callout.namedCredential = attrs['Named Credential Name'];
+  if (attrs['Request Size bytes'] != null) callout.requestSize = toInt(attrs['Request Size bytes']);
+  if (attrs.Body != null) callout.requestBody = attrs.Body;
+}
+
+function setResponse(callout, attrs, event) {
+  if (attrs.Status) callout.status = attrs.Status;
+  const code = toInt(attrs.StatusCode ?? attrs['Status Code']);
+  if (code != null) callout.statusCode = code;
+  if (attrs['Response Size bytes'] != null) callout.responseSize = toInt(attrs['Response Size bytes']);
+  if (attrs.Body != null) {
+    callout.responseBody = attrs.Body;
+    if (callout.responseSize == null) callout.responseSize = Buffer.byteLength(attrs.Body);
+  }
+  if (event) callout.durationMs = Math.round((event.nanos - callout.startNanos) / 1e4) / 100;
+}
+
+function finish(callout) {
+  if (callout.statusCode != null && (callout.statusCode < 200 || callout.statusCode > 299)) callout.flags.push('HTTP_ERROR');
+  if (callout.error && TIMEOUT_RE.test(callout.error)) callout.flags.push('TIMEOUT');
+  if (callout.pendingDml || UNCOMMITTED_RE.test(callout.error || '')) callout.flags.push('AFTER_DML');
+  if (callout.statusCode == null && !callout.error) callout.flags.push('NO_RESPONSE');
+  delete callout.startNanos;
+  return callout;
+}
+
+/**
+ * Callouts of one parsed transaction, in order: { endpoint, method, namedCredential, status, statusCode,
+ * durationMs, requestSize, responseSize, requestBody, responseBody, lineNumber, caller, time, pendingDml, error, flags }.
+ * `pendingDml` lists the last DML statements issued before the callout; flags are HTTP_ERROR, TIMEOUT,
+ * AFTER_DML and NO_RESPONSE.
+ */
+function traceCallouts(tx) {
+  const callouts = [];
+  const open = [];
+  const callers = [];
+  const pendingDml = [];
+  for (const event of tx.events || []) {
+    switch (event.type) {
+      case 'CODE_UNIT_STARTED':
+      case 'METHOD_ENTRY':
+      case 'CONSTRUCTOR_ENTRY':
+        callers.push(eventName(event).replace(/\(.*\)$/, ''));
+        break;
+      case 'CODE_UNIT_FINISHED':
+      case 'METHOD_EXIT':
+      case 'CONSTRUCTOR_EXIT':
+        callers.pop();
+        break;
+      case 'DML_BEGIN':
+        pendingDml.push(`${eventName(event)}${event.lineNumber != null ? ` (line ${event.lineNumber})` : ''}`);
+        break;
+      case 'CALLOUT_REQUEST': {
+        const callout = newCallout(event, callers[callers.length - 1] || null, pendingDml);
+        setRequest(callout, parseAttributes(event.fields.join('|')));
+        open.push(callout);
+        callouts.push(callout);
+        break;
+      }
+      case 'NAMED_CREDENTIAL_REQUEST': {
+        const attrs = parseAttributes(event.fields.join('|'));
+        let callout = open[open.length - 1];
+        if (!callout) {
+          callout = newCallout(event, callers[callers.length - 1] || null, pendingDml);
+          open.push(callout);
+          callouts.push(callout);
+        }
+        setRequest(callout, attrs);
+        break;
+      }
+      case 'NAMED_CREDENTIAL_RESPONSE': {
+        const callout = open[open.length - 1];
+        if (callout) setResponse(callout, parseAttributes(event.fields.join('|')));
+        break;
+      }
+      case 'CALLOUT_RESPONSE': {
+        // Synchronous callouts never overlap; with Continuations the response on the same line is the match
+        const idx = Math.max(0, open.findIndex((c) => c.lineNumber === event.lineNumber));
+        const callout = open.splice(idx, 1)[0];
+        if (callout) setResponse(callout, parseAttributes(event.fields.join('|')), event);
+        break;
+      }
+      case 'EXCEPTION_THROWN':
+      case 'FATAL_ERROR': {
+        const m = CALLOUT_EXCEPTION_RE.exec(event.fields.join('|'));
+        if (!m) break;
+        const message = m[1].split('\n')[0];
+        const callout = open.pop();
+        if (callout) {
+          callout.error = callout.error || message;
+          callout.durationMs = Math.round((event.nanos - callout.startNanos) / 1e4) / 100;
+        } else if (event.type === 'EXCEPTION_THROWN' && UNCOMMITTED_RE.test(message)) {
+          // Refused before any request went out, so there is no CALLOUT_REQUEST to attach it to
+          const refused = newCallout(event, callers[callers.length - 1] || null, pendingDml);
+          refused.error = message;
+          callouts.push(refused);
+        }
+        break;
+      }
+      default:
+    }
+  }
+  return callouts.map(finish);
+}
+
+/** `POST https://…` or the named credential when the endpoint was not logged */
+function calloutLabel(c) {
+  return [c.method, c.endpoint || (c.namedCredential ? `callout:${c.namedCredential}` : '(endpoint not logged)')].filter(Boolean).join(' ');
+}
+
+/** Findings in the analyzeLogs() `errors` shape for flagged callouts */
+function calloutFindings(tx, callouts) {
+  const findings = [];
+  const where = `Transaction at ${tx.startTime || '?'} (${tx.codeUnits?.[0] || 'no code unit'})`;
+  for (const c of callouts) {
+    const base = { lineNumber: c.lineNumber, method: c.caller, endpoint: c.endpoint };
+    const timing = c.durationMs != null ? `, ${c.durationMs} ms` : '';
+    if (c.flags.includes('HTTP_ERROR')) {
+      findings.push({
+        ...base,
+        line: `Callout ${calloutLabel(c)} returned ${c.statusCode}${c.status ? ` ${c.status}` : ''}`,
+        type: 'CALLOUT_HTTP_ERROR',
+        severity: c.statusCode >= 500 ? 'error' : 'warning',
+        context: `${where}${timing}`,
+      });
+    }
+    if (c.flags.includes('TIMEOUT')) {
+      findings.push({ ...base, line: `Callout ${calloutLabel(c)} timed out: ${c.error}`, type: 'CALLOUT_TIMEOUT', severity: 'error', context: `${where}${timing}` });
+    }
+    if (c.flags.includes('AFTER_DML')) {
+      findings.push({
+        ...base,
+        line: `Callout ${calloutLabel(c)} after uncommitted DML${c.error ? `: ${c.error}` : ''}`,
+        type: 'CALLOUT_AFTER_DML',
+        severity: 'error',
+        context: `${where}: ${c.pendingDml ? `DML before the callout: ${c.pendingDml.join(', ')}` : 'DML earlier in the transaction'}. Move the callout before the DML or into a Queueable/@future(callout=true).`,
+      });
+    }
+  }
+  return findings;
+}
+
+module.exports = { traceCallouts, calloutFindings, calloutLabel, parseAttributes };
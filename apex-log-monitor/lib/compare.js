@@ -0,0 +1,305 @@
+/**
+ * Diff of two log captures, e.g. a good and a bad run of the same request. Each side is a list of parsed
+ * transactions (one transaction, or every transaction of a log file). Code units are aligned first, then
+ * the sequence of methods, queries, DML and exceptions inside each matched code unit. Names are normalized
+ * (record ids, literals, numbers) and times are never compared, so two runs of the same code line up.
+ */
+
+const { normalizeMessage } = require('./issues');
+const { parseLimitUsage } = require('./limits');
+const { statementOf } = require('./query-profiler');
+
+const MAX_LCS_CELLS = 4e6; // Larger alignments fall back to a windowed greedy match
+const GREEDY_WINDOW = 200;
+const MAX_ROWS = 5000; // Aligned rows returned to the UI, after folding unchanged stretches
+const MAX_LIST = 200; // Entries per added/removed/changed list
+const SEQUENCE_KINDS = new Set(['CODE_UNIT', 'METHOD', 'CONSTRUCTOR', 'SOQL', 'SOSL', 'DML', 'EXCEPTION', 'VALIDATION']);
+
+/** Name of a node with ids, literals and numbers replaced, so runs with different data compare equal */
+function normalizedName(node) {
+  if (node.kind === 'SOQL' || node.kind === 'SOSL' || node.kind === 'DML') return statementOf(node);
+  return normalizeMessage(node.name);
+}
+
+/**
+ * Collapse a node list into entries { kind, name, count, rows, lineNumber, children }. Consecutive siblings
+ * with the same subtree shape (a method called in a loop) become one entry with a count; their children are
+ * the first call's. Shapes are interned to numbers so deep trees do not build long strings.
+ */
+function collapse(nodes, shapes) {
+  const out = [];
+  for (const node of nodes) {
+    if (!SEQUENCE_KINDS.has(node.kind)) continue;
+    const children = collapse(node.children || [], shapes);
+    const name = normalizedName(node);
+    const signature = `${node.kind}\u0000${name}\u0000${children.map((c) => `${c.shape}x${c.count}`).join(',')}`;
+    if (!shapes.has(signature)) shapes.set(signature, shapes.size);
+    const shape = shapes.get(signature);
+    const last = out[out.length - 1];
+    if (last && last.shape === shape) {
+      last.count++;
+      last.rows += node.rows || 0;
+      continue;
+    }
+    out.push({ shape, kind: node.kind, name, count: 1, rows: node.rows || 0, lineNumber: node.lineNumber ?? null, children });
+  }
+  return out;
+}
+
+/** Preorder list of collapsed entries with their depth and a key (kind, name, depth) to align on */
+function flatten(entries, depth = 0, out = []) {
+  for (const e of entries) {
+    out.push({ key: `${depth}\u0000${e.kind}\u0000${e.name}`, depth, kind: e.kind, name: e.name, count: e.count, rows: e.rows, lineNumber: e.lineNumber });
+    flatten(e.children, depth + 1, out);
+  }
+  return out;
+}
+
+/**
+ * Align two sequences on `key`: [[i, j]] pairs with -1 for an entry only one side has. Common prefix and
+ * suffix are matched directly; the middle uses an LCS table, or a greedy match within GREEDY_WINDOW entries
+ * when the table would be too large (`approximate`).
+ */
+function align(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start].key === b[start].key) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1].key === b[endB - 1].key) { endA--; endB--; }
+  const pairs = [];
+  for (let i = 0; i < start; i++) pairs.push([i, i]);
+  const n = endA - start;
+  const m = endB - start;
+  let approximate = false;
+  if (n && m && n * m <= MAX_LCS_CELLS) {
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = a[start + i].key === b[start + j].key
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i].key === b[start + j].key) pairs.push([start + i++, start + j++]);
+      else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) pairs.push([start + i++, -1]);
+      else pairs.push([-1, start + j++]);
+    }
+    while (i < n) pairs.push([start + i++, -1]);
+    while (j < m) pairs.push([-1, start + j++]);
+  } else {
+    approximate = n > 0 && m > 0;
+    let i = start;
+    let j = start;
+    const find = (list, from, to, key) => {
+      for (let k = from; k < Math.min(to, from + GREEDY_WINDOW); k++) if (list[k].key === key) return k - from;
+      return -1;
+    };
+    while (i < endA && j < endB) {
+      if (a[i].key === b[j].key) { pairs.push([i++, j++]); continue; }
+      const inB = find(b, j, endB, a[i].key);
+      const inA = find(a, i, endA, b[j].key);
+      if (inB >= 0 && (inA < 0 || inB <= inA)) for (let k = 0; k < inB; k++) pairs.push([-1, j++]);
+      else if (inA >= 0) for (let k = 0; k < inA; k++) pairs.push([i++, -1]);
+      else pairs.push([i++, -1], [-1, j++]);
+    }
+    while (i < endA) pairs.push([i++, -1]);
+    while (j < endB) pairs.push([-1, j++]);
+  }
+  for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+  return { pairs, approximate };
+}
+
+function side(entry) {
+  return entry ? { name: entry.name, count: entry.count, rows: entry.rows, lineNumber: entry.lineNumber } : null;
+}
+
+/** Split view row: same, changed (same step, different count or rows), added (only in b) or removed (only in a) */
+function row(x, y) {
+  const e = x || y;
+  const op = !x ? 'added' : !y ? 'removed' : x.count !== y.count || x.rows !== y.rows ? 'changed' : 'same';
+  return { op, depth: e.depth, kind: e.kind, a: side(x), b: side(y) };
+}
+
+/** Unchanged stretches longer than 2 × `context` rows become one { op: 'folded', count } row between their ends */
+function foldSame(rows, context = 3) {
+  const out = [];
+  let run = [];
+  const flush = (last) => {
+    const keepStart = out.length ? context : 0; // A run at the start keeps only its tail, at the end only its head
+    const keepEnd = last ? 0 : context;
+    if (run.length > keepStart + keepEnd + 1) {
+      out.push(...run.slice(0, keepStart), { op: 'folded', count: run.length - keepStart - keepEnd }, ...run.slice(run.length - keepEnd));
+    } else {
+      out.push(...run);
+    }
+    run = [];
+  };
+  for (const r of rows) {
+    if (r.op === 'same') {
+      run.push(r);
+      continue;
+    }
+    flush(false);
+    out.push(r);
+  }
+  flush(true);
+  return out;
+}
+
+/** Totals over the whole tree of one side: calls per method, executions and rows per statement, exceptions */
+function totals(transactions) {
+  const methods = new Map();
+  const statements = new Map();
+  const exceptions = new Map();
+  const bump = (map, key, init, rows = 0) => {
+    if (!map.has(key)) map.set(key, { ...init, count: 0, rows: 0 });
+    const entry = map.get(key);
+    entry.count++;
+    entry.rows += rows;
+  };
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      const name = SEQUENCE_KINDS.has(node.kind) ? normalizedName(node) : null;
+      if (node.kind === 'METHOD' || node.kind === 'CONSTRUCTOR') bump(methods, `${node.kind}|${name}`, { kind: node.kind, name });
+      else if (node.kind === 'SOQL' || node.kind === 'SOSL' || node.kind === 'DML') bump(statements, `${node.kind}|${name}`, { kind: node.kind, statement: name }, node.rows || 0);
+      else if (node.kind === 'EXCEPTION' || node.kind === 'VALIDATION') bump(exceptions, `${node.kind}|${name}`, { kind: node.kind, message: name, sample: node.name });
+      if (node.children?.length) walk(node.children);
+    }
+  };
+  for (const tx of transactions) walk(tx.tree || []);
+  return { methods, statements, exceptions };
+}
+
+/** Entries of `from` missing in `other`, most frequent first */
+function missing(from, other) {
+  return [...from.entries()].filter(([key]) => !other.has(key)).map(([, v]) => v)
+    .sort((x, y) => y.count - x.count).slice(0, MAX_LIST);
+}
+
+/** Highest usage of each limit across a side's transactions: { 'ns|key': { namespace, key, label, used, max } } */
+function peakLimits(transactions) {
+  const peak = {};
+  for (const tx of transactions) {
+    for (const [namespace, limits] of Object.entries(tx.limits || parseLimitUsage(tx.events || []))) {
+      for (const [key, l] of Object.entries(limits)) {
+        const id = `${namespace}|${key}`;
+        if (!peak[id] || l.used > peak[id].used) peak[id] = { namespace, key, label: l.label, used: l.used, max: l.max };
+      }
+    }
+  }
+  return peak;
+}
+
+function limitDeltas(a, b) {
+  const peakA = peakLimits(a);
+  const peakB = peakLimits(b);
+  return [...new Set([...Object.keys(peakA), ...Object.keys(peakB)])].map((id) => {
+    const x = peakA[id];
+    const y = peakB[id];
+    const base = x || y;
+    const usedA = x?.used ?? null;
+    const usedB = y?.used ?? null;
+    return { namespace: base.namespace, key: base.key, label: base.label, max: (y || x).max, a: usedA, b: usedB, delta: (usedB ?? 0) - (usedA ?? 0) };
+  }).filter((d) => d.a || d.b).sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+}
+
+function statementDeltas(a, b) {
+  const keys = new Set([...a.keys(), ...b.keys()]);
+  return [...keys].map((key) => {
+    const x = a.get(key);
+    const y = b.get(key);
+    const base = x || y;
+    return {
+      kind: base.kind,
+      statement: base.statement,
+      a: { count: x?.count || 0, rows: x?.rows || 0 },
+      b: { count: y?.count || 0, rows: y?.rows || 0 },
+      countDelta: (y?.count || 0) - (x?.count || 0),
+      rowsDelta: (y?.rows || 0) - (x?.rows || 0),
+    };
+  }).filter((d) => d.countDelta || d.rowsDelta)
+    .sort((x, y) => Math.abs(y.countDelta) - Math.abs(x.countDelta) || Math.abs(y.rowsDelta) - Math.abs(x.rowsDelta))
+    .slice(0, MAX_LIST);
+}
+
+function callDeltas(a, b) {
+  return [...a.entries()].filter(([key, x]) => b.has(key) && b.get(key).count !== x.count)
+    .map(([key, x]) => ({ kind: x.kind, name: x.name, a: x.count, b: b.get(key).count, delta: b.get(key).count - x.count }))
+    .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta))
+    .slice(0, MAX_LIST);
+}
+
+/** Counts shown above the diff for one side */
+function sideSummary(transactions, t) {
+  const sum = (map) => [...map.values()].reduce((n, v) => n + v.count, 0);
+  const statementCount = (kind) => [...t.statements.values()].filter((s) => s.kind === kind).reduce((n, s) => n + s.count, 0);
+  return {
+    transactions: transactions.length,
+    codeUnits: transactions.reduce((n, tx) => n + (tx.codeUnits?.length || 0), 0),
+    durationMs: Math.round(transactions.reduce((n, tx) => n + (tx.durationMs || 0), 0) * 100) / 100,
+    methodCalls: sum(t.methods),
+    soql: statementCount('SOQL') + statementCount('SOSL'),
+    dml: statementCount('DML'),
+    queryRows: [...t.statements.values()].filter((s) => s.kind !== 'DML').reduce((n, s) => n + s.rows, 0),
+    exceptions: sum(t.exceptions),
+  };
+}
+
+/**
+ * Compare two lists of parsed transactions (see log-parser). Returns
+ * { summary, methods: { added, removed, changed }, exceptions: { added, resolved }, statements, limits, rows, truncated, approximate }
+ * where `rows` is the side-by-side alignment with long unchanged stretches folded, at most MAX_ROWS long.
+ */
+function compareTransactions(a, b) {
+  const shapes = new Map();
+  const seqA = flatten(collapse(a.flatMap((tx) => tx.tree || []), shapes));
+  const seqB = flatten(collapse(b.flatMap((tx) => tx.tree || []), shapes));
+  // Code units first, so a method sequence is only aligned against the same code unit on the other side
+  const unitsA = seqA.map((e, i) => ({ ...e, i })).filter((e) => e.depth === 0);
+  const unitsB = seqB.map((e, i) => ({ ...e, i })).filter((e) => e.depth === 0);
+  const units = align(unitsA, unitsB);
+  const bodyOf = (seq, units, k) => (k < 0 ? [] : seq.slice(units[k].i + 1, k + 1 < units.length ? units[k + 1].i : seq.length));
+  const rows = [];
+  let approximate = units.approximate;
+  for (const [i, j] of units.pairs) {
+    rows.push(row(unitsA[i] || null, unitsB[j] || null));
+    const bodyA = bodyOf(seqA, unitsA, i);
+    const bodyB = bodyOf(seqB, unitsB, j);
+    const body = align(bodyA, bodyB);
+    approximate = approximate || body.approximate;
+    for (const [x, y] of body.pairs) rows.push(row(bodyA[x] || null, bodyB[y] || null));
+  }
+  const totalsA = totals(a);
+  const totalsB = totals(b);
+  const summaryA = sideSummary(a, totalsA);
+  const summaryB = sideSummary(b, totalsB);
+  const methods = { added: missing(totalsB.methods, totalsA.methods), removed: missing(totalsA.methods, totalsB.methods), changed: callDeltas(totalsA.methods, totalsB.methods) };
+  const exceptions = { added: missing(totalsB.exceptions, totalsA.exceptions), resolved: missing(totalsA.exceptions, totalsB.exceptions) };
+  const steps = { same: 0, changed: 0, added: 0, removed: 0 };
+  for (const r of rows) steps[r.op]++;
+  const folded = foldSame(rows);
+  return {
+    summary: {
+      a: summaryA,
+      b: summaryB,
+      steps,
+      addedMethods: methods.added.length,
+      removedMethods: methods.removed.length,
+      newExceptions: exceptions.added.length,
+      resolvedExceptions: exceptions.resolved.length,
+    },
+    methods,
+    exceptions,
+    statements: statementDeltas(totalsA.statements, totalsB.statements),
+    limits: limitDeltas(a, b),
+    rows: folded.slice(0, MAX_ROWS),
+    truncated: folded.length > MAX_ROWS,
+    approximate,
+  };
+}
+
+module.exports = { compareTransactions };
@@ -0,0 +1,62 @@
+/**
+ * Project config: optional `.debugfast.json` in the Salesforce project root.
+ * Read on every call so edits apply without restarting the monitor.
+ *
+ *   { "limits": { "warnPercent": 80, "perLimit": { "cpuTime": 60 } }, "queries": { "loopThreshold": 3 },
+ *     "analyzers": { "provider": "cursor-agent", "fallback": ["regex"], "providers": { ... } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE_NAME = '.debugfast.json';
+
+const DEFAULTS = {
+  limits: { warnPercent: parseInt(process.env.LIMIT_WARN_PCT || '80', 10), perLimit: {} },
+  queries: { loopThreshold: 3 },
+  analyzers: { provider: 'cursor-agent', fallback: ['regex'], providers: {} },
+  redaction: { enabled: true, detectors: {}, rules: [] },
+  archive: { maxAgeDays: null, maxTotalMB: null, gzipAfterDays: 7 },
+};
+
+/**
+ * Salesforce project root: `explicit` when given (used even without sfdx-project.json), else the nearest
+ * folder at or above `start` that has sfdx-project.json; null when there is none
+ */
+function findProjectDir(explicit, start = process.cwd()) {
+  if (explicit) return path.resolve(explicit);
+  let dir = path.resolve(start);
+  for (let i = 0; i < 10; i++) {
+    if (fs.existsSync(path.join(dir, 'sfdx-project.json'))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return null;
+}
+
+function configPath(projectDir) {
+  return path.join(projectDir, CONFIG_FILE_NAME);
+}
+
+/** Defaults merged one level deep with the project file; a broken file is reported, not fatal */
+function loadConfig(projectDir) {
+  const file = configPath(projectDir);
+  let user = {};
+  let error = null;
+  if (fs.existsSync(file)) {
+    try { user = JSON.parse(fs.readFileSync(file, 'utf8')) || {}; } catch (e) { error = `${CONFIG_FILE_NAME}: ${e.message}`; }
+  }
+  const config = {};
+  for (const key of new Set([...Object.keys(DEFAULTS), ...Object.keys(user)])) {
+    const d = DEFAULTS[key];
+    const u = user[key];
+    config[key] = d && typeof d === 'object' && !Array.isArray(d) && u && typeof u === 'object' && !Array.isArray(u)
+      ? { ...d, ...u }
+      : (u !== undefined ? u : d);
+  }
+  if (error) config.error = error;
+  return config;
+}
+
+module.exports = { CONFIG_FILE_NAME, findProjectDir, configPath, loadConfig };
@@ -0,0 +1,119 @@
+/**
+ * Entry points and async chains
+ * Classifies a transaction by what started it (trigger, controller, REST, batch, future, queueable, scheduled,
+ * flow…) and links async jobs to the transaction that enqueued them: by the AsyncApexJob (707…) or CronTrigger
+ * (08e…) id when the log shows it on both sides, else by the class that was enqueued.
+ */
+
+const { eventName } = require('./log-parser');
+
+const ENTRY_KINDS = ['trigger', 'controller', 'rest', 'batch', 'future', 'queueable', 'scheduled', 'flow', 'anonymous', 'test', 'other'];
+const ASYNC_KINDS = new Set(['batch', 'future', 'queueable', 'scheduled']);
+
+// Code unit names (first match wins); `name` turns the match into the label shown for the entry point
+const CODE_UNIT_RULES = [
+  { kind: 'trigger', re: /^(\w+) on (\w+) trigger event (\w+)/, name: (m) => `${m[1]} (${m[3]} ${m[2]})` },
+  { kind: 'flow', re: /^Flow:(\S+)/, name: (m) => m[1] },
+  { kind: 'controller', re: /^apex:\/\/(\w+)\/ACTION\$(\w+)/, name: (m) => `${m[1]}.${m[2]}` },
+  { kind: 'controller', re: /^(?:VF: )?(\/apex\/\S+)/, name: (m) => m[1] },
+  { kind: 'rest', re: /\/services\/apexrest(\/\S*)/i, name: (m) => m[1] },
+  { kind: 'anonymous', re: /^execute_anonymous_apex/, name: () => 'Anonymous Apex' },
+  { kind: 'test', re: /^((?:\w+Tests?|Test\w+)\.\w+)$/, name: (m) => m[1] },
+];
+// Methods whose context parameter tells the async kind; batch also gets its phase
+const CONTEXT_METHOD_RE = /^(\w+)\.(start|execute|finish)\((?:Database\.BatchableContext|(?:System\.)?(Queueable|Schedulable)Context)/;
+const FUTURE_UNIT_RE = /^(\w+)\.(\w+)$/;
+const ENQUEUE_KINDS = { 'System.enqueueJob': 'queueable', 'Database.executeBatch': 'batch', 'System.scheduleBatch': 'batch', 'System.schedule': 'scheduled' };
+const ENQUEUE_RE = /^(System\.enqueueJob|Database\.executeBatch|System\.scheduleBatch|System\.schedule)\(/;
+const JOB_ID_RE = /\b(?:707|08e)[A-Za-z0-9]{12}(?:[A-Za-z0-9]{3})?\b/g;
+const JOB_ID_WINDOW = 4; // Events after an enqueue call in which the id it returned is looked for
+
+function methodName(name) {
+  return String(name).replace(/\(.*$/s, '');
+}
+
+/** { kind, name, phase? } for the code unit that opened the transaction (see ENTRY_KINDS) */
+function classifyEntryPoint(tx) {
+  const events = tx.events || [];
+  const unit = events.find((e) => e.type === 'CODE_UNIT_STARTED');
+  const unitName = unit ? eventName(unit) : '';
+  const interview = events.find((e) => e.type === 'FLOW_START_INTERVIEW_BEGIN');
+  for (const rule of CODE_UNIT_RULES) {
+    const m = rule.re.exec(unitName);
+    if (!m) continue;
+    // A record-triggered flow's code unit names the object; the interview names the flow
+    return { kind: rule.kind, name: rule.kind === 'flow' ? interview?.fields[1] || rule.name(m) : rule.name(m) };
+  }
+  for (const e of events) {
+    if (e.type !== 'METHOD_ENTRY') continue;
+    const m = CONTEXT_METHOD_RE.exec(eventName(e));
+    if (!m) continue;
+    if (m[3] === 'Queueable') return { kind: 'queueable', name: m[1] };
+    if (m[3] === 'Schedulable') return { kind: 'scheduled', name: m[1] };
+    return { kind: 'batch', name: m[1], phase: m[2] };
+  }
+  if (!unit && interview) return { kind: 'flow', name: interview.fields[1] || 'Flow' };
+  // A @future method runs as a code unit named Class.method
+  if (FUTURE_UNIT_RE.test(unitName)) return { kind: 'future', name: unitName };
+  return { kind: 'other', name: unitName || tx.codeUnits?.[0] || '' };
+}
+
+/**
+ * Jobs the transaction enqueued ({ kind, className, lineNumber, jobId }) and the job ids it mentions otherwise,
+ * which for an async transaction include its own (e.g. logged from BatchableContext.getJobId())
+ */
+function asyncInfo(tx) {
+  const enqueued = [];
+  const seen = new Set();
+  let constructed = null;
+  let current = null;
+  let lookahead = 0;
+  for (const e of tx.events || []) {
+    if (e.type === 'CONSTRUCTOR_ENTRY') constructed = methodName(eventName(e)).split('.')[0].replace(/^<init>$/, '') || constructed;
+    if (e.type === 'SYSTEM_METHOD_ENTRY' || e.type === 'METHOD_ENTRY') {
+      const m = ENQUEUE_RE.exec(eventName(e));
+      if (m) {
+        current = { kind: ENQUEUE_KINDS[m[1]], className: constructed, lineNumber: e.lineNumber, jobId: null };
+        enqueued.push(current);
+        lookahead = JOB_ID_WINDOW;
+        continue;
+      }
+    }
+    for (const id of e.text.match(JOB_ID_RE) || []) {
+      // The first id shortly after an enqueue call is the one it returned (VARIABLE_ASSIGNMENT, USER_DEBUG)
+      if (lookahead > 0 && !current.jobId) current.jobId = id.slice(0, 15);
+      else seen.add(id.slice(0, 15));
+    }
+    lookahead--;
+  }
+  const own = new Set(enqueued.map((q) => q.jobId));
+  return { enqueued, jobIds: [...seen].filter((id) => !own.has(id)) };
+}
+
+/**
+ * The transaction that started an async one, searching `earlier` (oldest first) from the newest:
+ * { id, kind, name, via: 'jobId' | 'class' | 'batch' } or null. Needs entryPoint and async set on each.
+ */
+function findParent(tx, earlier) {
+  const { kind, name, phase } = tx.entryPoint;
+  if (!ASYNC_KINDS.has(kind)) return null;
+  const link = (p, via) => ({ id: p.id, kind: p.entryPoint.kind, name: p.entryPoint.name, via });
+  const ids = new Set(tx.async.jobIds);
+  if (ids.size) {
+    for (let i = earlier.length - 1; i >= 0; i--) {
+      if (earlier[i].async?.enqueued.some((q) => q.jobId && ids.has(q.jobId))) return link(earlier[i], 'jobId');
+    }
+  }
+  const className = name.split('.')[0];
+  for (let i = earlier.length - 1; i >= 0; i--) {
+    const p = earlier[i];
+    if (!p.entryPoint || !p.async) continue;
+    // Batch execute and finish follow the previous phase of the same batch class
+    if (kind === 'batch' && phase !== 'start' && p.entryPoint.kind === 'batch' && p.entryPoint.name === name) return link(p, 'batch');
+    if (kind === 'future' && p.events?.some((e) => e.type === 'METHOD_ENTRY' && methodName(eventName(e)) === name)) return link(p, 'class');
+    if (p.async.enqueued.some((q) => q.kind === kind && q.className === className)) return link(p, 'class');
+  }
+  return null;
+}
+
+module.exports = { ENTRY_KINDS, ASYNC_KINDS, classifyEntryPoint, asyncInfo, findParent };
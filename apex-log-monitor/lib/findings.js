@@ -0,0 +1,95 @@
+/**
+ * Structured findings from model analyzers.
+ * The prompt asks for a fenced ```json debugfast-findings block after the markdown narrative; it is pulled out,
+ * checked against FINDING_SCHEMA and turned into entries of the analyzeLogs() `errors` shape.
+ */
+
+const FINDINGS_TAG = 'debugfast-findings';
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Field -> accepted JSON types; `required` fields must be present and non-empty
+const FINDING_SCHEMA = {
+  type: { types: ['string'], required: true },
+  severity: { types: ['string'], required: true, enum: SEVERITIES },
+  class: { types: ['string', 'null'] },
+  method: { types: ['string', 'null'] },
+  line: { types: ['integer', 'null'] },
+  excerpt: { types: ['string'], required: true },
+  rootCause: { types: ['string'], required: true },
+  patch: { types: ['string', 'null'] },
+};
+
+const BLOCK_RE = new RegExp('```json\\s+' + FINDINGS_TAG + '\\s*\\n([\\s\\S]*?)\\n?```', 'g');
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/** Problems with one finding, as messages; empty when it matches the schema */
+function validateFinding(f) {
+  if (jsonType(f) !== 'object') return ['finding is not an object'];
+  const problems = [];
+  for (const [field, rule] of Object.entries(FINDING_SCHEMA)) {
+    const value = f[field];
+    if (value === undefined || value === '') {
+      if (rule.required) problems.push(`${field} is required`);
+      continue;
+    }
+    if (!rule.types.includes(jsonType(value))) problems.push(`${field} must be ${rule.types.join(' or ')}`);
+    else if (rule.enum && !rule.enum.includes(value)) problems.push(`${field} must be one of ${rule.enum.join(', ')}`);
+  }
+  return problems;
+}
+
+/** Schema-checked finding -> analyzeLogs() error entry, tagged source: 'ai' */
+function toError(f) {
+  const where = [f.class, f.method].filter(Boolean).join('.');
+  return {
+    line: f.excerpt,
+    type: f.type,
+    severity: f.severity,
+    context: f.rootCause,
+    source: 'ai',
+    className: f.class || null,
+    method: f.method || null,
+    lineNumber: f.line ?? null,
+    location: where ? `${where}${f.line != null ? `:${f.line}` : ''}` : null,
+    excerpt: f.excerpt,
+    rootCause: f.rootCause,
+    patch: f.patch || null,
+  };
+}
+
+/**
+ * Split a model report into its narrative and findings.
+ * Returns { narrative, findings, error }; findings is null (with error set) when the block is missing or unusable,
+ * so the caller can fall back to the regex findings. Individual invalid entries are dropped and reported in error.
+ */
+function extractFindings(report) {
+  const blocks = [...String(report || '').matchAll(BLOCK_RE)];
+  const narrative = String(report || '').replace(BLOCK_RE, '').trim();
+  if (!blocks.length) return { narrative, findings: null, error: 'No findings block in the analyzer output' };
+  let data;
+  try { data = JSON.parse(blocks[blocks.length - 1][1]); } catch (e) {
+    return { narrative, findings: null, error: `Findings block is not valid JSON: ${e.message}` };
+  }
+  const list = Array.isArray(data) ? data : data?.findings;
+  if (!Array.isArray(list)) return { narrative, findings: null, error: 'Findings block has no findings array' };
+  const findings = [];
+  const rejected = [];
+  list.forEach((f, i) => {
+    const problems = validateFinding(f);
+    if (problems.length) rejected.push(`#${i + 1}: ${problems.join(', ')}`);
+    else findings.push(toError(f));
+  });
+  return { narrative, findings, error: rejected.length ? `Dropped ${rejected.length} invalid finding(s) – ${rejected.join('; ')}` : null };
+}
+
+module.exports = {
+  FINDINGS_TAG,
+  FINDING_SCHEMA,
+  validateFinding,
+  extractFindings,
+};
@@ -0,0 +1,80 @@
+/**
+ * Flow interviews
+ * Follows FLOW_START_INTERVIEW_* and FLOW_ELEMENT_* events so that a failing element can be reported with the flow
+ * it belongs to, including the errors a fault path handled (FLOW_ELEMENT_FAULT).
+ */
+
+const FLOW_ELEMENT_TYPE_RE = /^Flow[A-Z]\w*$/;
+const INTERVIEW_ID_RE = /^[a-zA-Z0-9]{15,18}$|^\d+$/;
+
+/**
+ * Fields of FLOW_ELEMENT_ERROR/FAULT: the element type (FlowRecordUpdate, FlowActionCall…), the element name after
+ * it and the message, whatever order the API version logs them in
+ */
+function elementFields(fields) {
+  const typeIdx = fields.findIndex((f) => FLOW_ELEMENT_TYPE_RE.test(f));
+  const elementType = typeIdx >= 0 ? fields[typeIdx] : null;
+  const elementName = typeIdx >= 0 && typeIdx + 1 < fields.length ? fields[typeIdx + 1] : null;
+  const rest = fields.filter((f, i) => i !== typeIdx && i !== typeIdx + 1 && !INTERVIEW_ID_RE.test(f));
+  const message = rest.sort((a, b) => b.length - a.length)[0] || '';
+  return { elementType, elementName, message: message.split('\n')[0] };
+}
+
+/**
+ * Interviews of one parsed transaction, in order:
+ * { interviewId, flowName, time, elements, errors: [{ elementType, elementName, message, time }], faults: [...] }
+ */
+function traceFlows(tx) {
+  const interviews = [];
+  const byId = new Map();
+  let current = null;
+  for (const e of tx.events || []) {
+    switch (e.type) {
+      case 'FLOW_START_INTERVIEW_BEGIN': {
+        current = { interviewId: e.fields[0] || null, flowName: e.fields[1] || '(unnamed flow)', time: e.time, elements: 0, errors: [], faults: [] };
+        interviews.push(current);
+        if (current.interviewId) byId.set(current.interviewId, current);
+        break;
+      }
+      case 'FLOW_ELEMENT_BEGIN':
+        current = byId.get(e.fields[0]) || current;
+        if (current) current.elements++;
+        break;
+      case 'FLOW_ELEMENT_ERROR':
+      case 'FLOW_ELEMENT_FAULT': {
+        const interview = byId.get(e.fields[0]) || current;
+        if (!interview) break;
+        (e.type === 'FLOW_ELEMENT_ERROR' ? interview.errors : interview.faults).push({ ...elementFields(e.fields), time: e.time });
+        break;
+      }
+      default:
+    }
+  }
+  return interviews;
+}
+
+/** Findings in the analyzeLogs() `errors` shape for failed flow elements and fault paths taken */
+function flowFindings(tx, interviews) {
+  const findings = [];
+  const where = `Transaction at ${tx.startTime || '?'} (${tx.codeUnits?.[0] || 'no code unit'})`;
+  for (const flow of interviews) {
+    for (const [list, type, severity, verb] of [[flow.errors, 'FLOW_ELEMENT_ERROR', 'error', 'failed'], [flow.faults, 'FLOW_FAULT_PATH', 'warning', 'took its fault path']]) {
+      for (const el of list) {
+        const element = el.elementName ? `${el.elementName}${el.elementType ? ` (${el.elementType})` : ''}` : el.elementType || 'an element';
+        findings.push({
+          line: `Flow ${flow.flowName}: ${element} ${verb}${el.message ? `: ${el.message}` : ''}`,
+          type,
+          severity,
+          message: el.message,
+          context: `${where}, interview started ${flow.time}`,
+          method: `Flow.${flow.flowName}.${el.elementName || el.elementType || ''}`,
+          flowName: flow.flowName,
+          elementName: el.elementName,
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+module.exports = { traceFlows, flowFindings };
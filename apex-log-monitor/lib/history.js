@@ -0,0 +1,68 @@
+/**
+ * Historical debug logs: ApexLog records from `sf apex list log --json`, filtering,
+ * and log bodies from `sf apex get log --json`.
+ */
+
+const LOG_ID_RE = /^07L[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?$/;
+
+/** Flatten an ApexLog record into the fields the UI filters on */
+function normalizeLogRecord(r) {
+  return {
+    id: r.Id,
+    user: r.LogUser?.Name || r.LogUserId || '',
+    operation: r.Operation || '',
+    application: r.Application || '',
+    request: r.Request || '',
+    location: r.Location || '',
+    status: r.Status || '',
+    startTime: r.StartTime || null,
+    durationMs: r.DurationMilliseconds ?? null,
+    size: r.LogLength ?? 0,
+  };
+}
+
+/**
+ * Filter normalized records. Text filters match case-insensitively anywhere in the field;
+ * from/to are ISO dates or datetimes; minSize/maxSize are bytes.
+ */
+function filterLogs(logs, { user, operation, status, from, to, minSize, maxSize } = {}) {
+  const has = (value, needle) => !needle || String(value).toLowerCase().includes(String(needle).toLowerCase());
+  const fromMs = from ? Date.parse(from) : null;
+  // A bare date as upper bound means "through the end of that day"
+  const toMs = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+  return logs.filter((l) => {
+    if (!has(l.user, user) || !has(l.operation, operation) || !has(l.status, status)) return false;
+    const t = l.startTime ? Date.parse(l.startTime) : NaN;
+    if (fromMs != null && !Number.isNaN(fromMs) && !(t >= fromMs)) return false;
+    if (toMs != null && !Number.isNaN(toMs) && !(t <= toMs)) return false;
+    if (minSize != null && minSize !== '' && l.size < Number(minSize)) return false;
+    if (maxSize != null && maxSize !== '' && l.size > Number(maxSize)) return false;
+    return true;
+  });
+}
+
+/** Log text from `sf apex get log --json`; older CLIs return strings, newer ones { log } objects */
+function logBodyFromResult(result) {
+  const first = Array.isArray(result) ? result[0] : result;
+  if (typeof first === 'string') return first;
+  return first?.log ?? '';
+}
+
+/** File name that sorts with live logs by start time: apex-<start>-<logId>.log */
+function historyFileName(record) {
+  const start = record.startTime ? new Date(record.startTime) : new Date();
+  const ts = (Number.isNaN(start.getTime()) ? new Date() : start).toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  return `apex-${ts}-${record.id}.log`;
+}
+
+function isLogId(id) {
+  return typeof id === 'string' && LOG_ID_RE.test(id);
+}
+
+module.exports = {
+  normalizeLogRecord,
+  filterLogs,
+  logBodyFromResult,
+  historyFileName,
+  isLogId,
+};
@@ -0,0 +1,161 @@
+/**
+ * Error fingerprints and the persisted issue list.
+ * A fingerprint hashes the exception type (or finding type), the normalized message and the top stack frames
+ * (Class.method:line), so every occurrence of one bug groups under one issue across transactions and restarts.
+ * Issues live in `.debugfast-issues.json` in the project root with first/last seen, count and a status.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ISSUES_FILE_NAME = '.debugfast-issues.json';
+const STATUSES = ['open', 'known', 'ignored'];
+const MAX_FRAMES = 3;
+const MAX_RECENT_OCCURRENCES = 500; // Per issue; lets re-analysis of the same log skip occurrences already counted
+
+const EVENT_PREFIX_RE = /^\d{1,2}:\d{2}:\d{2}\.\d{1,3}\s+\(\d+\)\|[A-Z_]+\|(?:\[(?:\d+|EXTERNAL)\]\|)?/;
+
+/** Message with the values that differ between occurrences (ids, numbers, literals, placeholders) stripped */
+function normalizeMessage(message) {
+  return String(message || '')
+    .replace(EVENT_PREFIX_RE, '')
+    .replace(/<[A-Z_]+_\d+>/g, '<*>')
+    .replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, '?')
+    .replace(/\b(?=[a-zA-Z0-9]*\d)(?=[a-zA-Z0-9]*[a-zA-Z])[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?\b/g, '<id>')
+    .replace(/\b\d+(?:\.\d+)?\b/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Stable 12-character id for an analyzeLogs() error entry */
+function fingerprintOf(error) {
+  const kind = String(error.exceptionType || error.type || '').replace(/^System\./, '');
+  const frames = error.frames?.length
+    ? error.frames.slice(0, MAX_FRAMES)
+    : (error.method ? [`${String(error.method).replace(/\(.*\)$/, '')}:${error.lineNumber ?? ''}`] : []);
+  const key = [kind, normalizeMessage(error.message ?? error.line), ...frames].join('\n');
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+}
+
+/** Set `fingerprint` on each error (in place) and return the errors */
+function withFingerprints(errors) {
+  for (const e of errors) if (!e.fingerprint) e.fingerprint = fingerprintOf(e);
+  return errors;
+}
+
+/** Identity of one occurrence, so the same log line analyzed twice is counted once */
+function occurrenceKey(error) {
+  return crypto.createHash('sha1').update(`${error.line}\n${error.context || ''}`).digest('hex').slice(0, 16);
+}
+
+/** Errors grouped by fingerprint, most frequent first: one entry per issue with its occurrences in these errors */
+function groupErrors(errors) {
+  const groups = new Map();
+  for (const e of withFingerprints(errors)) {
+    if (!groups.has(e.fingerprint)) {
+      groups.set(e.fingerprint, {
+        fingerprint: e.fingerprint,
+        type: e.type,
+        exceptionType: e.exceptionType || null,
+        message: normalizeMessage(e.message ?? e.line),
+        frames: e.frames || [],
+        severity: e.severity,
+        sample: e.line,
+        occurrences: 0,
+        keys: [],
+      });
+    }
+    const g = groups.get(e.fingerprint);
+    g.occurrences++;
+    if (e.severity === 'error') g.severity = 'error';
+    g.keys.push(occurrenceKey(e));
+  }
+  return [...groups.values()].sort((a, b) => b.occurrences - a.occurrences);
+}
+
+function issuesPath(projectDir) {
+  return path.join(projectDir, ISSUES_FILE_NAME);
+}
+
+/** Persisted issues keyed by fingerprint; a missing or broken file starts an empty list */
+function loadIssues(projectDir) {
+  try {
+    const data = JSON.parse(fs.readFileSync(issuesPath(projectDir), 'utf8'));
+    return { issues: data?.issues && typeof data.issues === 'object' ? data.issues : {} };
+  } catch (_) {
+    return { issues: {} };
+  }
+}
+
+/** Write through a temp file so a crash never leaves a half-written list */
+function saveIssues(projectDir, store) {
+  const file = issuesPath(projectDir);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(store, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Merge grouped errors into the store. Occurrences already counted (same line and context) are skipped.
+ * Returns the groups with the persisted fields: firstSeen, lastSeen, count, status, note.
+ */
+function recordIssues(store, groups, now = new Date().toISOString()) {
+  return groups.map(({ keys, ...g }) => {
+    const issue = store.issues[g.fingerprint] || (store.issues[g.fingerprint] = {
+      fingerprint: g.fingerprint,
+      type: g.type,
+      exceptionType: g.exceptionType,
+      message: g.message,
+      frames: g.frames,
+      severity: g.severity,
+      sample: g.sample,
+      firstSeen: now,
+      lastSeen: now,
+      count: 0,
+      status: 'open',
+      note: null,
+      recent: [],
+    });
+    const fresh = keys.filter((k) => !issue.recent.includes(k));
+    if (fresh.length) {
+      issue.count += fresh.length;
+      issue.lastSeen = now;
+      issue.recent = [...issue.recent, ...new Set(fresh)].slice(-MAX_RECENT_OCCURRENCES);
+    }
+    if (g.severity === 'error') issue.severity = 'error';
+    const { recent, ...persisted } = issue;
+    return { ...g, ...persisted };
+  });
+}
+
+/** Mark an issue open, known or ignored; returns the issue or { error } */
+function setIssueStatus(store, fingerprint, status, note) {
+  const issue = store.issues[fingerprint];
+  if (!issue) return { error: `No issue ${fingerprint}` };
+  if (!STATUSES.includes(status)) return { error: `Status must be one of ${STATUSES.join(', ')}` };
+  issue.status = status;
+  if (note !== undefined) issue.note = note ? String(note) : null;
+  const { recent, ...persisted } = issue;
+  return { issue: persisted };
+}
+
+/** Stored issues without occurrence bookkeeping, most recently seen first */
+function listIssues(store) {
+  return Object.values(store.issues)
+    .map(({ recent, ...issue }) => issue)
+    .sort((a, b) => String(b.lastSeen).localeCompare(String(a.lastSeen)));
+}
+
+module.exports = {
+  ISSUES_FILE_NAME,
+  STATUSES,
+  normalizeMessage,
+  fingerprintOf,
+  withFingerprints,
+  groupErrors,
+  loadIssues,
+  saveIssues,
+  recordIssues,
+  setIssueStatus,
+  listIssues,
+};
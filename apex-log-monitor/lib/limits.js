@@ -0,0 +1,113 @@
+/**
+ * Governor limit usage from CUMULATIVE_LIMIT_USAGE / LIMIT_USAGE_FOR_NS blocks
+ *
+ *   12:00:00.014 (14000000)|LIMIT_USAGE_FOR_NS|(default)|
+ *     Number of SOQL queries: 3 out of 100
+ *     Maximum CPU time: 85 out of 10000 ******* CLOSE TO LIMIT
+ */
+
+const LIMIT_LINE_RE = /^\s*(.+?):\s*(\d+)\s+out of\s+(\d+)/;
+
+// Log label → stable key used by the API and config
+const LIMIT_KEYS = {
+  'Number of SOQL queries': 'soqlQueries',
+  'Number of query rows': 'queryRows',
+  'Number of SOSL queries': 'soslQueries',
+  'Number of DML statements': 'dmlStatements',
+  'Number of Publish Immediate DML': 'publishImmediateDml',
+  'Number of DML rows': 'dmlRows',
+  'Maximum CPU time': 'cpuTime',
+  'Maximum heap size': 'heapSize',
+  'Number of callouts': 'callouts',
+  'Number of Email Invocations': 'emailInvocations',
+  'Number of future calls': 'futureCalls',
+  'Number of queueable jobs added to the queue': 'queueableJobs',
+  'Number of Mobile Apex push calls': 'mobilePushCalls',
+};
+
+const QUICK_FIXES = {
+  soqlQueries: 'Move SOQL out of loops; query once and keep results in a Map',
+  queryRows: 'Add selective WHERE filters or LIMIT; use SOQL for-loops for large sets',
+  soslQueries: 'Combine SOSL searches and run them outside loops',
+  dmlStatements: 'Bulkify DML: collect records in a List and insert/update once',
+  dmlRows: 'Reduce rows per transaction; move bulk work to Batch Apex',
+  cpuTime: 'Reduce nested loops and repeated work; move heavy processing to async Apex',
+  heapSize: 'Avoid holding large collections; clear references and use SOQL for-loops',
+  callouts: 'Batch callouts or move them to Queueable/Future jobs',
+  futureCalls: 'Enqueue fewer @future calls; prefer a single Queueable',
+  queueableJobs: 'Chain Queueable jobs instead of enqueuing many at once',
+};
+
+function limitKey(label) {
+  if (LIMIT_KEYS[label]) return LIMIT_KEYS[label];
+  return label.replace(/^(Number of|Maximum)\s+/i, '').toLowerCase()
+    .replace(/[^a-z0-9]+(.)/g, (_, c) => c.toUpperCase()).replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/** Parse the text of one LIMIT_USAGE_FOR_NS block into { key: { label, used, max, pct } } */
+function parseLimitBlock(text) {
+  const limits = {};
+  for (const line of text.split('\n')) {
+    const m = LIMIT_LINE_RE.exec(line);
+    if (!m) continue;
+    const used = parseInt(m[2], 10);
+    const max = parseInt(m[3], 10);
+    limits[limitKey(m[1].trim())] = { label: m[1].trim(), used, max, pct: max ? Math.round((used / max) * 1000) / 10 : 0 };
+  }
+  return limits;
+}
+
+/**
+ * Limit usage per namespace for a transaction's events.
+ * A transaction can print several cumulative blocks (one per code unit); the last one per namespace wins.
+ */
+function parseLimitUsage(events) {
+  const byNamespace = {};
+  for (const e of events) {
+    if (e.type !== 'LIMIT_USAGE_FOR_NS') continue;
+    const namespace = (e.fields[0] || '(default)').trim() || '(default)';
+    const limits = parseLimitBlock(e.fields.slice(1).join('\n'));
+    if (Object.keys(limits).length) byNamespace[namespace] = limits;
+  }
+  return byNamespace;
+}
+
+/** Threshold (percent) for one limit key from the `limits` section of the project config */
+function thresholdFor(key, limitsConfig = {}) {
+  return limitsConfig.perLimit?.[key] ?? limitsConfig.warnPercent ?? 80;
+}
+
+/** Limits at or above their threshold, highest usage first */
+function evaluateLimits(usage, limitsConfig) {
+  const warnings = [];
+  for (const [namespace, limits] of Object.entries(usage || {})) {
+    for (const [key, l] of Object.entries(limits)) {
+      const threshold = thresholdFor(key, limitsConfig);
+      if (l.max && l.pct >= threshold) warnings.push({ namespace, key, ...l, threshold });
+    }
+  }
+  return warnings.sort((a, b) => b.pct - a.pct);
+}
+
+/** Highest usage of every limit across transactions: [{ key, namespace, used, max, pct, transactionId }] */
+function worstOffenders(transactions) {
+  const worst = {};
+  for (const tx of transactions) {
+    for (const [namespace, limits] of Object.entries(tx.limits || {})) {
+      for (const [key, l] of Object.entries(limits)) {
+        const id = `${namespace}:${key}`;
+        if (!worst[id] || l.pct > worst[id].pct) worst[id] = { namespace, key, ...l, transactionId: tx.id };
+      }
+    }
+  }
+  return Object.values(worst).filter((w) => w.used > 0).sort((a, b) => b.pct - a.pct);
+}
+
+module.exports = {
+  QUICK_FIXES,
+  parseLimitBlock,
+  parseLimitUsage,
+  thresholdFor,
+  evaluateLimits,
+  worstOffenders,
+};
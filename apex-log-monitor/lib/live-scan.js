@@ -0,0 +1,100 @@
+/**
+ * Background regex scan of a tailing session. Each finished transaction is queued and scanned with
+ * analyzeLogs(), one per turn of the event loop, so a burst of large transactions never holds up the stream.
+ * Findings are kept by fingerprint with their count, the transactions they came from and where those started.
+ */
+
+const { analyzeLogs } = require('./regex-analyzer');
+const { SEVERITY_RANK } = require('./report-formats');
+
+const MAX_TRANSACTION_IDS = 20; // Most recent transactions kept per finding
+const MAX_ORIGINS = 5;
+
+/** `queueable ← trigger #3`: the entry point of the transaction and, for async jobs, what enqueued it */
+function originOf(tx) {
+  if (!tx.entryPoint) return null;
+  return tx.entryPoint.kind + (tx.parent ? ` ← ${tx.parent.kind} #${tx.parent.id}` : '');
+}
+
+/**
+ * `loadOptions()` returns { config, ignored } for analyzeLogs and is called once per run through the queue;
+ * `onUpdate(summary)` follows every scanned transaction. Returns { add, summary, list, reset }.
+ */
+function createLiveScanner({ loadOptions = () => ({}), onUpdate = () => {} } = {}) {
+  let queue = [];
+  let findings = new Map(); // fingerprint -> finding
+  let scanned = 0;
+  let options = null; // Loaded when a run through the queue starts
+
+  function record(e, tx) {
+    if (!findings.has(e.fingerprint)) {
+      findings.set(e.fingerprint, {
+        fingerprint: e.fingerprint,
+        type: e.type,
+        severity: e.severity,
+        exceptionType: e.exceptionType || null,
+        message: e.message ?? '',
+        frames: e.frames || [],
+        sample: e.line,
+        context: e.context,
+        occurrences: 0,
+        transactionIds: [],
+        origins: [],
+        firstSeen: new Date().toISOString(),
+      });
+    }
+    const f = findings.get(e.fingerprint);
+    f.occurrences++;
+    f.lastSeen = new Date().toISOString();
+    if ((SEVERITY_RANK[e.severity] || 0) > (SEVERITY_RANK[f.severity] || 0)) f.severity = e.severity;
+    if (f.transactionIds[f.transactionIds.length - 1] !== tx.id) {
+      f.transactionIds.push(tx.id);
+      if (f.transactionIds.length > MAX_TRANSACTION_IDS) f.transactionIds.shift();
+    }
+    const origin = originOf(tx);
+    if (origin && !f.origins.includes(origin) && f.origins.length < MAX_ORIGINS) f.origins.push(origin);
+  }
+
+  function next() {
+    const tx = queue.shift();
+    if (!tx) {
+      options = null;
+      return;
+    }
+    if (!options) options = loadOptions();
+    try {
+      // The tailer already parsed tx; hand it over instead of parsing tx.raw a second time
+      const { errors } = analyzeLogs(tx.raw || '', options.config, { ignored: options.ignored, transactions: tx.events ? [tx] : null });
+      for (const e of errors) record(e, tx);
+    } catch (_) {}
+    scanned++;
+    onUpdate(summary());
+    setImmediate(next);
+  }
+
+  /** Counts for the toolbar: occurrences by severity, distinct issues, transactions scanned and waiting */
+  function summary() {
+    const counts = { error: 0, warning: 0, info: 0 };
+    for (const f of findings.values()) counts[counts[f.severity] !== undefined ? f.severity : 'warning'] += f.occurrences;
+    return { ...counts, issues: findings.size, scanned, pending: queue.length };
+  }
+
+  return {
+    add(tx) {
+      queue.push(tx);
+      if (queue.length === 1 && !options) setImmediate(next);
+    },
+    summary,
+    /** Findings, most severe first, then most frequent */
+    list() {
+      return [...findings.values()].sort((a, b) => (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0) || b.occurrences - a.occurrences);
+    },
+    reset() {
+      queue = [];
+      findings = new Map();
+      scanned = 0;
+    },
+  };
+}
+
+module.exports = { createLiveScanner };
@@ -0,0 +1,47 @@
+/**
+ * Bounded ring of tail output chunks with monotonically increasing sequence numbers.
+ * Clients resume with since(seq); sequence numbers keep increasing across clear() so a stale
+ * client never mistakes a new audit's chunks for ones it has already seen.
+ */
+
+function createLogBuffer({ maxBytes = 2 * 1024 * 1024 } = {}) {
+  let chunks = [];
+  let bytes = 0; // UTF-8 size of the chunks, which is what maxBytes bounds
+  let seq = 0;
+
+  return {
+    /** Append a chunk; returns its sequence number */
+    push(text) {
+      const chunk = { seq: ++seq, text };
+      chunks.push(chunk);
+      bytes += Buffer.byteLength(text);
+      // Always keep the newest chunk, even if it alone exceeds maxBytes
+      while (bytes > maxBytes && chunks.length > 1) bytes -= Buffer.byteLength(chunks.shift().text);
+      return chunk.seq;
+    },
+    /**
+     * Chunks after `since`. `truncated` is true when chunks the caller has not seen were already evicted,
+     * so it should reset its view instead of appending.
+     */
+    since(since = 0) {
+      const after = chunks.filter((c) => c.seq > since);
+      const oldest = chunks.length ? chunks[0].seq : seq + 1;
+      return { chunks: after, lastSeq: seq, truncated: since > 0 && since < oldest - 1 };
+    },
+    text() {
+      return chunks.map((c) => c.text).join('');
+    },
+    clear() {
+      chunks = [];
+      bytes = 0;
+    },
+    get lastSeq() {
+      return seq;
+    },
+    get size() {
+      return bytes;
+    },
+  };
+}
+
+module.exports = { createLogBuffer };
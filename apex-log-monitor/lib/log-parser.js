@@ -0,0 +1,287 @@
+/**
+ * Apex debug log parser
+ * Splits `sf apex tail log` output into transactions (EXECUTION_STARTED → EXECUTION_FINISHED)
+ * and builds a nested event tree (code units, methods, SOQL, DML, exceptions) for each one.
+ *
+ * Line format: `HH:MM:SS.mmm (elapsedNanos)|EVENT_TYPE|[line]|field|field…`
+ * Log header:  `59.0 APEX_CODE,FINEST;APEX_PROFILING,INFO;…`
+ */
+
+const HEADER_RE = /^(\d+\.\d+)\s+([A-Za-z_]+,[A-Za-z]+(?:;[A-Za-z_]+,[A-Za-z]+)*)\s*$/;
+const EVENT_RE = /^(\d{1,2}:\d{2}:\d{2}\.\d{1,3})\s+\((\d+)\)\|([A-Z_]+)(?:\|(.*))?$/;
+const LINE_MARKER_RE = /^\[(\d+|EXTERNAL)\]$/;
+const SF_ID_RE = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+const ANSI_RE = /\x1b\[[0-9;]*m/g;
+
+// Begin/end event pairs that open and close a node in the tree
+const NODE_PAIRS = {
+  CODE_UNIT_STARTED: { end: 'CODE_UNIT_FINISHED', kind: 'CODE_UNIT' },
+  METHOD_ENTRY: { end: 'METHOD_EXIT', kind: 'METHOD' },
+  CONSTRUCTOR_ENTRY: { end: 'CONSTRUCTOR_EXIT', kind: 'CONSTRUCTOR' },
+  SOQL_EXECUTE_BEGIN: { end: 'SOQL_EXECUTE_END', kind: 'SOQL' },
+  SOSL_EXECUTE_BEGIN: { end: 'SOSL_EXECUTE_END', kind: 'SOSL' },
+  DML_BEGIN: { end: 'DML_END', kind: 'DML' },
+};
+const END_TO_BEGIN = Object.fromEntries(Object.entries(NODE_PAIRS).map(([begin, { end }]) => [end, begin]));
+
+// Single events that are kept as leaves in the tree (everything else stays in the flat event list)
+const LEAF_EVENTS = {
+  EXCEPTION_THROWN: 'EXCEPTION',
+  FATAL_ERROR: 'EXCEPTION',
+  VALIDATION_FAIL: 'VALIDATION',
+  FLOW_ELEMENT_ERROR: 'EXCEPTION',
+};
+
+/** Parse `59.0 APEX_CODE,FINEST;DB,INFO` into { apiVersion, logLevels } */
+function parseHeader(line) {
+  const m = HEADER_RE.exec(line);
+  if (!m) return null;
+  const logLevels = {};
+  for (const pair of m[2].split(';')) {
+    const [category, level] = pair.split(',');
+    logLevels[category] = level;
+  }
+  return { apiVersion: m[1], logLevels };
+}
+
+/** Parse one event line; returns null for header, continuation and non-log lines */
+function parseLine(line) {
+  const m = EVENT_RE.exec(line);
+  if (!m) return null;
+  const fields = m[4] != null ? m[4].split('|') : [];
+  let lineNumber = null;
+  if (fields.length && LINE_MARKER_RE.test(fields[0])) {
+    const marker = fields.shift().slice(1, -1);
+    lineNumber = marker === 'EXTERNAL' ? null : parseInt(marker, 10);
+  }
+  return { time: m[1], nanos: parseInt(m[2], 10), type: m[3], lineNumber, fields, text: line };
+}
+
+/** Human readable name for a begin/leaf event */
+function eventName(event) {
+  const f = event.fields;
+  switch (event.type) {
+    case 'CODE_UNIT_STARTED':
+      return (f.length >= 2 && SF_ID_RE.test(f[0]) ? f[1] : f[0]) || '';
+    case 'METHOD_ENTRY':
+    case 'CONSTRUCTOR_ENTRY':
+      return f[f.length - 1] || '';
+    case 'SOQL_EXECUTE_BEGIN':
+    case 'SOSL_EXECUTE_BEGIN':
+      return f[f.length - 1] || '';
+    case 'DML_BEGIN': {
+      const op = (f.find((x) => x.startsWith('Op:')) || '').slice(3);
+      const type = (f.find((x) => x.startsWith('Type:')) || '').slice(5);
+      return [op, type].filter(Boolean).join(' ');
+    }
+    default:
+      return f.join('|');
+  }
+}
+
+/** Read `Key:value` fields (e.g. Rows:3, Op:Insert) into an object */
+function keyedFields(fields) {
+  const out = {};
+  for (const f of fields) {
+    const m = /^([A-Za-z]+):(.*)$/.exec(f);
+    if (m) out[m[1].charAt(0).toLowerCase() + m[1].slice(1)] = /^\d+$/.test(m[2]) ? parseInt(m[2], 10) : m[2];
+  }
+  return out;
+}
+
+function newNode(kind, event) {
+  const node = {
+    kind,
+    type: event.type,
+    name: eventName(event),
+    lineNumber: event.lineNumber,
+    time: event.time,
+    startNanos: event.nanos,
+    endNanos: null,
+    durationMs: null,
+    children: [],
+  };
+  if (kind === 'DML') {
+    const { op, type, rows } = keyedFields(event.fields);
+    Object.assign(node, { op: op || null, sobjectType: type || null, rows: rows ?? null });
+  }
+  return node;
+}
+
+function closeNode(node, nanos, closed) {
+  node.endNanos = nanos;
+  node.durationMs = Math.round((nanos - node.startNanos) / 1e4) / 100;
+  if (!closed) node.unclosed = true;
+}
+
+/** Build the nested event tree from a transaction's flat event list */
+function buildTree(events) {
+  const root = { children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  let lastNanos = 0;
+  for (const event of events) {
+    lastNanos = event.nanos;
+    const pair = NODE_PAIRS[event.type];
+    if (pair) {
+      const node = newNode(pair.kind, event);
+      top().children.push(node);
+      stack.push(node);
+      continue;
+    }
+    const beginType = END_TO_BEGIN[event.type];
+    if (beginType) {
+      // Pop to the matching begin; anything above it never saw its own end event (e.g. exception unwinding)
+      const idx = stack.map((n) => n.type).lastIndexOf(beginType);
+      if (idx <= 0) continue;
+      while (stack.length > idx + 1) closeNode(stack.pop(), event.nanos, false);
+      const node = stack.pop();
+      closeNode(node, event.nanos, true);
+      if (node.kind === 'SOQL' || node.kind === 'SOSL') node.rows = keyedFields(event.fields).rows ?? null;
+      continue;
+    }
+    const leafKind = LEAF_EVENTS[event.type];
+    if (leafKind) {
+      top().children.push({
+        kind: leafKind,
+        type: event.type,
+        name: event.fields.join('|').split('\n')[0],
+        message: event.fields.join('|'),
+        lineNumber: event.lineNumber,
+        time: event.time,
+        startNanos: event.nanos,
+        children: [],
+      });
+    }
+  }
+  while (stack.length > 1) closeNode(stack.pop(), lastNanos, false);
+  return root.children;
+}
+
+/** Drop tree and events, keeping the fields the transaction list needs */
+function summarizeTransaction(tx) {
+  const { events, tree, raw, ...summary } = tx;
+  return summary;
+}
+
+function finalizeTransaction(tx, complete) {
+  const events = tx.events;
+  for (const e of events) e.fields = e.fields.map((f) => f.replace(/\n+$/, ''));
+  tx.complete = complete;
+  delete tx.started;
+  tx.raw = tx.lines.join('\n');
+  delete tx.lines;
+  tx.lineCount = tx.raw ? tx.raw.split('\n').length : 0;
+  tx.eventCount = events.length;
+  tx.startTime = events[0]?.time || null;
+  tx.endTime = events[events.length - 1]?.time || null;
+  tx.durationMs = events.length ? Math.round((events[events.length - 1].nanos - events[0].nanos) / 1e4) / 100 : 0;
+  tx.tree = buildTree(events);
+  tx.codeUnits = tx.tree.filter((n) => n.kind === 'CODE_UNIT').map((n) => n.name);
+  tx.errorCount = events.filter((e) => LEAF_EVENTS[e.type] === 'EXCEPTION').length;
+  return tx;
+}
+
+/**
+ * Incremental parser: feed raw tail chunks with write(); completed transactions are passed to onTransaction.
+ * Chunks may split lines anywhere; a trailing partial line is held until the next write() or flush().
+ */
+function createTransactionParser({ onTransaction } = {}) {
+  let partial = '';
+  let header = null;
+  let current = null;
+  let nextId = 1;
+
+  const emit = (complete) => {
+    const tx = finalizeTransaction(current, complete);
+    current = null;
+    if (onTransaction) onTransaction(tx);
+    return tx;
+  };
+
+  const open = (withHeaderLine = false) => {
+    current = {
+      id: nextId++,
+      apiVersion: header?.apiVersion || null,
+      logLevels: header?.logLevels || {},
+      receivedAt: new Date().toISOString(),
+      started: false,
+      events: [],
+      lines: withHeaderLine ? [header.line] : [],
+    };
+  };
+
+  const handleLine = (rawLine) => {
+    const line = rawLine.replace(ANSI_RE, '').replace(/\r$/, '');
+    const h = parseHeader(line);
+    if (h) {
+      if (current && (current.started || current.events.length)) emit(false);
+      header = { ...h, line };
+      open(true);
+      return;
+    }
+    const event = parseLine(line);
+    if (!event) {
+      // Continuation of a multi-line message (FATAL_ERROR stack, USER_DEBUG, LIMIT_USAGE_FOR_NS block)
+      const last = current?.events[current.events.length - 1];
+      if (last) {
+        if (last.fields.length) last.fields[last.fields.length - 1] += '\n' + line;
+        else last.fields.push(line);
+        last.text += '\n' + line;
+        current.lines.push(line);
+      }
+      return;
+    }
+    if (event.type === 'EXECUTION_STARTED') {
+      if (current?.started) emit(false);
+      if (!current) open();
+      current.started = true;
+    } else if (!current) {
+      open();
+    }
+    current.events.push(event);
+    current.lines.push(line);
+    if (event.type === 'EXECUTION_FINISHED') emit(true);
+  };
+
+  return {
+    write(chunk) {
+      const text = partial + chunk;
+      const lines = text.split('\n');
+      partial = lines.pop();
+      for (const line of lines) handleLine(line);
+    },
+    /** Process any held partial line and close the open transaction (marked incomplete) */
+    flush() {
+      if (partial) handleLine(partial);
+      partial = '';
+      if (current && current.events.length) return emit(false);
+      current = null;
+      return null;
+    },
+    /** Snapshot of the transaction still being received, or null */
+    pending() {
+      if (!current?.events.length) return null;
+      return { id: current.id, startTime: current.events[0].time, eventCount: current.events.length, complete: false };
+    },
+  };
+}
+
+/** One-shot parse of a full log text (e.g. a saved .log file) into transactions */
+function parseTransactions(text) {
+  const transactions = [];
+  const parser = createTransactionParser({ onTransaction: (tx) => transactions.push(tx) });
+  parser.write(text);
+  parser.flush();
+  return transactions;
+}
+
+module.exports = {
+  parseHeader,
+  parseLine,
+  eventName,
+  buildTree,
+  createTransactionParser,
+  parseTransactions,
+  summarizeTransaction,
+};
@@ -0,0 +1,72 @@
+/**
+ * Cut part of a debug log for targeted analysis: a line range or a time range, plus the lines around it
+ * for model analyzers. Lines without a timestamp (the rest of a multi-line USER_DEBUG, stack traces) belong
+ * to the event before them.
+ */
+
+const DEFAULT_CONTEXT_LINES = 20;
+const LINE_TIME_RE = /^(\d{1,2}):(\d{2}):(\d{2})\.(\d{1,3})\s+\(\d+\)\|/;
+const RANGE_TIME_RE = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+/** ms since midnight of a log line, or null when it has no timestamp */
+function lineTime(line) {
+  const m = LINE_TIME_RE.exec(line);
+  return m ? ((+m[1] * 60 + +m[2]) * 60 + +m[3]) * 1000 + +m[4].padEnd(3, '0') : null;
+}
+
+/**
+ * ms since midnight of a range bound (12:05, 12:05:30 or 12:05:30.250), or null when invalid. An end bound
+ * covers the whole minute or second it names.
+ */
+function boundTime(value, isEnd) {
+  const m = RANGE_TIME_RE.exec(String(value).trim());
+  if (!m || +m[1] > 23 || +m[2] > 59 || +(m[3] || 0) > 59) return null;
+  const ms = ((+m[1] * 60 + +m[2]) * 60 + +(m[3] || 0)) * 1000 + +(m[4] || '0').padEnd(3, '0');
+  if (!isEnd || m[4]) return ms;
+  return ms + (m[3] ? 999 : 59999);
+}
+
+/** [from, to) line indexes of a time range; either bound may be left out */
+function timeBounds(lines, { from, to } = {}) {
+  const start = from ? boundTime(from, false) : -Infinity;
+  const end = to ? boundTime(to, true) : Infinity;
+  if (start == null || end == null) return { error: 'Times must look like 12:05, 12:05:30 or 12:05:30.250' };
+  let first = -1;
+  let last = -1;
+  let current = null;
+  for (let i = 0; i < lines.length; i++) {
+    current = lineTime(lines[i]) ?? current;
+    if (current == null || current < start || current > end) continue;
+    if (first < 0) first = i;
+    last = i;
+  }
+  return first < 0 ? { error: `No log lines between ${from || 'the start'} and ${to || 'the end'}` } : { from: first, to: last + 1 };
+}
+
+/** [from, to) line indexes of a 1-based inclusive line range */
+function lineBounds(count, { from, to } = {}) {
+  const start = from == null || from === '' ? 1 : Number(from);
+  const end = to == null || to === '' ? count : Math.min(Number(to), count);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) return { error: 'Lines must be 1-based with from ≤ to' };
+  if (start > count) return { error: `The log has only ${count} lines` };
+  return { from: start - 1, to: end };
+}
+
+/**
+ * Part of `text` by `lines` ({ from, to }, 1-based, inclusive) or `time` ({ from, to }); the whole text when
+ * neither is given. Returns { content, before, after, range } or { error }; `range` describes the cut.
+ */
+function sliceLog(text, { lines, time, contextLines = DEFAULT_CONTEXT_LINES } = {}) {
+  const all = String(text).replace(/\n$/, '').split('\n');
+  const bounds = lines ? lineBounds(all.length, lines) : time ? timeBounds(all, time) : { from: 0, to: all.length };
+  if (bounds.error) return bounds;
+  const { from, to } = bounds;
+  return {
+    content: all.slice(from, to).join('\n'),
+    before: all.slice(Math.max(0, from - contextLines), from).join('\n'),
+    after: all.slice(to, to + contextLines).join('\n'),
+    range: lines || time ? `lines ${from + 1}–${to}` + (time ? ` (${time.from || 'start'}–${time.to || 'end'})` : '') : '',
+  };
+}
+
+module.exports = { sliceLog, lineTime };
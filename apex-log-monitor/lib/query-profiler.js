@@ -0,0 +1,108 @@
+/**
+ * SOQL/DML profiler
+ * Aggregates SOQL, SOSL and DML nodes of a transaction tree by normalized statement and by calling line,
+ * and flags the same statement issued repeatedly from one line (query/DML inside a loop).
+ */
+
+const DEFAULT_LOOP_THRESHOLD = 3;
+
+/** Strip literals and bind values so the same statement with different inputs groups together */
+function normalizeQuery(text) {
+  return String(text || '')
+    .replace(/'(?:[^'\\]|\\.)*'/g, '?')
+    .replace(/:\s*[A-Za-z_][\w.]*(?:\(\))?/g, ':?')
+    .replace(/\bIN\s*\(\s*[^)]*\)/gi, 'IN (?)')
+    .replace(/\b\d+(\.\d+)?\b/g, '?')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function statementOf(node) {
+  if (node.kind === 'DML') return [node.op, node.sobjectType].filter(Boolean).join(' ') || node.name;
+  return normalizeQuery(node.name);
+}
+
+/** Walk the tree collecting query/DML nodes with the method (or code unit) that issued them */
+function collectStatements(nodes, caller = null, out = []) {
+  for (const node of nodes) {
+    if (node.kind === 'SOQL' || node.kind === 'SOSL' || node.kind === 'DML') {
+      out.push({ node, caller });
+    }
+    const nextCaller = node.kind === 'METHOD' || node.kind === 'CONSTRUCTOR' || node.kind === 'CODE_UNIT' ? node.name : caller;
+    if (node.children?.length) collectStatements(node.children, nextCaller, out);
+  }
+  return out;
+}
+
+function addStats(entry, node) {
+  entry.count++;
+  entry.rows += node.rows || 0;
+  entry.totalMs = Math.round((entry.totalMs + (node.durationMs || 0)) * 100) / 100;
+}
+
+/**
+ * Profile one parsed transaction.
+ * Returns { queries: [...by statement], lines: [...by calling line], loops: [...repeated from one line] }
+ */
+function profileTransaction(tx, { loopThreshold = DEFAULT_LOOP_THRESHOLD } = {}) {
+  const byStatement = new Map();
+  const byLine = new Map();
+  for (const { node, caller } of collectStatements(tx.tree || [])) {
+    const kind = node.kind === 'DML' ? 'DML' : node.kind;
+    const statement = statementOf(node);
+    const sKey = `${kind}|${statement}`;
+    if (!byStatement.has(sKey)) byStatement.set(sKey, { kind, statement, count: 0, rows: 0, totalMs: 0, lineNumbers: [] });
+    const s = byStatement.get(sKey);
+    addStats(s, node);
+    if (node.lineNumber != null && !s.lineNumbers.includes(node.lineNumber)) s.lineNumbers.push(node.lineNumber);
+
+    const lKey = `${sKey}|${caller || ''}|${node.lineNumber ?? ''}`;
+    if (!byLine.has(lKey)) byLine.set(lKey, { kind, statement, caller, lineNumber: node.lineNumber, count: 0, rows: 0, totalMs: 0 });
+    addStats(byLine.get(lKey), node);
+  }
+  const queries = [...byStatement.values()].sort((a, b) => b.count - a.count || b.totalMs - a.totalMs);
+  const lines = [...byLine.values()].sort((a, b) => b.count - a.count || b.totalMs - a.totalMs);
+  const loops = lines
+    .filter((l) => l.count >= loopThreshold)
+    .map((l) => ({ ...l, type: l.kind === 'DML' ? 'DML_IN_LOOP' : 'SOQL_IN_LOOP' }));
+  return { queries, lines, loops };
+}
+
+/** Merge per-transaction statement stats into session totals */
+function aggregateProfiles(profiles) {
+  const merged = new Map();
+  for (const p of profiles) {
+    for (const q of p.queries) {
+      const key = `${q.kind}|${q.statement}`;
+      if (!merged.has(key)) merged.set(key, { kind: q.kind, statement: q.statement, count: 0, rows: 0, totalMs: 0, transactions: 0 });
+      const m = merged.get(key);
+      m.count += q.count;
+      m.rows += q.rows;
+      m.totalMs = Math.round((m.totalMs + q.totalMs) * 100) / 100;
+      m.transactions++;
+    }
+  }
+  return [...merged.values()].sort((a, b) => b.count - a.count || b.totalMs - a.totalMs);
+}
+
+/** Findings in the analyzeLogs() `errors` shape for statements repeated from one line */
+function loopFindings(tx, profile) {
+  return profile.loops.map((l) => ({
+    line: `${l.kind} issued ${l.count}× from ${l.caller || 'unknown caller'}${l.lineNumber != null ? ` line ${l.lineNumber}` : ''}: ${l.statement}`,
+    type: l.type,
+    severity: 'warning',
+    context: `Transaction at ${tx.startTime || '?'} (${tx.codeUnits?.[0] || 'no code unit'}): ${l.count} executions, ${l.rows} rows, ${l.totalMs} ms`,
+    count: l.count,
+    lineNumber: l.lineNumber,
+    method: l.caller,
+  }));
+}
+
+module.exports = {
+  DEFAULT_LOOP_THRESHOLD,
+  normalizeQuery,
+  statementOf,
+  profileTransaction,
+  aggregateProfiles,
+  loopFindings,
+};
@@ -0,0 +1,144 @@
+/**
+ * Redaction of personal data and credentials in log text before it is stored or sent to an analyzer.
+ * Built-in detectors plus `redaction.rules` from .debugfast.json; every distinct value gets a stable
+ * placeholder (<EMAIL_1>, <EMAIL_2>, …) so redacted logs still show which lines refer to the same thing.
+ *
+ *   { "redaction": { "enabled": true, "detectors": { "phone": false },
+ *                    "rules": [{ "name": "ssn", "pattern": "\\b\\d{3}-\\d{2}-\\d{4}\\b", "label": "SSN" }] } }
+ */
+
+// Timestamp, nanos, event and line marker are never redacted, so parsing and line references keep working
+const EVENT_PREFIX_RE = /^(?:\x1b\[[0-9;]*m)*\d{1,2}:\d{2}:\d{2}\.\d{1,3}\s+\(\d+\)\|[A-Z_]+\|(?:\[(?:\d+|EXTERNAL)\]\|)?/;
+const MAX_CARRY = 64 * 1024; // A partial line longer than this is redacted as it is rather than held back
+
+/** Luhn checksum, so only plausible card numbers are replaced */
+function luhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+// Applied in this order; earlier detectors win where matches overlap
+const BUILTIN_DETECTORS = [
+  { name: 'sessionId', label: 'SESSION_ID', pattern: /\b00D[A-Za-z0-9]{12}(?:[A-Za-z0-9]{3})?![A-Za-z0-9._]{20,}|(?<=\bsid=)[A-Za-z0-9!._]{20,}/g },
+  { name: 'oauthToken', label: 'TOKEN', pattern: /(?<=\bBearer\s+)[A-Za-z0-9\-._~+/]{20,}=*|(?<=\b(?:access_token|refresh_token|id_token)["']?\s*[:=]\s*["']?)[A-Za-z0-9\-._~+/!]{20,}=*/gi },
+  { name: 'email', label: 'EMAIL', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g },
+  { name: 'creditCard', label: 'CARD', pattern: /(?<!\w)(?:\d[ -]?){12,18}\d(?!\w)/g, validate: luhn },
+  {
+    name: 'phone',
+    label: 'PHONE',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{3}\)[ .-]?|\d{3}[ .-])\d{3}[ .-]\d{4}(?!\w)|(?<![\w+])\+\d{1,3}(?:[ .-]\d{2,5}){2,4}(?![\w.-])/g,
+  },
+];
+
+/** Built-in detectors not switched off plus valid user rules; invalid rules are reported in `errors` */
+function compileDetectors(config = {}) {
+  const toggles = config.detectors || {};
+  const detectors = BUILTIN_DETECTORS.filter((d) => toggles[d.name] !== false);
+  const errors = [];
+  (Array.isArray(config.rules) ? config.rules : []).forEach((rule, i) => {
+    const name = rule?.name || `rule${i + 1}`;
+    try {
+      const flags = [...new Set(`${rule.flags || ''}g`)].join('');
+      const pattern = new RegExp(rule.pattern, flags);
+      if (pattern.test('')) throw new Error('pattern matches the empty string');
+      detectors.push({ name, label: String(rule.label || name).toUpperCase().replace(/[^A-Z0-9_]/g, '_'), pattern });
+    } catch (e) {
+      errors.push(`redaction rule ${name}: ${e.message}`);
+    }
+  });
+  return { detectors, errors };
+}
+
+/**
+ * Redactor for the `redaction` config section. Pass the previous redactor of the same session to keep
+ * its placeholders, so a value redacted before a restart or rule change keeps the same placeholder.
+ */
+function createRedactor(config = {}, previous = null) {
+  const enabled = config.enabled !== false;
+  const { detectors, errors } = compileDetectors(config);
+  const placeholders = previous?.placeholders || new Map(); // label + value -> placeholder
+  const counts = previous?.counts || new Map(); // label -> last number handed out
+
+  const placeholderFor = (label, value) => {
+    const key = `${label}\u0000${value}`;
+    if (!placeholders.has(key)) {
+      const n = (counts.get(label) || 0) + 1;
+      counts.set(label, n);
+      placeholders.set(key, `<${label}_${n}>`);
+    }
+    return placeholders.get(key);
+  };
+
+  const redactLine = (line, onMatch) => {
+    const prefix = EVENT_PREFIX_RE.exec(line)?.[0] || '';
+    let rest = line.slice(prefix.length);
+    for (const d of detectors) {
+      rest = rest.replace(d.pattern, (value) => {
+        if (d.validate && !d.validate(value)) return value;
+        const placeholder = placeholderFor(d.label, value);
+        if (onMatch) onMatch({ detector: d.name, value, placeholder });
+        return placeholder;
+      });
+    }
+    return prefix + rest;
+  };
+
+  /** Redact whole lines of text; onMatch({ detector, value, placeholder }) sees every replacement */
+  const redact = (text, { onMatch } = {}) => {
+    if (!enabled || !text) return text;
+    return text.split('\n').map((line) => redactLine(line, onMatch)).join('\n');
+  };
+
+  return {
+    enabled,
+    errors,
+    placeholders,
+    counts,
+    detectors: detectors.map((d) => d.name),
+    redact,
+    /** Line-buffered redaction for streamed chunks: write() returns redacted complete lines, flush() the rest */
+    lineStream() {
+      let carry = '';
+      return {
+        write(chunk) {
+          if (!enabled) return chunk;
+          const text = carry + chunk;
+          const cut = text.length > MAX_CARRY ? text.length : text.lastIndexOf('\n') + 1;
+          carry = text.slice(cut);
+          return cut ? redact(text.slice(0, cut)) : '';
+        },
+        flush() {
+          const rest = carry;
+          carry = '';
+          return rest ? redact(rest) : '';
+        },
+      };
+    },
+  };
+}
+
+/** Dry run with a throwaway redactor: redacted text plus each distinct replacement and how often it occurred */
+function previewRedaction(text, config = {}) {
+  const redactor = createRedactor({ ...config, enabled: true });
+  const seen = new Map();
+  const redacted = redactor.redact(String(text || ''), {
+    onMatch: ({ detector, value, placeholder }) => {
+      const entry = seen.get(placeholder) || { detector, value, placeholder, count: 0 };
+      entry.count++;
+      seen.set(placeholder, entry);
+    },
+  });
+  return { enabled: config.enabled !== false, detectors: redactor.detectors, errors: redactor.errors, redacted, replacements: [...seen.values()] };
+}
+
+module.exports = {
+  BUILTIN_DETECTORS,
+  createRedactor,
+  previewRedaction,
+};
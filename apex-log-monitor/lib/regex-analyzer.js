@@ -0,0 +1,170 @@
+/**
+ * Offline log scan: regex patterns over single lines plus findings from the parsed transaction structure
+ * (query/DML in loops, governor limits over threshold). Always available; also the last analyzer fallback.
+ */
+
+const { parseLine, eventName, parseTransactions } = require('./log-parser');
+const { QUICK_FIXES, parseLimitUsage, evaluateLimits } = require('./limits');
+const { profileTransaction, loopFindings } = require('./query-profiler');
+const { traceCallouts, calloutFindings } = require('./callouts');
+const { traceFlows, flowFindings } = require('./flows');
+const { withFingerprints, groupErrors } = require('./issues');
+
+const ERROR_PATTERNS = [
+  { pattern: /\|EXCEPTION_THROWN(?!\w)/g, label: 'EXCEPTION_THROWN', severity: 'error' },
+  { pattern: /\|FATAL_ERROR(?!\w)/g, label: 'FATAL_ERROR', severity: 'error' },
+  { pattern: /\|UNHANDLED_EXCEPTION(?!\w)/g, label: 'UNHANDLED_EXCEPTION', severity: 'error' },
+  { pattern: /\|VALIDATION_FAIL(?!\w)/g, label: 'VALIDATION_FAIL', severity: 'error' },
+  { pattern: /\|VALIDATION_FORMULA(?!\w)/g, label: 'VALIDATION_FORMULA', severity: 'warning' },
+  { pattern: /\|LIMIT_USAGE(?!\w)/g, label: 'LIMIT_USAGE', severity: 'warning' },
+  { pattern: /System\.LimitException/g, label: 'LIMIT_EXCEPTION', severity: 'error' },
+  { pattern: /System\.Exception/g, label: 'SYSTEM_EXCEPTION', severity: 'error' },
+  { pattern: /NullPointerException/g, label: 'NULL_POINTER', severity: 'error' },
+];
+
+const EXCEPTION_RE = /\b((?:[A-Za-z_]\w*\.)*[A-Za-z_]\w*(?:Exception|Error))\b(?::\s*(.*))?/;
+const STACK_FRAME_RE = /^(?:Class|Trigger)\.(.+?): line (\d+), column \d+/;
+const MAX_FRAMES = 3;
+
+/** Frame name without parameters or the trigger event suffix: AccountService.updateRecords, AccountTrigger */
+function frameName(name) {
+  return String(name).replace(/\(.*\)$/, '').replace(/ on \w+ trigger event \w+$/, '');
+}
+
+/** Keep the open code units and methods (with the line they were called from) while scanning */
+function trackStack(stack, event) {
+  switch (event.type) {
+    case 'EXECUTION_STARTED':
+      stack.length = 0;
+      break;
+    case 'CODE_UNIT_STARTED':
+    case 'METHOD_ENTRY':
+    case 'CONSTRUCTOR_ENTRY':
+      stack.push({ name: frameName(eventName(event)), callLine: event.lineNumber });
+      break;
+    case 'CODE_UNIT_FINISHED':
+    case 'METHOD_EXIT':
+    case 'CONSTRUCTOR_EXIT':
+      stack.pop();
+      break;
+    default:
+  }
+}
+
+/** Class.method:line frames, innermost first, for an event at `lineNumber` inside the tracked stack */
+function framesFromStack(stack, lineNumber) {
+  const frames = [];
+  let line = lineNumber;
+  for (let i = stack.length - 1; i >= 0 && frames.length < MAX_FRAMES; i--) {
+    frames.push(`${stack[i].name}:${line ?? ''}`);
+    line = stack[i].callLine;
+  }
+  return frames;
+}
+
+/** Frames from the `Class.X.y: line N, column M` lines that follow a FATAL_ERROR */
+function framesFromTrace(lines, start) {
+  const frames = [];
+  for (let j = start; j < lines.length && frames.length < MAX_FRAMES && !parseLine(lines[j]); j++) {
+    const m = STACK_FRAME_RE.exec(lines[j].trim());
+    if (m) frames.push(`${m[1]}:${m[2]}`);
+  }
+  return frames;
+}
+
+/**
+ * Findings that need the parsed transaction structure rather than single lines:
+ * SOQL/DML repeated from one line (query in a loop), governor limits above the configured threshold, failed
+ * callouts (non-2xx, timed out, or after uncommitted DML) and flow elements that failed or took a fault path.
+ * `transactions` are the parsed transactions of logContent when the caller already has them.
+ */
+function structuralFindings(logContent, config = {}, transactions = null) {
+  const findings = [];
+  for (const tx of transactions || parseTransactions(logContent)) {
+    findings.push(...loopFindings(tx, profileTransaction(tx, config.queries)));
+    findings.push(...calloutFindings(tx, traceCallouts(tx)));
+    findings.push(...flowFindings(tx, traceFlows(tx)));
+    for (const w of evaluateLimits(tx.limits || parseLimitUsage(tx.events), config.limits)) {
+      findings.push({
+        line: `${w.label}: ${w.used} out of ${w.max} (${w.pct}%)`,
+        type: 'LIMIT_THRESHOLD',
+        severity: w.pct >= 100 ? 'error' : 'warning',
+        context: `Transaction at ${tx.startTime || '?'} (${tx.codeUnits[0] || 'no code unit'}), namespace ${w.namespace}, threshold ${w.threshold}%`,
+        limit: w.key,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Scan log text; returns { report, errors, ignoredCount } with a plain-text report grouped by fingerprint and
+ * one entry per occurrence. Exceptions carry exceptionType, message and frames; line matches carry logLine (1-based)
+ * and every entry has a fingerprint.
+ * `ignored` is a Set of fingerprints left out of both. `transactions`, when given, are logContent already parsed
+ * (log-parser), so the structural checks do not parse it again.
+ */
+function analyzeLogs(logContent, config = {}, { ignored = null, transactions = null } = {}) {
+  const lines = logContent.split('\n');
+  let errors = [];
+  const stack = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const event = parseLine(line.trim());
+    if (event) trackStack(stack, event);
+    for (const { pattern, label, severity } of ERROR_PATTERNS) {
+      const re = new RegExp(pattern.source, pattern.flags);
+      if (re.test(line)) {
+        const ctxBefore = lines.slice(Math.max(0, i - 1), i).join('\n');
+        const ctxAfter = lines.slice(i + 1, Math.min(lines.length, i + 2)).join('\n');
+        const message = event ? event.fields.join('|') : line.trim();
+        const exception = EXCEPTION_RE.exec(message);
+        const trace = event?.type === 'FATAL_ERROR' ? framesFromTrace(lines, i + 1) : [];
+        errors.push({
+          line: line.trim(),
+          type: label,
+          severity,
+          context: `${ctxBefore}\n>>> ${line} <<<\n${ctxAfter}`,
+          exceptionType: exception ? exception[1] : null,
+          message: exception ? exception[2] || '' : message,
+          frames: trace.length ? trace : framesFromStack(stack, event?.lineNumber),
+          logLine: i + 1,
+        });
+        break;
+      }
+    }
+  }
+
+  errors.push(...structuralFindings(logContent, config, transactions));
+  withFingerprints(errors);
+  const ignoredCount = ignored ? errors.filter((e) => ignored.has(e.fingerprint)).length : 0;
+  if (ignoredCount) errors = errors.filter((e) => !ignored.has(e.fingerprint));
+
+  const groups = groupErrors(errors);
+  const errorTypes = new Set(errors.map((e) => e.type));
+  let report = errors.length === 0
+    ? 'No errors detected.'
+    : `Found ${groups.length} issue(s) in ${errors.length} occurrence(s): ${[...errorTypes].join(', ')}\n\n--- Errors ---\n` +
+      groups.map((g, i) => `[${i + 1}] ${g.type}${g.occurrences > 1 ? ` ×${g.occurrences}` : ''}: ${g.sample.slice(0, 100)}${g.sample.length > 100 ? '…' : ''}` +
+        (g.frames.length ? ` (${g.frames[0]})` : '')).join('\n');
+  if (ignoredCount) report += `\n\n(${ignoredCount} occurrence(s) of ignored issues not shown)`;
+
+  if (errors.length > 0) {
+    report += '\n\n--- Quick fixes ---\n';
+    if (errors.some((e) => e.type.includes('VALIDATION'))) report += '• Validation: Check rule formula\n';
+    if (errors.some((e) => e.type.includes('EXCEPTION') || e.type === 'FATAL')) report += '• Apex: Add try/catch\n';
+    if (errors.some((e) => e.type === 'SOQL_IN_LOOP')) report += `• SOQL in loop: ${QUICK_FIXES.soqlQueries}\n`;
+    if (errors.some((e) => e.type === 'DML_IN_LOOP')) report += `• DML in loop: ${QUICK_FIXES.dmlStatements}\n`;
+    if (errors.some((e) => e.type === 'CALLOUT_AFTER_DML')) report += '• Callout after DML: Make the callout first, or move it to a Queueable/@future(callout=true)\n';
+    if (errors.some((e) => e.type === 'CALLOUT_TIMEOUT')) report += '• Callout timeout: Raise HttpRequest.setTimeout() (max 120000 ms) or make the call asynchronous\n';
+    if (errors.some((e) => e.type === 'FLOW_ELEMENT_ERROR')) report += '• Flow: Add a fault path to the failing element, or fix the record or input it was given\n';
+    if (errors.some((e) => e.type === 'CALLOUT_HTTP_ERROR')) report += '• Callout error status: Check the endpoint, credentials and payload; handle non-2xx responses\n';
+    const limitKeys = [...new Set(errors.filter((e) => e.limit).map((e) => e.limit))];
+    for (const key of limitKeys) report += `• Limits (${key}): ${QUICK_FIXES[key] || 'Reduce usage of this limit'}\n`;
+    if (!limitKeys.length && errors.some((e) => e.type.includes('LIMIT'))) report += '• Limits: Optimize SOQL/DML\n';
+  }
+  return { report, errors, ignoredCount };
+}
+
+module.exports = { ERROR_PATTERNS, EXCEPTION_RE, structuralFindings, analyzeLogs };
@@ -0,0 +1,195 @@
+/**
+ * Analysis results as files for CI and export: JSON, SARIF 2.1.0, JUnit XML, Markdown and standalone HTML.
+ * Input is one entry per analyzed log: { file, source, sourceLabel, report, errors }, with `errors` in the
+ * analyzeLogs() shape (fingerprinted). Severities rank error > warning > info. The `meta` option
+ * ({ label: value }, e.g. org and time) heads the JSON, Markdown and HTML output.
+ */
+
+const { groupErrors } = require('./issues');
+
+const SEVERITY_RANK = { info: 1, warning: 2, error: 3 };
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+const TOOL_NAME = 'apex-log-monitor';
+
+/** Does a severity reach the threshold? A threshold of 'none' (or unknown) is never reached */
+function meetsThreshold(severity, threshold) {
+  const limit = SEVERITY_RANK[threshold];
+  return !!limit && (SEVERITY_RANK[severity] || SEVERITY_RANK.warning) >= limit;
+}
+
+/** Finding counts by severity across all results */
+function summarize(results) {
+  const summary = { files: results.length, error: 0, warning: 0, info: 0 };
+  for (const r of results) for (const e of r.errors) summary[SEVERITY_RANK[e.severity] ? e.severity : 'warning']++;
+  return summary;
+}
+
+/** One-line text for a finding: exception type (or finding type) and message */
+function findingText(e) {
+  const kind = e.exceptionType || e.type;
+  const message = String(e.rootCause || e.message || e.line || '').split('\n')[0];
+  return message ? `${kind}: ${message}` : kind;
+}
+
+function toJson(results, { meta } = {}) {
+  return JSON.stringify({
+    ...(meta ? { meta } : {}),
+    summary: summarize(results),
+    files: results.map((r) => ({
+      file: r.file,
+      source: r.source,
+      report: r.report,
+      issues: groupErrors(r.errors).map(({ keys, ...g }) => g),
+      errors: r.errors,
+    })),
+  }, null, 2);
+}
+
+function toSarif(results, { toolVersion } = {}) {
+  const rules = new Map();
+  const sarifResults = [];
+  for (const r of results) {
+    for (const e of r.errors) {
+      if (!rules.has(e.type)) rules.set(e.type, { id: e.type, shortDescription: { text: e.type.replace(/_/g, ' ').toLowerCase() } });
+      const location = { physicalLocation: { artifactLocation: { uri: r.file.split('\\').join('/') } } };
+      if (e.logLine) location.physicalLocation.region = { startLine: e.logLine };
+      const frames = e.frames?.length ? e.frames : (e.className ? [`${e.className}${e.method ? `.${e.method}` : ''}:${e.lineNumber ?? ''}`] : []);
+      if (frames.length) location.logicalLocations = frames.map((f) => ({ fullyQualifiedName: f, kind: 'function' }));
+      sarifResults.push({
+        ruleId: e.type,
+        level: SARIF_LEVELS[e.severity] || 'warning',
+        message: { text: findingText(e) },
+        locations: [location],
+        partialFingerprints: { debugfastFingerprint: e.fingerprint },
+      });
+    }
+  }
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, ...(toolVersion ? { version: toolVersion } : {}), rules: [...rules.values()] } },
+      results: sarifResults,
+    }],
+  }, null, 2);
+}
+
+function xml(s) {
+  return String(s ?? '').replace(/[<>&"']/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]))
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+/** One test suite per log file and one test case per issue; issues at or above `failOn` are failures */
+function toJunit(results, { failOn = 'error' } = {}) {
+  let failures = 0;
+  let tests = 0;
+  const suites = results.map((r) => {
+    const groups = groupErrors(r.errors);
+    const cases = groups.map((g) => {
+      const name = `${g.exceptionType || g.type}${g.frames[0] ? ` at ${g.frames[0]}` : ''}`;
+      const detail = `${g.sample}\n\nOccurrences: ${g.occurrences}\nFingerprint: ${g.fingerprint}`;
+      if (!meetsThreshold(g.severity, failOn)) {
+        return `    <testcase classname="${xml(r.file)}" name="${xml(name)}"><system-out>${xml(detail)}</system-out></testcase>`;
+      }
+      return `    <testcase classname="${xml(r.file)}" name="${xml(name)}"><failure type="${xml(g.type)}" message="${xml(`${g.severity}: ${g.message}`)}">${xml(detail)}</failure></testcase>`;
+    });
+    if (!cases.length) cases.push(`    <testcase classname="${xml(r.file)}" name="no findings"/>`);
+    const suiteFailures = groups.filter((g) => meetsThreshold(g.severity, failOn)).length;
+    failures += suiteFailures;
+    tests += cases.length;
+    return `  <testsuite name="${xml(r.file)}" tests="${cases.length}" failures="${suiteFailures}">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${failures}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+/** Label/value pairs of the `meta` option that have a value */
+function metaEntries(meta) {
+  return Object.entries(meta || {}).filter(([, v]) => v != null && v !== '');
+}
+
+function summaryLine(s) {
+  return `${s.files} file(s) · ${s.error} error(s) · ${s.warning} warning(s) · ${s.info} info`;
+}
+
+function toMarkdown(results, { meta } = {}) {
+  const s = summarize(results);
+  const cell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const out = [`# Apex log analysis`, ''];
+  const entries = metaEntries(meta);
+  if (entries.length) out.push(...entries.map(([k, v]) => `- **${k}:** ${cell(v)}`), '');
+  out.push(summaryLine(s), '');
+  for (const r of results) {
+    const groups = groupErrors(r.errors);
+    out.push(`## ${r.file}`, '', `Analyzer: ${r.sourceLabel || r.source}`, '');
+    if (!groups.length) {
+      out.push('No findings.', '');
+    } else {
+      out.push('| Severity | Issue | Location | Count | Sample |', '| --- | --- | --- | --- | --- |');
+      for (const g of groups) {
+        out.push(`| ${g.severity} | ${cell(g.exceptionType || g.type)} | ${cell(g.frames[0] || '')} | ${g.occurrences} | ${cell(g.sample.slice(0, 200))} |`);
+      }
+      out.push('');
+    }
+    if (r.source !== 'regex' && r.report) out.push('<details><summary>Report</summary>', '', r.report, '', '</details>', '');
+  }
+  return out.join('\n');
+}
+
+/** A single HTML file with inline styles, for attaching to a ticket; the report is shown as preformatted text */
+function toHtml(results, { meta } = {}) {
+  const s = summarize(results);
+  const entries = metaEntries(meta);
+  const sections = results.map((r) => {
+    const groups = groupErrors(r.errors);
+    const rows = groups.map((g) => `<tr class="${xml(g.severity)}"><td>${xml(g.severity)}</td><td>${xml(g.exceptionType || g.type)}</td><td>${xml(g.frames[0] || '')}</td><td>${g.occurrences}</td><td>${xml(g.sample.slice(0, 500))}</td></tr>`);
+    return [
+      `<h2>${xml(r.file)}</h2>`,
+      `<p>Analyzer: ${xml(r.sourceLabel || r.source)}</p>`,
+      groups.length
+        ? `<table><thead><tr><th>Severity</th><th>Issue</th><th>Location</th><th>Count</th><th>Sample</th></tr></thead><tbody>\n${rows.join('\n')}\n</tbody></table>`
+        : '<p>No findings.</p>',
+      r.source !== 'regex' && r.report ? `<h3>Report</h3>\n<pre>${xml(r.report)}</pre>` : '',
+    ].filter(Boolean).join('\n');
+  });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Apex log analysis</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2328; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; }
+th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; font-size: 13px; }
+th { background: #f6f8fa; }
+tr.error td:first-child { color: #cf222e; font-weight: 600; }
+tr.warning td:first-child { color: #9a6700; font-weight: 600; }
+pre { background: #f6f8fa; padding: 1rem; white-space: pre-wrap; word-break: break-word; font-size: 12px; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; }
+dt { font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>Apex log analysis</h1>
+${entries.length ? `<dl>${entries.map(([k, v]) => `<dt>${xml(k)}</dt><dd>${xml(v)}</dd>`).join('')}</dl>\n` : ''}<p>${xml(summaryLine(s))}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+const FORMATS = { json: toJson, sarif: toSarif, junit: toJunit, md: toMarkdown, html: toHtml };
+
+/** Render results in one of FORMATS; throws on an unknown format */
+function formatResults(results, format, options = {}) {
+  const render = FORMATS[format];
+  if (!render) throw new Error(`Unknown format ${format}; use ${Object.keys(FORMATS).join(', ')}`);
+  return render(results, options);
+}
+
+module.exports = {
+  FORMATS,
+  SEVERITY_RANK,
+  meetsThreshold,
+  summarize,
+  formatResults,
+};
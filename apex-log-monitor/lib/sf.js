@@ -0,0 +1,104 @@
+/**
+ * Salesforce CLI helpers
+ * `sf` is resolved through PATH (plus common install locations), so a stub `sf` on PATH stands in during tests.
+ * It is never run through a shell: on Windows the Node script behind the `sf.cmd` shim is started directly.
+ */
+
+const { execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+
+const SF_MAX_BUFFER = 50 * 1024 * 1024;
+const CMD_UNSAFE_RE = /["%!^&|<>()\r\n]/; // Characters cmd.exe would act on if the bare sf.cmd shim has to run
+const resolvedCommands = new Map(); // PATH -> sfCommand() result (Windows)
+
+function getSfEnv() {
+  const home = process.env.HOME || process.env.USERPROFILE || '';
+  const candidates = [
+    '/usr/local/bin',
+    '/opt/homebrew/bin',
+    path.join(home, '.volta', 'bin'),
+  ];
+  try {
+    const nvmCurrent = path.join(home, '.nvm', 'versions', 'node', 'current', 'bin');
+    if (fs.existsSync(nvmCurrent)) candidates.push(nvmCurrent);
+    const nvmDir = path.join(home, '.nvm', 'versions', 'node');
+    if (fs.existsSync(nvmDir)) {
+      const vers = fs.readdirSync(nvmDir).filter((v) => fs.existsSync(path.join(nvmDir, v, 'bin')));
+      if (vers.length) candidates.push(path.join(nvmDir, vers.sort().pop(), 'bin'));
+    }
+  } catch (_) {}
+  const extra = candidates.filter((p) => p && fs.existsSync(p)).join(path.delimiter);
+  return { ...process.env, PATH: extra ? extra + path.delimiter + (process.env.PATH || '') : process.env.PATH };
+}
+
+/** Windows: the Node script an `sf.cmd` in `dir` runs, npm global install or the installer's bundled client */
+function shimTarget(dir) {
+  const npmScript = path.join(dir, 'node_modules', '@salesforce', 'cli', 'bin', 'run.js');
+  if (fs.existsSync(npmScript)) {
+    const node = path.join(dir, 'node.exe');
+    return { command: fs.existsSync(node) ? node : 'node.exe', prefix: [npmScript] };
+  }
+  const clientBin = path.join(dir, '..', 'client', 'bin');
+  for (const script of ['run.js', 'run']) {
+    if (!fs.existsSync(path.join(clientBin, script))) continue;
+    const node = path.join(clientBin, 'node.exe');
+    return { command: fs.existsSync(node) ? node : 'node.exe', prefix: [path.join(clientBin, script)] };
+  }
+  return null;
+}
+
+/**
+ * How to start sf: { command, prefix (arguments before sf's own), viaCmd }. `sf` outside Windows; on Windows the
+ * Node script behind the first sf.cmd on PATH, else the bare sf.cmd (viaCmd, see sfInvocation)
+ */
+function sfCommand(env = getSfEnv()) {
+  if (process.platform !== 'win32') return { command: 'sf', prefix: [], viaCmd: false };
+  const pathVar = env.PATH || env.Path || '';
+  if (!resolvedCommands.has(pathVar)) {
+    let found = null;
+    for (const dir of pathVar.split(path.delimiter).filter(Boolean)) {
+      if (!fs.existsSync(path.join(dir, 'sf.cmd'))) continue;
+      found = shimTarget(dir);
+      if (found) break;
+    }
+    resolvedCommands.set(pathVar, found ? { ...found, viaCmd: false } : { command: 'sf.cmd', prefix: [], viaCmd: true });
+  }
+  return resolvedCommands.get(pathVar);
+}
+
+/**
+ * [command, args] for execFile/spawn (no `shell`). When only the bare sf.cmd can run, Windows still hands it to
+ * cmd.exe, so arguments cmd.exe would interpret are refused with an error instead.
+ */
+function sfInvocation(args, env = getSfEnv()) {
+  const { command, prefix, viaCmd } = sfCommand(env);
+  const unsafe = viaCmd && args.find((a) => CMD_UNSAFE_RE.test(String(a)));
+  if (unsafe) throw new Error(`Cannot pass ${JSON.stringify(unsafe)} to sf.cmd safely; install the Salesforce CLI with npm or its installer`);
+  return [command, [...prefix, ...args]];
+}
+
+/**
+ * Run `sf <args> --json` and resolve with its `result`.
+ * sf prints a JSON error body (status, name, message) and exits non-zero on failure; that message is the rejection.
+ */
+function runSfJson(args, { cwd, timeout = 120000 } = {}) {
+  const fullArgs = args.includes('--json') ? args : [...args, '--json'];
+  const env = getSfEnv();
+  return new Promise((resolve, reject) => {
+    let command;
+    let commandArgs;
+    try { [command, commandArgs] = sfInvocation(fullArgs, env); } catch (e) { return reject(e); }
+    execFile(command, commandArgs, { cwd, env, timeout, maxBuffer: SF_MAX_BUFFER }, (err, stdout, stderr) => {
+      let data = null;
+      try { data = JSON.parse(stdout?.trim() || 'null'); } catch (_) {}
+      if (data && (data.status === 0 || data.status === undefined) && !err) return resolve(data.result ?? data);
+      const message = data?.message || data?.name || stderr?.toString().trim() || err?.message || 'sf command failed';
+      const e = new Error(message);
+      e.result = data?.result;
+      reject(e);
+    });
+  });
+}
+
+module.exports = { getSfEnv, sfInvocation, runSfJson };
@@ -0,0 +1,153 @@
+/**
+ * Apex test runs: `sf apex run test --json` arguments, its result, and matching each test method to the
+ * debug log transaction that ran it. Every test method runs in its own transaction whose top code unit is
+ * the method itself (`CODE_UNIT_STARTED|[EXTERNAL]|01p…|AccountServiceTest.testUpdate()`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseTransactions } = require('./log-parser');
+
+const APEX_NAME_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+const IS_TEST_RE = /@isTest\b/i;
+const DEFAULT_WAIT_MINUTES = 10;
+const MAX_WAIT_MINUTES = 60;
+
+/** Class, suite or Class.method name (an optional namespace prefix adds one part) */
+function isTestName(name, maxParts) {
+  const parts = String(name).split('.');
+  return parts.length <= maxParts && parts.every((p) => APEX_NAME_RE.test(p));
+}
+
+/**
+ * Validate a selection: exactly one of classNames, suiteNames or tests (Class.method), as sf allows.
+ * Returns { selection } with trimmed, de-duplicated names, or { error }.
+ */
+function validateSelection({ classNames, suiteNames, tests } = {}) {
+  const list = (v) => [...new Set((Array.isArray(v) ? v : String(v || '').split(',')).map((s) => String(s).trim()).filter(Boolean))];
+  const selection = { classNames: list(classNames), suiteNames: list(suiteNames), tests: list(tests) };
+  const given = Object.entries(selection).filter(([, names]) => names.length);
+  if (!given.length) return { error: 'Name test classes, suites or test methods to run' };
+  if (given.length > 1) return { error: 'Run classes, suites or test methods, not a mix' };
+  const bad = selection.classNames.find((n) => !isTestName(n, 2)) || selection.suiteNames.find((n) => !isTestName(n, 2)) ||
+    selection.tests.find((n) => !isTestName(n, 3) || !n.includes('.'));
+  if (bad) return { error: `Invalid test name: ${bad}` };
+  return { selection };
+}
+
+/** Requested --wait in minutes, clamped to 1..MAX_WAIT_MINUTES */
+function testWaitMinutes(value) {
+  return Math.min(Math.max(parseInt(value, 10) || DEFAULT_WAIT_MINUTES, 1), MAX_WAIT_MINUTES);
+}
+
+/** Arguments for `sf apex run test` (runSfJson adds --json); --wait keeps sf running until the results are in */
+function runTestArgs(selection, waitMinutes = DEFAULT_WAIT_MINUTES) {
+  const args = ['apex', 'run', 'test', '--wait', String(waitMinutes)];
+  for (const n of selection.classNames) args.push('--class-names', n);
+  for (const n of selection.suiteNames) args.push('--suite-names', n);
+  for (const n of selection.tests) args.push('--tests', n);
+  return args;
+}
+
+/** One entry of result.tests in the shape the UI uses */
+function normalizeTestResult(t) {
+  const namespace = t.ApexClass?.NamespacePrefix || null;
+  const className = t.ApexClass?.Name || String(t.FullName || '').split('.').slice(-2)[0] || '';
+  return {
+    id: t.Id || null,
+    className,
+    namespace,
+    methodName: t.MethodName || '',
+    fullName: t.FullName || `${namespace ? `${namespace}.` : ''}${className}.${t.MethodName}`,
+    outcome: t.Outcome || 'Unknown',
+    message: t.Message || null,
+    stackTrace: t.StackTrace || null,
+    runTimeMs: t.RunTime ?? null,
+    logId: t.ApexLogId || null,
+  };
+}
+
+/** Fail and CompileFail (anything but Pass and Skip) */
+function isFailure(test) {
+  return test.outcome !== 'Pass' && test.outcome !== 'Skip';
+}
+
+/** `sf apex run test` result -> { summary, tests }; failures first, then by name */
+function normalizeRunResult(result) {
+  const s = result?.summary || {};
+  const tests = (Array.isArray(result?.tests) ? result.tests : []).map(normalizeTestResult);
+  const failing = tests.filter(isFailure).length;
+  tests.sort((a, b) => isFailure(b) - isFailure(a) || a.fullName.localeCompare(b.fullName));
+  return {
+    summary: {
+      outcome: s.outcome || (failing ? 'Failed' : 'Passed'),
+      testsRan: s.testsRan ?? tests.length,
+      passing: s.passing ?? tests.filter((t) => t.outcome === 'Pass').length,
+      failing: s.failing ?? failing,
+      skipped: s.skipped ?? tests.filter((t) => t.outcome === 'Skip').length,
+      testRunId: s.testRunId || null,
+      testExecutionTime: s.testExecutionTime || null,
+    },
+    tests,
+  };
+}
+
+/** `ns.AccountServiceTest.testUpdate()` -> `accountservicetest.testupdate` (namespace and parameters dropped) */
+function methodKey(name) {
+  const parts = String(name).replace(/\(.*\)$/, '').trim().toLowerCase().split('.');
+  return parts.slice(-2).join('.');
+}
+
+/**
+ * Newest transaction whose code units include the test method, among those received since `since` (ISO time);
+ * null when the tail has not delivered it
+ */
+function findTestTransaction(transactions, test, since) {
+  const key = methodKey(`${test.className}.${test.methodName}`);
+  for (let i = transactions.length - 1; i >= 0; i--) {
+    const tx = transactions[i];
+    if (since && tx.receivedAt < since) break;
+    if (tx.codeUnits.some((name) => methodKey(name) === key)) return tx;
+  }
+  return null;
+}
+
+/** The transaction of a downloaded test log (`sf apex get log`) that ran the test, else its last transaction */
+function transactionFromLog(text, test) {
+  const transactions = parseTransactions(text);
+  return findTestTransaction(transactions, test) || transactions[transactions.length - 1] || null;
+}
+
+/** Names of the @isTest classes in the project's package directories (sfdx-project.json), for the class picker */
+function findLocalTestClasses(projectDir) {
+  let dirs = ['force-app'];
+  try {
+    const project = JSON.parse(fs.readFileSync(path.join(projectDir, 'sfdx-project.json'), 'utf8'));
+    if (Array.isArray(project.packageDirectories) && project.packageDirectories.length) dirs = project.packageDirectories.map((d) => d.path);
+  } catch (_) {}
+  const names = new Set();
+  const walk = (dir) => {
+    let entries = [];
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (_) { return; }
+    for (const entry of entries) {
+      const p = path.join(dir, entry.name);
+      if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') walk(p);
+      else if (entry.isFile() && entry.name.endsWith('.cls')) {
+        try { if (IS_TEST_RE.test(fs.readFileSync(p, 'utf8'))) names.add(entry.name.slice(0, -4)); } catch (_) {}
+      }
+    }
+  };
+  for (const d of dirs) if (d) walk(path.resolve(projectDir, d));
+  return [...names].sort((a, b) => a.localeCompare(b));
+}
+
+module.exports = {
+  validateSelection,
+  testWaitMinutes,
+  runTestArgs,
+  normalizeRunResult,
+  isFailure,
+  findTestTransaction,
+  transactionFromLog,
+  findLocalTestClasses,
+};
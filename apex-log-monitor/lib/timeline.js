@@ -0,0 +1,115 @@
+/**
+ * Execution timeline of a transaction for the flame graph: the event tree (code units, methods, constructors,
+ * SOQL/SOSL, DML) flattened into spans with start, total and self time in ms from the transaction start,
+ * and totals per method. Built once per transaction; the UI asks for a time window at a time, so a
+ * multi-megabyte log never sends more than `maxSpans` rectangles to the page.
+ */
+
+const DEFAULT_MAX_SPANS = 4000;
+const MAX_MARKERS = 1000;
+const MAX_METHODS = 200;
+
+const round = (ms) => Math.round(ms * 1000) / 1000;
+
+/**
+ * Spans in start order (parents before children) with depth, plus instant markers for exceptions and
+ * validation failures. Self time is total time minus the time of direct child spans.
+ */
+function flattenTree(tree, originNanos) {
+  const spans = [];
+  const markers = [];
+  let maxDepth = 0;
+  const walk = (nodes, depth) => {
+    for (const n of nodes) {
+      if (n.endNanos == null) {
+        markers.push({ t: round((n.startNanos - originNanos) / 1e6), kind: n.kind, name: n.name, line: n.lineNumber ?? null });
+        continue;
+      }
+      const totalNanos = n.endNanos - n.startNanos;
+      const childNanos = n.children.reduce((sum, c) => sum + (c.endNanos != null ? c.endNanos - c.startNanos : 0), 0);
+      spans.push({
+        s: round((n.startNanos - originNanos) / 1e6),
+        d: round(totalNanos / 1e6),
+        self: round(Math.max(0, totalNanos - childNanos) / 1e6),
+        depth,
+        kind: n.kind,
+        name: n.name,
+        line: n.lineNumber ?? null,
+        ...(n.unclosed ? { unclosed: true } : {}),
+      });
+      if (depth > maxDepth) maxDepth = depth;
+      walk(n.children, depth + 1);
+    }
+  };
+  walk(tree, 0);
+  return { spans, markers, maxDepth };
+}
+
+/**
+ * Totals per kind + name: calls, self ms, total ms (recursive calls count once, at the outermost one) and
+ * the longest call; highest self time first
+ */
+function topMethods(spans, limit = MAX_METHODS) {
+  const byKey = new Map();
+  const open = []; // { depth, key } of the enclosing spans
+  const openCount = new Map();
+  for (const span of spans) {
+    while (open.length && open[open.length - 1].depth >= span.depth) {
+      const { key } = open.pop();
+      openCount.set(key, openCount.get(key) - 1);
+    }
+    const key = `${span.kind}\u0000${span.name}`;
+    if (!byKey.has(key)) byKey.set(key, { kind: span.kind, name: span.name, count: 0, selfMs: 0, totalMs: 0, maxMs: 0 });
+    const m = byKey.get(key);
+    m.count++;
+    m.selfMs += span.self;
+    if (!openCount.get(key)) m.totalMs += span.d;
+    if (span.d > m.maxMs) m.maxMs = span.d;
+    open.push({ depth: span.depth, key });
+    openCount.set(key, (openCount.get(key) || 0) + 1);
+  }
+  return [...byKey.values()]
+    .map((m) => ({ ...m, selfMs: round(m.selfMs), totalMs: round(m.totalMs) }))
+    .sort((a, b) => b.selfMs - a.selfMs)
+    .slice(0, limit);
+}
+
+/** Timeline of a parsed transaction (see log-parser): { durationMs, maxDepth, spans, markers, methods } */
+function buildTimeline(tx) {
+  const originNanos = tx.events?.[0]?.nanos ?? tx.tree[0]?.startNanos ?? 0;
+  const { spans, markers, maxDepth } = flattenTree(tx.tree || [], originNanos);
+  const end = spans.reduce((max, s) => Math.max(max, s.s + s.d), 0);
+  return { durationMs: round(Math.max(tx.durationMs || 0, end)), maxDepth, spans, markers, methods: topMethods(spans) };
+}
+
+/**
+ * The part of a timeline between `from` and `to` (ms), drawn `width` pixels wide. Spans shorter than a pixel
+ * are left out, and when more than `maxSpans` remain, the shortest of those too; a span is never shorter
+ * than its children, so no child outlives its parent. Left-out spans are counted in `hidden`.
+ */
+function timelineWindow(timeline, { from, to, width, maxSpans = DEFAULT_MAX_SPANS } = {}) {
+  const start = Math.max(0, Number.isFinite(from) ? from : 0);
+  const end = Math.min(timeline.durationMs, Number.isFinite(to) && to > start ? to : timeline.durationMs);
+  const overlaps = timeline.spans.filter((s) => s.s <= end && s.s + s.d >= start);
+  const minMs = width > 0 ? (end - start) / width : 0;
+  let spans = minMs > 0 ? overlaps.filter((s) => s.d >= minMs) : overlaps;
+  if (spans.length > maxSpans) {
+    // Keep the longest maxSpans; spans as long as the cutoff fill the remaining places in order, so equal
+    // durations (e.g. all 0 ms) never leave the window empty
+    const cutoff = spans.map((s) => s.d).sort((a, b) => b - a)[maxSpans - 1];
+    let ties = maxSpans - spans.filter((s) => s.d > cutoff).length;
+    spans = spans.filter((s) => s.d > cutoff || (s.d === cutoff && ties-- > 0));
+  }
+  return {
+    durationMs: timeline.durationMs,
+    maxDepth: timeline.maxDepth,
+    from: start,
+    to: end,
+    spans,
+    hidden: overlaps.length - spans.length,
+    markers: timeline.markers.filter((m) => m.t >= start && m.t <= end).slice(0, MAX_MARKERS),
+    methods: timeline.methods,
+  };
+}
+
+module.exports = { buildTimeline, timelineWindow, topMethods };
@@ -0,0 +1,99 @@
+/**
+ * DebugLevel and TraceFlag records (Tooling API) managed through `sf data query/create/update`.
+ * Only builds and checks the command inputs; running sf is left to the caller.
+ */
+
+const LOG_LEVELS = ['NONE', 'ERROR', 'WARN', 'INFO', 'DEBUG', 'FINE', 'FINER', 'FINEST'];
+
+// DebugLevel fields, one per log category
+const DEBUG_LEVEL_CATEGORIES = ['ApexCode', 'ApexProfiling', 'Callout', 'Database', 'System', 'Validation', 'Visualforce', 'Workflow'];
+
+const DEVELOPER_NAME_RE = /^[A-Za-z][A-Za-z0-9_]{0,79}$/;
+const RECORD_ID_RE = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+const MAX_TRACE_MINUTES = 24 * 60; // Salesforce rejects trace flags longer than 24 hours
+
+const DEBUG_LEVEL_QUERY = `SELECT Id, DeveloperName, MasterLabel, ${DEBUG_LEVEL_CATEGORIES.join(', ')} FROM DebugLevel ORDER BY DeveloperName`;
+const TRACE_FLAG_QUERY = "SELECT Id, TracedEntityId, TracedEntity.Name, LogType, DebugLevelId, DebugLevel.DeveloperName, StartDate, ExpirationDate FROM TraceFlag WHERE LogType = 'USER_DEBUG' ORDER BY ExpirationDate DESC";
+const USER_QUERY = 'SELECT Id, Name, Username FROM User WHERE IsActive = true ORDER BY Name LIMIT 500';
+
+function isDeveloperName(name) {
+  return typeof name === 'string' && DEVELOPER_NAME_RE.test(name);
+}
+
+function isRecordId(id) {
+  return typeof id === 'string' && RECORD_ID_RE.test(id);
+}
+
+/** `--values` argument for sf data create/update record: space-separated Field=Value pairs */
+function formatValues(values) {
+  return Object.entries(values)
+    .filter(([, v]) => v != null && v !== '')
+    .map(([k, v]) => `${k}=${/\s/.test(String(v)) ? `'${v}'` : v}`)
+    .join(' ');
+}
+
+/** Per-category levels with names and values checked; returns { levels } or { error } */
+function validateLevels(levels = {}, { requireAll = false } = {}) {
+  const out = {};
+  for (const category of DEBUG_LEVEL_CATEGORIES) {
+    const level = levels[category];
+    if (level == null || level === '') {
+      if (requireAll) out[category] = 'NONE';
+      continue;
+    }
+    const upper = String(level).toUpperCase();
+    if (!LOG_LEVELS.includes(upper)) return { error: `Invalid level ${level} for ${category}` };
+    out[category] = upper;
+  }
+  const unknown = Object.keys(levels).filter((k) => !DEBUG_LEVEL_CATEGORIES.includes(k));
+  if (unknown.length) return { error: `Unknown log categories: ${unknown.join(', ')}` };
+  return { levels: out };
+}
+
+/**
+ * Start/expiration for a new or extended trace flag.
+ * Accepts an explicit expirationDate or expiresInMinutes (default 60), capped at 24 hours from start.
+ */
+function traceWindow({ startDate, expirationDate, expiresInMinutes } = {}, now = new Date()) {
+  const start = startDate ? new Date(startDate) : now;
+  if (Number.isNaN(start.getTime())) return { error: 'Invalid startDate' };
+  const end = expirationDate ? new Date(expirationDate) : new Date(start.getTime() + (Number(expiresInMinutes) || 60) * 60000);
+  if (Number.isNaN(end.getTime())) return { error: 'Invalid expirationDate' };
+  if (end <= start) return { error: 'Expiration must be after the start date' };
+  if (end - start > MAX_TRACE_MINUTES * 60000) return { error: 'Trace flags can last at most 24 hours' };
+  return { startDate: start.toISOString(), expirationDate: end.toISOString() };
+}
+
+function normalizeDebugLevel(r) {
+  const levels = {};
+  for (const category of DEBUG_LEVEL_CATEGORIES) levels[category] = r[category] || 'NONE';
+  return { id: r.Id, developerName: r.DeveloperName, label: r.MasterLabel, levels };
+}
+
+function normalizeTraceFlag(r, now = Date.now()) {
+  return {
+    id: r.Id,
+    userId: r.TracedEntityId,
+    user: r.TracedEntity?.Name || r.TracedEntityId,
+    debugLevelId: r.DebugLevelId,
+    debugLevel: r.DebugLevel?.DeveloperName || r.DebugLevelId,
+    startDate: r.StartDate,
+    expirationDate: r.ExpirationDate,
+    active: !!r.ExpirationDate && Date.parse(r.ExpirationDate) > now && (!r.StartDate || Date.parse(r.StartDate) <= now),
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  DEBUG_LEVEL_CATEGORIES,
+  DEBUG_LEVEL_QUERY,
+  TRACE_FLAG_QUERY,
+  USER_QUERY,
+  isDeveloperName,
+  isRecordId,
+  formatValues,
+  validateLevels,
+  traceWindow,
+  normalizeDebugLevel,
+  normalizeTraceFlag,
+};
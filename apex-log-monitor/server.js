@@ -1,35 +1,48 @@
 #!/usr/bin/env node
 /**
  * Apex Log Monitor - Audit log streamer and error analyzer
- * 1. Find org, set default | 2. Start audit (enable debug log tail) | 3. Analyze via Cursor Agent CLI (or regex fallback)
+ * 1. Find org, set default | 2. Start audit (enable debug log tail) | 3. Analyze via the configured analyzer (Cursor Agent CLI, command, HTTP LLM) with regex fallback
  * Log rotation: new file created when current log exceeds 1 MB
  */
 
 const http = require('http');
-const { spawn, execSync } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { createTransactionParser, parseTransactions, summarizeTransaction } = require('./lib/log-parser');
+const { parseLimitUsage, evaluateLimits, worstOffenders } = require('./lib/limits');
+const { profileTransaction, aggregateProfiles } = require('./lib/query-profiler');
+const { traceCallouts } = require('./lib/callouts');
+const { classifyEntryPoint, asyncInfo, findParent } = require('./lib/entry-points');
+const { providerConfigs, analyzerChain, runAnalyzers, describeProviders, focusedLog } = require('./lib/analyzers');
+const { createRedactor, previewRedaction } = require('./lib/redaction');
+const { withFingerprints, groupErrors, loadIssues, saveIssues, recordIssues, setIssueStatus, listIssues } = require('./lib/issues');
+const { resolveArchivePath, listArchive, readArchiveFile, searchArchive, applyRetention } = require('./lib/archive');
+const { NOTIFIERS, loadAlertRules, createAlertEngine, postWebhook } = require('./lib/alerts');
+const { findProjectDir, loadConfig } = require('./lib/config');
+const { createLogBuffer } = require('./lib/log-buffer');
+const { getSfEnv, sfInvocation, runSfJson } = require('./lib/sf');
+const { normalizeLogRecord, filterLogs, logBodyFromResult, historyFileName, isLogId } = require('./lib/history');
+const { analyzeLogs } = require('./lib/regex-analyzer');
+const { buildTimeline, timelineWindow } = require('./lib/timeline');
+const { compareTransactions } = require('./lib/compare');
+const { createAccessControl } = require('./lib/access');
+const { formatResults } = require('./lib/report-formats');
+const { saveAnalysis, listAnalyses, loadAnalysis, deleteAnalysis, findLogFile } = require('./lib/analysis-history');
+const { createLiveScanner } = require('./lib/live-scan');
+const { sliceLog } = require('./lib/log-slice');
+const {
+  validateSelection, testWaitMinutes, runTestArgs, normalizeRunResult, isFailure, findTestTransaction, transactionFromLog, findLocalTestClasses,
+} = require('./lib/test-runs');
+const {
+  DEBUG_LEVEL_QUERY, TRACE_FLAG_QUERY, USER_QUERY, isDeveloperName, isRecordId, formatValues, validateLevels, traceWindow,
+  normalizeDebugLevel, normalizeTraceFlag,
+} = require('./lib/trace-flags');
 
 const PORT = parseInt(process.env.PORT || '3456', 10);
+const HOST = process.env.MONITOR_HOST || '127.0.0.1'; // Loopback only unless asked otherwise
 
-function findProjectDir() {
-  const explicit = process.env.SF_PROJECT_DIR || process.argv.find((a) => a.startsWith('--project='))?.split('=')[1];
-  if (explicit) {
-    const p = path.resolve(explicit);
-    if (fs.existsSync(path.join(p, 'sfdx-project.json'))) return p;
-    return p; // use even if no sfdx-project, user specified it
-  }
-  let dir = process.cwd();
-  for (let i = 0; i < 10; i++) {
-    if (fs.existsSync(path.join(dir, 'sfdx-project.json'))) return dir;
-    const parent = path.dirname(dir);
-    if (parent === dir) break;
-    dir = parent;
-  }
-  return null;
-}
-
-const PROJECT_DIR = findProjectDir();
+const PROJECT_DIR = findProjectDir(process.env.SF_PROJECT_DIR || process.argv.find((a) => a.startsWith('--project='))?.split('=')[1]);
 if (!PROJECT_DIR) {
   console.error('Error: Not inside a Salesforce project. Run from a project root (with sfdx-project.json) or set SF_PROJECT_DIR=/path/to/project');
   process.exit(1);
@@ -38,321 +51,868 @@ if (!PROJECT_DIR) {
 const SF_LOG_DIR = path.join(PROJECT_DIR, '.sf-log');           // Main: live logs
 const SF_LOG_ARCHIVE_DIR = path.join(PROJECT_DIR, '.sf-log_archive');  // Archive: on app load
 const SF_LOG_ANALYSIS_DIR = path.join(PROJECT_DIR, '.sf-log_Analysis'); // Analysis: on Analyze click
+const LOG_FOLDERS = { live: SF_LOG_DIR, analysis: SF_LOG_ANALYSIS_DIR, archive: SF_LOG_ARCHIVE_DIR }; // Compare sources
+const ANALYSIS_EXPORTS = { html: 'text/html', md: 'text/markdown', json: 'application/json' }; // GET /api/analyses/:id/export
 const LOG_ROTATE_SIZE_BYTES = 1 * 1024 * 1024; // 1 MB
 const PROMPT_FILE = path.join(__dirname, 'prompts', 'apex-log-analysis.md');
+const MAX_TRANSACTIONS = 500; // Parsed transactions kept in memory per audit
+// ...and their raw text, per audit; the events and tree parsed from it take a few times as much again
+const MAX_TRANSACTION_BYTES = parseInt(process.env.MAX_TRANSACTION_BYTES || String(32 * 1024 * 1024), 10);
+const SLICE_CONTEXT_LINES = 20; // Lines either side of a targeted slice shown to model analyzers
+const LOG_BUFFER_MAX_BYTES = parseInt(process.env.LOG_BUFFER_MAX_BYTES || String(2 * 1024 * 1024), 10); // In-memory tail ring
+const STREAM_KEEPALIVE_MS = 15000;
 
-// Regex patterns for error scanning (fallback when Cursor CLI unavailable)
-const ERROR_PATTERNS = [
-  { pattern: /\|EXCEPTION_THROWN(?!\w)/g, label: 'EXCEPTION_THROWN', severity: 'error' },
-  { pattern: /\|FATAL_ERROR(?!\w)/g, label: 'FATAL_ERROR', severity: 'error' },
-  { pattern: /\|UNHANDLED_EXCEPTION(?!\w)/g, label: 'UNHANDLED_EXCEPTION', severity: 'error' },
-  { pattern: /\|VALIDATION_FAIL(?!\w)/g, label: 'VALIDATION_FAIL', severity: 'error' },
-  { pattern: /\|VALIDATION_FORMULA(?!\w)/g, label: 'VALIDATION_FORMULA', severity: 'warning' },
-  { pattern: /\|LIMIT_USAGE(?!\w)/g, label: 'LIMIT_USAGE', severity: 'warning' },
-  { pattern: /System\.LimitException/g, label: 'LIMIT_EXCEPTION', severity: 'error' },
-  { pattern: /System\.Exception/g, label: 'SYSTEM_EXCEPTION', severity: 'error' },
-  { pattern: /NullPointerException/g, label: 'NULL_POINTER', severity: 'error' },
-];
-
-function analyzeLogs(logContent) {
-  const lines = logContent.split('\n');
-  const errors = [];
-  const errorTypes = new Set();
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    for (const { pattern, label, severity } of ERROR_PATTERNS) {
-      const re = new RegExp(pattern.source, pattern.flags);
-      if (re.test(line)) {
-        errorTypes.add(label);
-        const ctxBefore = lines.slice(Math.max(0, i - 1), i).join('\n');
-        const ctxAfter = lines.slice(i + 1, Math.min(lines.length, i + 2)).join('\n');
-        errors.push({
-          line: line.trim(),
-          type: label,
-          severity,
-          context: `${ctxBefore}\n>>> ${line} <<<\n${ctxAfter}`,
-        });
-        break;
-      }
-    }
+const RUN_STARTED_AT = new Date().toISOString(); // Issues first seen after this are new since the last app session
+const DEFAULT_SESSION = 'default'; // Session key when no org alias is given (project default org)
+const MAX_RECENT_ALERTS = 100;
+const MAX_TEST_RUNS = 10; // Finished test runs kept for GET /api/tests
+const TEST_LOG_WAIT_MS = 20000; // How long to wait for the tail to deliver the logs of failing tests after a run
+const TAIL_WARMUP_MS = 5000; // A freshly started tail sets its trace flag first; tests started sooner are not logged
+const DEFAULT_DEBUG_LEVEL = 'DEBUG'; // DebugLevel developer name passed to `sf apex tail log --debug-level`
+const sessions = new Map(); // session key (org alias) -> audit session
+let activeSessionKey = DEFAULT_SESSION; // Most recently started; used when a request names no session
+let orgCache = { orgs: [], expiresAt: 0, refreshedAt: 0 };
+let orgRefresh = null; // In-flight `sf org list`, shared by concurrent callers
+const recentAlerts = []; // Last MAX_RECENT_ALERTS alerts across sessions, polled by the VS Code extension
+let alertSeq = 0;
+let lastAnalysis = null; // Latest /api/analyze result, for clients that did not run it (editor diagnostics)
+const testRuns = []; // Newest last, at most MAX_TEST_RUNS
+const timelines = new WeakMap(); // transaction -> buildTimeline() result, dropped with the transaction
+let testRunSeq = 0;
+const historyCache = new Map(); // session key -> last `sf apex list log` result, used to name downloaded files
+const CACHE_TTL = 2 * 60 * 1000;
+const ORG_REFRESH_MIN_MS = 30 * 1000; // An org missing from the cached list refreshes it at most this often
+
+function ensureSfLogDir() {
+  if (!fs.existsSync(SF_LOG_DIR)) {
+    fs.mkdirSync(SF_LOG_DIR, { recursive: true });
   }
+}
+
+function sessionKey(orgAlias) {
+  return orgAlias?.trim() || DEFAULT_SESSION;
+}
+
+/** `--target-org` arguments for an org alias; none for the project default org */
+function orgArgs(orgAlias) {
+  const key = sessionKey(orgAlias);
+  return key === DEFAULT_SESSION ? [] : ['--target-org', key];
+}
+
+/** Folder name for a session under .sf-log / .sf-log_Analysis (usernames contain @ and dots, which are fine) */
+function sessionDirName(key) {
+  return key.replace(/[^A-Za-z0-9._@-]/g, '_');
+}
 
-  let report = errors.length === 0
-    ? 'No errors detected.'
-    : `Found ${errors.length} issue(s): ${[...errorTypes].join(', ')}\n\n--- Errors ---\n` +
-      errors.map((e, i) => `[${i + 1}] ${e.type}: ${e.line.slice(0, 100)}${e.line.length > 100 ? '…' : ''}`).join('\n');
-
-  if (errors.length > 0) {
-    report += '\n\n--- Quick fixes ---\n';
-    if (errors.some((e) => e.type.includes('VALIDATION'))) report += '• Validation: Check rule formula\n';
-    if (errors.some((e) => e.type.includes('EXCEPTION') || e.type === 'FATAL')) report += '• Apex: Add try/catch\n';
-    if (errors.some((e) => e.type.includes('LIMIT'))) report += '• Limits: Optimize SOQL/DML\n';
-  }
-  return { report, errors };
-}
-
-function analyzeWithCursorAgent(logDir, callback) {
-  if (!fs.existsSync(PROMPT_FILE)) {
-    return callback({ ok: false, error: 'Prompt file not found', fallback: true });
-  }
-  const promptContent = fs.readFileSync(PROMPT_FILE, 'utf8');
-  const workspaceDir = PROJECT_DIR;
-  const logDirAbs = path.resolve(logDir);
-  const fullPrompt = `${promptContent}\n\n---\nContext: Analyze the log files in \`.sf-log_Analysis\`. Full path: ${logDirAbs}\n\nRead all .log files in this folder, starting with the most recent. Analyze them now.`;
-  const args = [
-    '--print',
-    '--output-format', 'text',
-    '--workspace', workspaceDir,
-    '--approve-mcps',
-    fullPrompt,
-  ];
-  const proc = spawn('agent', args, {
-    cwd: workspaceDir,
-    env: { ...process.env },
-    stdio: ['ignore', 'pipe', 'pipe'],
+/**
+ * One tailing session per org: its own `sf apex tail log` process, `.sf-log/<alias>/` folder with rotation,
+ * in-memory ring buffer, parsed transactions and stream clients.
+ */
+function createSession(key) {
+  const session = {
+    key,
+    org: key === DEFAULT_SESSION ? null : key,
+    logDir: path.join(SF_LOG_DIR, sessionDirName(key)),
+    analysisDir: path.join(SF_LOG_ANALYSIS_DIR, sessionDirName(key)),
+    tailProcess: null,
+    logBuffer: createLogBuffer({ maxBytes: LOG_BUFFER_MAX_BYTES }),
+    streamClients: new Set(),
+    logFileStream: null,
+    currentLogPath: null,
+    currentLogFilePath: null,
+    lastTailError: null,
+    startedAt: null,
+    debugLevel: null,
+    transactions: [],
+    txParser: null,
+    liveScan: null,
+    redactor: null,
+    flushTail: null,
+    alerts: null,
+  };
+  resetTransactions(session);
+  return session;
+}
+
+/** Redactor with the current .debugfast.json rules; placeholders carry over so a value keeps its placeholder for the session */
+function sessionRedactor(session) {
+  session.redactor = createRedactor(loadConfig(PROJECT_DIR).redaction, session.redactor);
+  return session.redactor;
+}
+
+function getSession(key, create = true) {
+  if (!sessions.has(key) && create) sessions.set(key, createSession(key));
+  return sessions.get(key) || null;
+}
+
+/**
+ * Session named by ?session= (null when there is none: only starting a tail creates one), else the most recently
+ * started one
+ */
+function resolveSession(name) {
+  return name ? sessions.get(name) || null : getSession(activeSessionKey);
+}
+
+function tailStatus(session) {
+  return {
+    session: session.key,
+    org: session.org,
+    running: !!session.tailProcess,
+    startedAt: session.startedAt,
+    debugLevel: session.debugLevel,
+    logPath: session.currentLogPath,
+    tailError: session.lastTailError,
+    lastSeq: session.logBuffer.lastSeq,
+    transactionCount: session.transactions.length,
+    errorCount: session.transactions.reduce((n, tx) => n + tx.errorCount, 0),
+    findings: session.liveScan.summary(),
+  };
+}
+
+/** Write one Server-Sent Event */
+function sendEvent(res, event, data, id) {
+  res.write(`${id != null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/** Push an event to every /api/logs/stream client of a session */
+function broadcast(session, event, data, id) {
+  for (const res of session.streamClients) sendEvent(res, event, data, id);
+}
+
+/**
+ * Deliver one alert from a session's rule engine: kept for GET /api/alerts (the extension shows those marked
+ * vscode), pushed to every open log stream (browser) and posted to the webhook. Returns the webhook result, if any.
+ */
+function raiseAlert(session, alert, webhook = loadAlertRules(PROJECT_DIR).notifiers.webhook) {
+  const entry = { id: ++alertSeq, session: session.key, org: session.org, ...alert };
+  recentAlerts.push(entry);
+  if (recentAlerts.length > MAX_RECENT_ALERTS) recentAlerts.shift();
+  if (entry.notify.includes('browser')) for (const s of sessions.values()) broadcast(s, 'alert', entry);
+  if (!entry.notify.includes('webhook') || !webhook) return Promise.resolve(null);
+  return postWebhook(webhook, { source: 'debugfast', ...entry }).then((r) => {
+    if (!r.ok) console.error(`Alert webhook ${webhook.url}: ${r.error}`);
+    return r;
   });
-  let stdout = '';
-  let stderr = '';
-  proc.stdout?.on('data', (c) => { stdout += c.toString(); });
-  proc.stderr?.on('data', (c) => { stderr += c.toString(); });
-  proc.on('close', (code) => {
-    if (code === 0) {
-      return callback({ ok: true, report: stdout.trim(), errors: [] });
-    }
-    callback({
-      ok: false,
-      error: stderr || `Agent exited with code ${code}`,
-      fallback: true,
-      report: stdout?.trim(),
-    });
+}
+
+function resetTransactions(session) {
+  session.transactions = [];
+  session.transactionBytes = 0;
+  session.liveScan?.reset();
+  // Finished transactions are also scanned in the background; the counts go out as `findings` events
+  session.liveScan = createLiveScanner({
+    loadOptions: () => ({ config: loadConfig(PROJECT_DIR), ignored: ignoredFingerprints() }),
+    onUpdate: (summary) => broadcast(session, 'findings', summary),
   });
-  proc.on('error', (err) => {
-    callback({ ok: false, error: err.message, fallback: true });
+  session.txParser = createTransactionParser({
+    onTransaction: (tx) => {
+      tx.limits = parseLimitUsage(tx.events);
+      tx.entryPoint = classifyEntryPoint(tx);
+      tx.async = asyncInfo(tx);
+      tx.parent = findParent(tx, session.transactions);
+      session.transactions.push(tx);
+      session.transactionBytes += Buffer.byteLength(tx.raw);
+      // Oldest go first; the newest stays even when it alone is over the byte cap
+      while (session.transactions.length > 1 && (session.transactions.length > MAX_TRANSACTIONS || session.transactionBytes > MAX_TRANSACTION_BYTES)) {
+        session.transactionBytes -= Buffer.byteLength(session.transactions.shift().raw);
+      }
+      broadcast(session, 'transaction', summarizeTransaction(tx));
+      session.liveScan.add(tx);
+    },
   });
 }
 
-let tailProcess = null;
-let logBuffer = [];
-let logFileStream = null;
-let currentLogPath = null;
-let currentLogFilePath = null;
-let lastTailError = null;
-let orgCache = { orgs: [], expiresAt: 0 };
-const CACHE_TTL = 2 * 60 * 1000;
+function isLogFile(dir, f) {
+  try { return fs.statSync(path.join(dir, f)).isFile() && (f.endsWith('.log') || f.endsWith('.log.gz')); } catch { return false; }
+}
 
-function ensureSfLogDir() {
-  if (!fs.existsSync(SF_LOG_DIR)) {
-    fs.mkdirSync(SF_LOG_DIR, { recursive: true });
-  }
+function isDir(p) {
+  try { return fs.statSync(p).isDirectory(); } catch { return false; }
 }
 
-/** Archive: On app load, move all logs from .sf-log and .sf-log_Analysis into .sf-log_archive */
+/** Archive: On app load, move all logs from .sf-log and .sf-log_Analysis (and their session folders) into .sf-log_archive */
 function archiveOnAppLoad() {
   const ts = new Date();
   const batch = ts.toISOString().slice(0, 10) + '_' + [ts.getHours(), ts.getMinutes(), ts.getSeconds()].map((n) => String(n).padStart(2, '0')).join('-');
   const batchDir = path.join(SF_LOG_ARCHIVE_DIR, batch);
-  let hasAny = false;
-  const moveFiles = (srcDir) => {
+  const moveFiles = (srcDir, destDir) => {
     if (!fs.existsSync(srcDir)) return;
-    const files = (fs.readdirSync(srcDir) || []).filter((f) => {
-      try { return fs.statSync(path.join(srcDir, f)).isFile() && (f.endsWith('.log') || f.endsWith('.log.gz')); } catch { return false; }
-    });
-    for (const f of files) {
+    for (const f of (fs.readdirSync(srcDir) || []).filter((name) => isLogFile(srcDir, name))) {
       try {
-        fs.mkdirSync(batchDir, { recursive: true });
-        fs.renameSync(path.join(srcDir, f), path.join(batchDir, f));
-        hasAny = true;
+        fs.mkdirSync(destDir, { recursive: true });
+        fs.renameSync(path.join(srcDir, f), path.join(destDir, f));
       } catch (_) {}
     }
   };
-  moveFiles(SF_LOG_DIR);
-  moveFiles(SF_LOG_ANALYSIS_DIR);
+  for (const root of [SF_LOG_DIR, SF_LOG_ANALYSIS_DIR]) {
+    if (!fs.existsSync(root)) continue;
+    moveFiles(root, batchDir);
+    for (const sub of fs.readdirSync(root) || []) {
+      if (isDir(path.join(root, sub))) moveFiles(path.join(root, sub), path.join(batchDir, sub));
+    }
+  }
+}
+
+/** Mark issues first seen during this app session */
+function flagNew(issue) {
+  return { ...issue, isNew: issue.firstSeen >= RUN_STARTED_AT };
+}
+
+function ignoredFingerprints(store = loadIssues(PROJECT_DIR)) {
+  return new Set(listIssues(store).filter((i) => i.status === 'ignored').map((i) => i.fingerprint));
+}
+
+/**
+ * Fingerprint analysis errors, drop ignored issues and record the rest in .debugfast-issues.json.
+ * Returns { errors, issues, ignoredCount }; issues are grouped, most frequent first.
+ */
+function trackIssues(errors) {
+  const store = loadIssues(PROJECT_DIR);
+  const ignored = ignoredFingerprints(store);
+  const all = withFingerprints(errors);
+  const kept = all.filter((e) => !ignored.has(e.fingerprint));
+  const issues = recordIssues(store, groupErrors(kept));
+  try { saveIssues(PROJECT_DIR, store); } catch (e) { console.error('Could not save issues:', e.message); }
+  return { errors: kept, issues: issues.map(flagNew), ignoredCount: all.length - kept.length };
+}
+
+/** Startup retention for .sf-log_archive (config `archive`); runs after archiveOnAppLoad() */
+function applyArchiveRetention() {
+  applyRetention(SF_LOG_ARCHIVE_DIR, loadConfig(PROJECT_DIR).archive).then((r) => {
+    if (r.deleted.length || r.gzipped) console.log(`Archive retention: deleted ${r.deleted.length} batch(es), gzipped ${r.gzipped} file(s)`);
+    for (const e of r.errors) console.error(`Archive retention: ${e}`);
+  }, (e) => console.error('Archive retention failed:', e.message));
+}
+
+/** Copy an archived log (decompressed, redacted) into a session's analysis folder so it can be analyzed again */
+async function reopenArchivedLog(relPath, sessionName) {
+  const abs = resolveArchivePath(SF_LOG_ARCHIVE_DIR, relPath);
+  if (!abs || !fs.existsSync(abs)) return { ok: false, error: 'Archived log not found' };
+  // <batch>/<alias>/<file>: reopen in that org's session unless the caller names one
+  const parts = relPath.split('/');
+  const target = sessionName ? resolveSession(sessionName) : getSession(parts.length === 3 ? parts[1] : activeSessionKey);
+  if (!target) return { ok: false, error: `No session for ${sessionName}` };
+  const text = sessionRedactor(target).redact(await readArchiveFile(abs));
+  const file = path.basename(abs).replace(/\.gz$/, '');
+  fs.mkdirSync(target.analysisDir, { recursive: true });
+  fs.writeFileSync(path.join(target.analysisDir, file), text);
+  return { ok: true, session: target.key, dir: path.relative(PROJECT_DIR, target.analysisDir), file, size: Buffer.byteLength(text) };
+}
+
+/** Log files of .sf-log or .sf-log_Analysis, session folders included: paths relative to the folder, newest first */
+function folderLogFiles(root) {
+  const files = [];
+  const add = (rel) => {
+    const stat = fs.statSync(path.join(root, rel));
+    files.push({ path: rel, size: stat.size, modifiedAt: stat.mtime.toISOString() });
+  };
+  for (const entry of isDir(root) ? fs.readdirSync(root) : []) {
+    if (isLogFile(root, entry)) add(entry);
+    else if (isDir(path.join(root, entry))) {
+      for (const f of fs.readdirSync(path.join(root, entry)).filter((name) => isLogFile(path.join(root, entry), name))) add(`${entry}/${f}`);
+    }
+  }
+  return files.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+}
+
+/** What the Compare panel can pick from: the session's transactions and the log files of each folder */
+async function compareSources(sessionName) {
+  const target = resolveSession(sessionName);
+  const batches = await listArchive(SF_LOG_ARCHIVE_DIR);
+  return {
+    session: target.key,
+    transactions: target.transactions.map((tx) => ({ id: tx.id, startTime: tx.startTime, codeUnit: tx.codeUnits[0] || null, errorCount: tx.errorCount })),
+    folders: {
+      live: folderLogFiles(SF_LOG_DIR),
+      analysis: folderLogFiles(SF_LOG_ANALYSIS_DIR),
+      archive: batches.flatMap((b) => b.files.map((f) => ({ path: f.path, size: f.size, modifiedAt: f.modifiedAt }))),
+    },
+  };
+}
+
+/**
+ * Transactions for one side of a comparison: { session, transactionId } from a session in memory, or
+ * { folder: live|analysis|archive, path, transactionId? } for a log file, all of its transactions unless one is named.
+ * Files are redacted like reopened archive logs. Returns { label, transactions } or { error }.
+ */
+async function compareSide(input) {
+  const id = input?.transactionId != null && input.transactionId !== '' ? parseInt(input.transactionId, 10) : null;
+  if (!input?.folder) {
+    const target = resolveSession(input?.session);
+    if (!target) return { error: `No session for ${input.session}` };
+    const tx = target.transactions.find((t) => t.id === id);
+    return tx ? { label: `${target.key} #${tx.id}`, transactions: [tx] } : { error: `Transaction #${input?.transactionId ?? '?'} not found in ${target.key}` };
+  }
+  const root = LOG_FOLDERS[input.folder];
+  if (!root) return { error: `Unknown folder ${input.folder}; use ${Object.keys(LOG_FOLDERS).join(', ')}` };
+  const abs = resolveArchivePath(root, input.path);
+  if (!abs || !fs.existsSync(abs)) return { error: `Log not found: ${input.folder}/${input.path}` };
+  const target = resolveSession(input.session);
+  if (!target) return { error: `No session for ${input.session}` };
+  const text = sessionRedactor(target).redact(await readArchiveFile(abs));
+  const transactions = parseTransactions(text).filter((tx) => id == null || tx.id === id);
+  if (!transactions.length) return { error: id == null ? `No transactions in ${input.path}` : `Transaction #${id} not found in ${input.path}` };
+  return { label: `${input.folder}/${input.path}${id == null ? '' : ` #${id}`}`, transactions };
+}
+
+/** Diff two captures (see lib/compare): `a` is the baseline (good run), `b` the one to explain */
+async function compareCaptures(a, b) {
+  const sideA = await compareSide(a);
+  if (sideA.error) return { ok: false, error: `A: ${sideA.error}` };
+  const sideB = await compareSide(b);
+  if (sideB.error) return { ok: false, error: `B: ${sideB.error}` };
+  return { ok: true, a: sideA.label, b: sideB.label, ...compareTransactions(sideA.transactions, sideB.transactions) };
+}
+
+/** A saved analysis as a file to attach to a ticket (see lib/report-formats), headed by when, where and what it read */
+function exportAnalysis(record, format) {
+  const logs = (record.logFiles || []).join(', ');
+  const meta = { Analyzed: record.analyzedAt, Org: record.org || record.session, Analyzer: record.sourceLabel || record.source, Scope: record.scope, Logs: logs };
+  const result = { file: logs || 'Pasted log', source: record.source, sourceLabel: record.sourceLabel, report: record.report, errors: record.errors || [] };
+  return formatResults([result], format, { meta });
+}
+
+/** One of the logs a saved analysis read, from where it is now (live, analysis or archive folder), redacted */
+async function analysisLog(record, file) {
+  if (!(record.logFiles || []).includes(file)) return { ok: false, error: `${file} is not a log of analysis ${record.id}` };
+  const dirs = { projectDir: PROJECT_DIR, liveDir: SF_LOG_DIR, analysisDir: SF_LOG_ANALYSIS_DIR, archiveDir: SF_LOG_ARCHIVE_DIR };
+  const found = findLogFile(dirs, record.logDir, file);
+  if (!found) return { ok: false, error: `${file} is no longer in .sf-log, .sf-log_Analysis or the archive` };
+  // The session that ran the analysis may be gone (closed, or an earlier server run); the active one redacts then
+  const text = sessionRedactor(resolveSession(record.session) || resolveSession()).redact(await readArchiveFile(found.abs));
+  return { ok: true, file, folder: found.folder, path: found.path, text };
+}
+
+/** Does the chain include the Cursor agent, which reads log files itself instead of the text it is given? */
+function chainUsesAgent(chain, config) {
+  const providers = providerConfigs(config.analyzers);
+  return chain.some((name) => providers[name].type === 'cursor-agent');
+}
+
+/** A folder as saved with an analysis: relative to the project, with forward slashes (see findLogFile) */
+function projectRelative(dir) {
+  return path.relative(PROJECT_DIR, dir).split(path.sep).join('/');
+}
+
+/**
+ * Run the analyzer chain, record its issues and save it to the analysis history with `saved` (logDir,
+ * logFiles, scope). Resolves with the /api/analyze response, which carries the saved `analysisId`.
+ */
+async function analyzeAndSave(target, chain, config, input, saved) {
+  const result = await runAnalyzers(chain, { projectDir: PROJECT_DIR, promptFile: PROMPT_FILE, config, ignored: ignoredFingerprints(), ...input });
+  const { report, findingsError, source, sourceLabel, failures } = result;
+  const agentError = failures.length ? failures.map((f) => `${f.provider}: ${f.error}`).join('; ') : undefined;
+  const { errors, issues, ignoredCount } = trackIssues(result.errors);
+  const analyzedAt = new Date().toISOString();
+  lastAnalysis = { analyzedAt, session: target.key, source, errors, issues };
+  const response = { report, errors, issues, ignoredCount: ignoredCount + (result.ignoredCount || 0), findingsError, source, sourceLabel, agentError };
+  let analysisId;
+  try {
+    analysisId = saveAnalysis(PROJECT_DIR, { analyzedAt, session: target.key, org: target.org || null, analyzer: chain[0], ...saved, ...response }).id;
+  } catch (e) {
+    console.error('Failed to save analysis:', e.message);
+  }
+  return { ...response, analysisId };
+}
+
+/**
+ * What a targeted analysis reads: `transactionId` (a transaction of the session), `text` (lines picked in the
+ * log viewer, with `before`/`after` context), or a log cut by `lines` ({ from, to }, 1-based) or `time`
+ * ({ from, to }, log timestamps) from `file` ({ folder: live | analysis | archive, path }) or else the
+ * session buffer. Returns { content, before, after, label, path? } or { error }.
+ */
+async function analysisSlice(session, { transactionId, text, before, after, label, file, lines, time }) {
+  if (typeof text === 'string') {
+    return text.trim() ? { content: text, before: String(before || ''), after: String(after || ''), label: String(label || 'Selected lines') } : { error: 'text is empty' };
+  }
+  if (transactionId != null && transactionId !== '') {
+    const tx = session.transactions.find((t) => t.id === Number(transactionId));
+    if (!tx) return { error: `Transaction #${transactionId} not found in ${session.key}` };
+    return { content: tx.raw, label: `Transaction #${tx.id}${tx.codeUnits[0] ? ` (${tx.codeUnits[0]})` : ''}` };
+  }
+  let source = session.logBuffer.text();
+  let where = `${session.key} buffer`;
+  if (file) {
+    const root = LOG_FOLDERS[file.folder];
+    if (!root) return { error: `Unknown folder ${file.folder}; use ${Object.keys(LOG_FOLDERS).join(', ')}` };
+    const abs = resolveArchivePath(root, file.path);
+    if (!abs || !fs.existsSync(abs)) return { error: `Log not found: ${file.folder}/${file.path}` };
+    source = await readArchiveFile(abs); // Read only: a live file keeps being written
+    where = `${file.folder}/${file.path}`;
+  }
+  if (!source.trim()) return { error: `${where} is empty` };
+  const part = sliceLog(source, { lines, time, contextLines: SLICE_CONTEXT_LINES });
+  if (part.error) return part;
+  return { ...part, label: `${where}${part.range ? ` ${part.range}` : ''}`, path: file?.path };
+}
+
+/**
+ * Targeted analysis: only the slice is analyzed, and nothing in .sf-log is moved or rotated. Model analyzers
+ * also see the lines around it; the Cursor agent reads the same text from a file written for it.
+ */
+async function analyzeSlice(target, chain, config, slice) {
+  const part = await analysisSlice(target, slice);
+  if (part.error) return { ok: false, error: part.error };
+  const redactor = sessionRedactor(target);
+  const content = redactor.redact(part.content);
+  const focus = { label: part.label, before: redactor.redact(part.before || ''), after: redactor.redact(part.after || '') };
+  const files = [];
+  if (chainUsesAgent(chain, config)) {
+    files.push(`apex-slice-${Date.now()}.log`);
+    fs.mkdirSync(target.analysisDir, { recursive: true });
+    fs.writeFileSync(path.join(target.analysisDir, files[0]), focusedLog(content, focus));
+  }
+  return analyzeAndSave(target, chain, config, { logDir: target.analysisDir, files, content, focus }, {
+    logDir: projectRelative(part.path ? path.dirname(path.join(LOG_FOLDERS[slice.file.folder], part.path)) : target.analysisDir),
+    logFiles: part.path ? [path.posix.basename(part.path)] : files,
+    scope: part.label,
+  });
+}
+
+/** Start a new log file in the session folder */
+function openLogFile(session) {
+  fs.mkdirSync(session.logDir, { recursive: true });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const logPath = path.join(session.logDir, `apex-${timestamp}.log`);
+  try {
+    session.logFileStream = fs.createWriteStream(logPath, { flags: 'w' });
+    session.currentLogPath = path.relative(PROJECT_DIR, logPath);
+    session.currentLogFilePath = logPath;
+  } catch (e) {
+    console.error(`Failed to create log file for ${session.key}:`, e.message);
+  }
 }
 
 /** Flush current log stream so files can be moved */
-function flushCurrentLogStream() {
-  if (logFileStream?.writable) {
-    try { logFileStream.end(); } catch (e) {}
-    logFileStream = null;
-    currentLogFilePath = null;
+function closeLogFile(session) {
+  if (session.logFileStream) {
+    try { session.logFileStream.end(); } catch (e) {}
+    session.logFileStream = null;
+    session.currentLogFilePath = null;
   }
 }
 
 /**
  * Analysis: When user clicks Analyze:
- * 1. Move all logs from .sf-log to .sf-log_Analysis
- * 2. Analysis uses files in .sf-log_Analysis
+ * 1. Move the session's logs from .sf-log/<alias> to .sf-log_Analysis/<alias>
+ * 2. Analysis uses files in .sf-log_Analysis/<alias>
  */
-function moveLogsToAnalysisFolder() {
-  flushCurrentLogStream();
-  ensureSfLogDir();
-  if (!fs.existsSync(SF_LOG_ANALYSIS_DIR)) fs.mkdirSync(SF_LOG_ANALYSIS_DIR, { recursive: true });
-  const mainFiles = (fs.readdirSync(SF_LOG_DIR) || []).filter((f) => {
-    try { return fs.statSync(path.join(SF_LOG_DIR, f)).isFile() && (f.endsWith('.log') || f.endsWith('.log.gz')); } catch { return false; }
-  });
-  for (const f of mainFiles) {
-    try {
-      fs.renameSync(path.join(SF_LOG_DIR, f), path.join(SF_LOG_ANALYSIS_DIR, f));
-    } catch (_) {}
+function moveLogsToAnalysisFolder(session) {
+  closeLogFile(session);
+  fs.mkdirSync(session.analysisDir, { recursive: true });
+  const moved = [];
+  if (fs.existsSync(session.logDir)) {
+    for (const f of (fs.readdirSync(session.logDir) || []).filter((name) => isLogFile(session.logDir, name))) {
+      try {
+        fs.renameSync(path.join(session.logDir, f), path.join(session.analysisDir, f));
+        moved.push(f);
+      } catch (_) {}
+    }
+  }
+  if (session.tailProcess) openLogFile(session);
+  return moved.sort();
+}
+
+/** Connected orgs from `sf org list`, cached for CACHE_TTL; resolves with { orgs, error? } (never rejects) */
+function getConnectedOrgs(force = false) {
+  if (!force && Date.now() < orgCache.expiresAt) return Promise.resolve({ orgs: orgCache.orgs });
+  if (!orgRefresh) {
+    orgRefresh = runSfJson(['org', 'list'], { cwd: PROJECT_DIR, timeout: 60000 }).then((r) => {
+      const all = [...(r?.scratchOrgs || []), ...(r?.nonScratchOrgs || []), ...(r?.other || []), ...(r?.sandboxes || [])];
+      const orgs = all
+        .filter((o) => o.connectedStatus === 'Connected')
+        .map((o) => ({ alias: o.alias || o.username, username: o.username }));
+      orgCache = { orgs, expiresAt: Date.now() + CACHE_TTL, refreshedAt: Date.now() };
+      return { orgs };
+    }, (e) => {
+      orgCache.refreshedAt = Date.now();
+      return { orgs: orgCache.orgs, error: e.message };
+    }).finally(() => {
+      orgRefresh = null;
+    });
   }
-  if (tailProcess) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const logFileName = `apex-${timestamp}.log`;
-    const logPath = path.join(SF_LOG_DIR, logFileName);
+  return orgRefresh;
+}
+
+/**
+ * Is `alias` an alias or username that `sf org list` reports as connected? No alias (the project default org)
+ * always is. A name missing from the cached list refreshes it, for orgs logged in since, at most every
+ * ORG_REFRESH_MIN_MS: typos and made-up names are answered from the cache in between.
+ */
+async function isConnectedOrg(alias) {
+  const name = sessionKey(alias);
+  if (name === DEFAULT_SESSION) return true;
+  const known = ({ orgs }) => orgs.some((o) => o.alias === name || o.username === name);
+  if (known(await getConnectedOrgs())) return true;
+  if (Date.now() - orgCache.refreshedAt < ORG_REFRESH_MIN_MS) return false;
+  return known(await getConnectedOrgs(true));
+}
+
+function unknownOrgError(alias) {
+  return `Unknown org ${alias}: not a connected org in \`sf org list\``;
+}
+
+/** ApexLog records stored in the org (any user), newest first */
+async function listHistoricalLogs(orgAlias) {
+  const key = sessionKey(orgAlias);
+  const result = await runSfJson(['apex', 'list', 'log', ...orgArgs(key)], { cwd: PROJECT_DIR });
+  const logs = (Array.isArray(result) ? result : [])
+    .map(normalizeLogRecord)
+    .sort((a, b) => String(b.startTime).localeCompare(String(a.startTime)));
+  historyCache.set(key, logs);
+  return logs;
+}
+
+/** Download logs with `sf apex get log` into the org's .sf-log_Analysis folder, one at a time */
+async function downloadHistoricalLogs(orgAlias, ids) {
+  const key = sessionKey(orgAlias);
+  const dir = path.join(SF_LOG_ANALYSIS_DIR, sessionDirName(key));
+  fs.mkdirSync(dir, { recursive: true });
+  const known = historyCache.get(key) || [];
+  const redactor = sessionRedactor(getSession(key));
+  const files = [];
+  const errors = [];
+  for (const id of ids) {
+    if (!isLogId(id)) {
+      errors.push({ id, error: 'Invalid log id' });
+      continue;
+    }
     try {
-      logFileStream = fs.createWriteStream(logPath, { flags: 'w' });
-      currentLogPath = path.relative(PROJECT_DIR, logPath);
-      currentLogFilePath = logPath;
+      const body = redactor.redact(logBodyFromResult(await runSfJson(['apex', 'get', 'log', '--log-id', id, ...orgArgs(key)], { cwd: PROJECT_DIR })));
+      const file = historyFileName(known.find((l) => l.id === id) || { id });
+      fs.writeFileSync(path.join(dir, file), body);
+      files.push({ id, file, size: Buffer.byteLength(body) });
     } catch (e) {
-      console.error('Failed to create new log file after analysis:', e.message);
+      errors.push({ id, error: e.message });
     }
   }
+  return { ok: errors.length === 0, session: key, dir: path.relative(PROJECT_DIR, dir), files, errors };
 }
 
-function getSfEnv() {
-  const home = process.env.HOME || process.env.USERPROFILE || '';
-  const candidates = [
-    '/usr/local/bin',
-    '/opt/homebrew/bin',
-    path.join(home, '.volta', 'bin'),
-  ];
-  try {
-    const nvmCurrent = path.join(home, '.nvm', 'versions', 'node', 'current', 'bin');
-    if (fs.existsSync(nvmCurrent)) candidates.push(nvmCurrent);
-    const nvmDir = path.join(home, '.nvm', 'versions', 'node');
-    if (fs.existsSync(nvmDir)) {
-      const vers = fs.readdirSync(nvmDir).filter((v) => fs.existsSync(path.join(nvmDir, v, 'bin')));
-      if (vers.length) candidates.push(path.join(nvmDir, vers.sort().pop(), 'bin'));
-    }
-  } catch (_) {}
-  const extra = candidates.filter((p) => p && fs.existsSync(p)).join(path.delimiter);
-  return { ...process.env, PATH: extra ? extra + path.delimiter + (process.env.PATH || '') : process.env.PATH };
+function toolingQuery(orgAlias, query) {
+  return runSfJson(['data', 'query', '--query', query, '--use-tooling-api', ...orgArgs(orgAlias)], { cwd: PROJECT_DIR });
 }
 
-function getConnectedOrgs(force = false) {
-  if (!force && Date.now() < orgCache.expiresAt) return { orgs: orgCache.orgs };
-  try {
-    const out = execSync('sf org list --json', {
-      encoding: 'utf8',
-      cwd: PROJECT_DIR,
-      maxBuffer: 1024 * 1024,
-      timeout: 60000,
-      shell: true,
-      env: getSfEnv(),
-    });
-    const data = JSON.parse(out?.trim() || '{}');
-    const r = data?.result || data;
-    const all = [...(r.scratchOrgs || []), ...(r.nonScratchOrgs || []), ...(r.other || []), ...(r.sandboxes || [])];
-    const orgs = all
-      .filter((o) => o.connectedStatus === 'Connected')
-      .map((o) => ({ alias: o.alias || o.username, username: o.username }));
-    orgCache = { orgs, expiresAt: Date.now() + CACHE_TTL };
-    return { orgs };
-  } catch (e) {
-    const err = e.stderr?.toString() || e.stdout?.toString() || e.message;
-    return { orgs: orgCache.orgs, error: err.trim() || e.message };
+async function listDebugLevels(orgAlias) {
+  const result = await toolingQuery(orgAlias, DEBUG_LEVEL_QUERY);
+  return (result.records || []).map(normalizeDebugLevel);
+}
+
+/** Create a DebugLevel (developerName + levels; unset categories are NONE) or update the levels of an existing one */
+async function saveDebugLevel(orgAlias, { id, developerName, levels }) {
+  const checked = validateLevels(levels || {}, { requireAll: !id });
+  if (checked.error) return { ok: false, error: checked.error };
+  if (id) {
+    if (!isRecordId(id)) return { ok: false, error: 'Invalid DebugLevel id' };
+    if (!Object.keys(checked.levels).length) return { ok: false, error: 'No levels to update' };
+    await runSfJson(['data', 'update', 'record', '--sobject', 'DebugLevel', '--record-id', id, '--values', formatValues(checked.levels), '--use-tooling-api', ...orgArgs(orgAlias)], { cwd: PROJECT_DIR });
+    return { ok: true, id };
   }
+  if (!isDeveloperName(developerName)) return { ok: false, error: 'Developer name must start with a letter and use only letters, digits and _' };
+  const values = formatValues({ DeveloperName: developerName, MasterLabel: developerName, ...checked.levels });
+  const result = await runSfJson(['data', 'create', 'record', '--sobject', 'DebugLevel', '--values', values, '--use-tooling-api', ...orgArgs(orgAlias)], { cwd: PROJECT_DIR });
+  return { ok: true, id: result.id };
 }
 
-function setDefaultOrg(alias) {
-  if (!alias?.trim()) return { ok: false, error: 'No org selected' };
-  try {
-    execSync(`sf config set target-org ${alias}`, { encoding: 'utf8', cwd: PROJECT_DIR, shell: true, env: getSfEnv() });
-    return { ok: true };
-  } catch (e) {
-    return { ok: false, error: e.message };
+async function listTraceFlags(orgAlias) {
+  const result = await toolingQuery(orgAlias, TRACE_FLAG_QUERY);
+  return (result.records || []).map((r) => normalizeTraceFlag(r));
+}
+
+/** USER_DEBUG trace flag for a user with the given debug level, expiring after expiresInMinutes (default 60) or at expirationDate */
+async function createTraceFlag(orgAlias, { userId, debugLevelId, ...window }) {
+  if (!isRecordId(userId)) return { ok: false, error: 'Invalid user id' };
+  if (!isRecordId(debugLevelId)) return { ok: false, error: 'Invalid DebugLevel id' };
+  const w = traceWindow(window);
+  if (w.error) return { ok: false, error: w.error };
+  const values = formatValues({ TracedEntityId: userId, LogType: 'USER_DEBUG', DebugLevelId: debugLevelId, StartDate: w.startDate, ExpirationDate: w.expirationDate });
+  const result = await runSfJson(['data', 'create', 'record', '--sobject', 'TraceFlag', '--values', values, '--use-tooling-api', ...orgArgs(orgAlias)], { cwd: PROJECT_DIR });
+  return { ok: true, id: result.id, ...w };
+}
+
+/** Change a trace flag's debug level and/or extend it (a new window starting now) */
+async function updateTraceFlag(orgAlias, id, { debugLevelId, expirationDate, expiresInMinutes }) {
+  if (!isRecordId(id)) return { ok: false, error: 'Invalid TraceFlag id' };
+  const values = {};
+  if (debugLevelId) {
+    if (!isRecordId(debugLevelId)) return { ok: false, error: 'Invalid DebugLevel id' };
+    values.DebugLevelId = debugLevelId;
+  }
+  if (expirationDate || expiresInMinutes) {
+    const w = traceWindow({ expirationDate, expiresInMinutes });
+    if (w.error) return { ok: false, error: w.error };
+    Object.assign(values, { StartDate: w.startDate, ExpirationDate: w.expirationDate });
   }
+  if (!Object.keys(values).length) return { ok: false, error: 'Nothing to update' };
+  await runSfJson(['data', 'update', 'record', '--sobject', 'TraceFlag', '--record-id', id, '--values', formatValues(values), '--use-tooling-api', ...orgArgs(orgAlias)], { cwd: PROJECT_DIR });
+  return { ok: true, id };
 }
 
-function startAudit(orgAlias) {
-  lastTailError = null;
-  if (tailProcess) {
-    tailProcess.kill('SIGTERM');
-    tailProcess = null;
+async function listUsers(orgAlias) {
+  const result = await runSfJson(['data', 'query', '--query', USER_QUERY, ...orgArgs(orgAlias)], { cwd: PROJECT_DIR });
+  return (result.records || []).map((r) => ({ id: r.Id, name: r.Name, username: r.Username }));
+}
+
+async function setDefaultOrg(alias) {
+  if (!alias?.trim()) return { ok: false, error: 'No org selected' };
+  if (!(await isConnectedOrg(alias))) return { ok: false, error: unknownOrgError(alias.trim()) };
+  await runSfJson(['config', 'set', 'target-org', alias.trim()], { cwd: PROJECT_DIR });
+  return { ok: true };
+}
+
+/** Start (or restart) the tail of a connected org's session with a validated debug level name */
+async function startAudit(orgAlias, { debugLevel } = {}) {
+  const level = debugLevel?.trim() || DEFAULT_DEBUG_LEVEL;
+  if (!isDeveloperName(level)) return { ok: false, error: `Invalid debug level name: ${level}` };
+  const key = sessionKey(orgAlias);
+  if (!(await isConnectedOrg(key))) return { ok: false, error: unknownOrgError(key) };
+  return startTail(key, level);
+}
+
+/** `sf apex tail log` for a session, creating the session; the org and level are checked by the caller */
+function startTail(key, level) {
+  const env = getSfEnv();
+  let command;
+  let args;
+  try { [command, args] = sfInvocation(['apex', 'tail', 'log', '--debug-level', level, ...orgArgs(key)], env); } catch (e) {
+    return { ok: false, error: e.message };
   }
-  if (logFileStream) {
-    try { logFileStream.end(); } catch (e) {}
-    logFileStream = null;
+  const session = getSession(key);
+  activeSessionKey = key;
+  session.lastTailError = null;
+  if (session.tailProcess) {
+    session.tailProcess.kill('SIGTERM');
+    session.tailProcess = null;
   }
-  logBuffer = [];
-  currentLogPath = null;
-  currentLogFilePath = null;
+  closeLogFile(session);
+  session.logBuffer.clear();
+  resetTransactions(session);
+  session.currentLogPath = null;
+  session.startedAt = new Date().toISOString();
   ensureSfLogDir();
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-  const logFileName = `apex-${timestamp}.log`;
-  const logPath = path.join(SF_LOG_DIR, logFileName);
-  currentLogFilePath = logPath;
-  try {
-    logFileStream = fs.createWriteStream(logPath, { flags: 'w' });
-    currentLogPath = path.relative(PROJECT_DIR, logPath);
-  } catch (e) {
-    console.error('Failed to create log file:', e.message);
-  }
-  const org = orgAlias?.trim() || null;
-  const args = ['apex', 'tail', 'log', '--debug-level', 'DEBUG'];
-  if (org) args.push('--target-org', org);
-  tailProcess = spawn('sf', args, { stdio: ['ignore', 'pipe', 'pipe'], shell: true, cwd: PROJECT_DIR, env: getSfEnv() });
-  tailProcess.on('error', (err) => {
-    lastTailError = err.message;
-    tailProcess = null;
+  openLogFile(session);
+  session.debugLevel = level;
+  const redactor = sessionRedactor(session);
+  session.alerts = createAlertEngine({ getRules: () => loadAlertRules(PROJECT_DIR), onAlert: (a) => raiseAlert(session, a) });
+  const proc = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], cwd: PROJECT_DIR, env });
+  session.tailProcess = proc;
+  proc.on('error', (err) => {
+    session.lastTailError = err.message;
+    if (session.tailProcess === proc) session.tailProcess = null;
+    broadcast(session, 'status', tailStatus(session));
   });
   const maybeRotateLog = () => {
-    if (!logFileStream?.writable || !currentLogFilePath) return;
+    if (!session.logFileStream?.writable || !session.currentLogFilePath) return;
     try {
-      const stat = fs.statSync(currentLogFilePath);
+      const stat = fs.statSync(session.currentLogFilePath);
       if (stat.size >= LOG_ROTATE_SIZE_BYTES) {
-        logFileStream.end();
-        logFileStream = null;
-        const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-        const newName = `apex-${ts}.log`;
-        const newPath = path.join(SF_LOG_DIR, newName);
-        currentLogFilePath = newPath;
-        logFileStream = fs.createWriteStream(newPath, { flags: 'w' });
-        currentLogPath = path.relative(PROJECT_DIR, newPath);
+        closeLogFile(session);
+        openLogFile(session);
       }
     } catch (_) {}
   };
-  const write = (text) => {
-    logBuffer.push(text);
-    if (logFileStream?.writable) {
+  const write = (text, parse) => {
+    if (!text) return;
+    const seq = session.logBuffer.push(text);
+    broadcast(session, 'log', { seq, text }, seq);
+    if (parse) {
+      session.txParser.write(text);
+      session.alerts.write(text);
+    }
+    if (session.logFileStream?.writable) {
       maybeRotateLog();
-      if (logFileStream?.writable) logFileStream.write(text);
+      if (session.logFileStream?.writable) session.logFileStream.write(text);
     }
   };
-  tailProcess.stdout?.on('data', (c) => write(c.toString()));
-  tailProcess.stderr?.on('data', (c) => write(c.toString()));
-  tailProcess.on('close', () => {
-    tailProcess = null;
-    if (logFileStream) {
-      try { logFileStream.end(); } catch (e) {}
-      logFileStream = null;
-    }
+  // Output is redacted line by line before it reaches the buffer, the stream, the parser or the .sf-log file
+  const stdout = redactor.lineStream();
+  const stderr = redactor.lineStream();
+  proc.stdout?.on('data', (c) => write(stdout.write(c.toString()), true));
+  proc.stderr?.on('data', (c) => write(stderr.write(c.toString()), false));
+  session.flushTail = () => {
+    write(stdout.flush(), true);
+    write(stderr.flush(), false);
+    session.alerts.flush();
+  };
+  proc.on('close', () => {
+    // A restart replaces the process; only the current one may tear the session down
+    if (session.tailProcess !== proc) return;
+    session.tailProcess = null;
+    session.flushTail?.();
+    session.flushTail = null;
+    session.txParser.flush();
+    closeLogFile(session);
+    broadcast(session, 'status', tailStatus(session));
   });
-  return { ok: true, org: org || '(default)', logPath: currentLogPath };
+  broadcast(session, 'reset', tailStatus(session));
+  return {
+    ok: true,
+    session: key,
+    org: session.org || '(default)',
+    debugLevel: level,
+    logPath: session.currentLogPath,
+    redaction: { enabled: redactor.enabled, detectors: redactor.detectors, errors: redactor.errors },
+  };
 }
 
-function stopAudit() {
-  lastTailError = null;
-  if (tailProcess) {
-    tailProcess.kill('SIGTERM');
-    tailProcess = null;
+function stopAudit(session) {
+  session.lastTailError = null;
+  if (session.tailProcess) {
+    const proc = session.tailProcess;
+    session.tailProcess = null;
+    proc.kill('SIGTERM');
   }
-  if (logFileStream) {
-    try { logFileStream.end(); } catch (e) {}
-    logFileStream = null;
+  session.flushTail?.();
+  session.flushTail = null;
+  session.txParser.flush();
+  closeLogFile(session);
+  broadcast(session, 'status', tailStatus(session));
+  return { ok: true, session: session.key, logPath: session.currentLogPath };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Test run without the per-test logs, for lists and stream events */
+function testRunSummary(run) {
+  const { tests, ...summary } = run;
+  return { ...summary, testCount: tests.length };
+}
+
+/** A failing test's transaction with the regex analysis of its log text */
+function testLog(tx, origin, config, ignored) {
+  const { report, errors } = analyzeLogs(tx.raw, config, { ignored, transactions: tx.events ? [tx] : null });
+  return {
+    origin,
+    transactionId: origin === 'tail' ? tx.id : null,
+    codeUnit: tx.codeUnits[0] || null,
+    startTime: tx.startTime,
+    durationMs: tx.durationMs,
+    raw: tx.raw,
+    report,
+    errors,
+  };
+}
+
+/**
+ * Run the tests with `sf apex run test`, then attach each failing test's debug log: the tail transaction that ran
+ * the method, or (when the tail missed it) the ApexLog named in the result, fetched with `sf apex get log`.
+ */
+async function executeTestRun(run, session, waitMinutes) {
+  if (run.startedTail) await delay(TAIL_WARMUP_MS);
+  const result = await runSfJson([...runTestArgs(run.selection, waitMinutes), ...orgArgs(run.session)], {
+    cwd: PROJECT_DIR,
+    timeout: (waitMinutes + 1) * 60000,
+  }).catch((e) => {
+    // sf exits non-zero when a test fails; the results are still in the JSON body
+    if (Array.isArray(e.result?.tests)) return e.result;
+    throw e;
+  });
+  const redactor = sessionRedactor(session);
+  const { summary, tests } = normalizeRunResult(result);
+  run.summary = summary;
+  run.tests = tests.map((t) => ({ ...t, message: t.message && redactor.redact(t.message), stackTrace: t.stackTrace && redactor.redact(t.stackTrace) }));
+  run.status = 'collecting';
+  broadcast(session, 'tests', testRunSummary(run));
+
+  const failures = run.tests.filter(isFailure);
+  const deadline = Date.now() + TEST_LOG_WAIT_MS;
+  while (session.tailProcess && Date.now() < deadline && failures.some((t) => !findTestTransaction(session.transactions, t, run.startedAt))) {
+    await delay(1000);
+  }
+  const config = loadConfig(PROJECT_DIR);
+  const ignored = ignoredFingerprints();
+  for (const test of run.tests) {
+    const tx = findTestTransaction(session.transactions, test, run.startedAt);
+    test.transactionId = tx?.id ?? null;
+    if (!isFailure(test)) continue;
+    if (tx) {
+      test.log = testLog(tx, 'tail', config, ignored);
+    } else if (isLogId(test.logId)) {
+      try {
+        const text = redactor.redact(logBodyFromResult(await runSfJson(['apex', 'get', 'log', '--log-id', test.logId, ...orgArgs(run.session)], { cwd: PROJECT_DIR })));
+        const logTx = transactionFromLog(text, test);
+        if (logTx) test.log = testLog(logTx, 'download', config, ignored);
+      } catch (e) {
+        test.logError = e.message;
+      }
+    }
+  }
+}
+
+/**
+ * Start a test run for an org (classNames, suiteNames or tests, plus waitMinutes). The org's tail is started
+ * first when it is not running, so the run's debug logs are captured, and stopped again afterwards.
+ * Progress goes out as `tests` stream events; the results are read from GET /api/tests/:id.
+ */
+async function startTestRun(orgAlias, { waitMinutes, debugLevel, ...names } = {}) {
+  const { selection, error } = validateSelection(names);
+  if (error) return { ok: false, error };
+  const level = debugLevel?.trim() || DEFAULT_DEBUG_LEVEL;
+  if (!isDeveloperName(level)) return { ok: false, error: `Invalid debug level name: ${level}` };
+  const key = sessionKey(orgAlias);
+  if (!(await isConnectedOrg(key))) return { ok: false, error: unknownOrgError(key) };
+  // Nothing below waits, so a second request cannot slip in between the check and the run being recorded
+  if (testRuns.some((r) => r.session === key && (r.status === 'running' || r.status === 'collecting'))) {
+    return { ok: false, error: `Tests are already running for ${key}` };
+  }
+  const session = getSession(key);
+  const startedTail = !session.tailProcess;
+  if (startedTail) {
+    const started = startTail(key, level);
+    if (!started.ok) return started;
   }
-  return { ok: true, logPath: currentLogPath };
+  const run = {
+    id: ++testRunSeq,
+    session: key,
+    org: session.org,
+    selection,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    startedTail,
+    summary: null,
+    error: null,
+    tests: [],
+  };
+  const tail = session.tailProcess;
+  testRuns.push(run);
+  if (testRuns.length > MAX_TEST_RUNS) testRuns.shift();
+  broadcast(session, 'tests', testRunSummary(run));
+  executeTestRun(run, session, testWaitMinutes(waitMinutes)).then(() => {
+    run.status = 'done';
+  }, (e) => {
+    run.status = 'error';
+    run.error = e.message;
+  }).then(() => {
+    run.finishedAt = new Date().toISOString();
+    // Leave the tail alone if it was restarted (by the user) during the run
+    if (startedTail && session.tailProcess === tail) stopAudit(session);
+    broadcast(session, 'tests', testRunSummary(run));
+  });
+  return { ok: true, session: key, run: testRunSummary(run) };
 }
 
-const CORS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
-};
+// The VS Code extension passes its own token in MONITOR_TOKEN; otherwise one is made for this launch
+const access = createAccessControl({
+  port: PORT,
+  host: HOST,
+  token: process.env.MONITOR_TOKEN || undefined,
+  allowedOrigins: (process.env.MONITOR_ALLOWED_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean),
+});
 
-const server = http.createServer((req, res) => {
+const server = http.createServer(async (req, res) => {
   const url = new URL(req.url || '/', `http://localhost:${PORT}`);
+  const CORS = access.corsHeaders(req.headers.origin);
+
+  const send = (data, code = 200) => {
+    res.writeHead(code, { ...CORS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  const denied = access.checkRequest(req);
+  if (denied) return send({ error: denied.error }, denied.status);
 
   if (req.method === 'OPTIONS') {
     res.writeHead(204, CORS);
@@ -360,9 +920,38 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  const send = (data, code = 200) => {
-    res.writeHead(code, { ...CORS, 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(data));
+  // One-time login link for the standalone page: trade the code for the token cookie
+  if (url.pathname === '/' && req.method === 'GET' && url.searchParams.has('login')) {
+    const cookie = access.login(url.searchParams.get('login'));
+    if (!cookie) return res.writeHead(401, { 'Content-Type': 'text/plain' }).end('This login link has already been used. Use the latest link printed by the server.');
+    console.log(`Signed in a browser. Link for the next one: ${access.loginUrl()}`);
+    return res.writeHead(302, { 'Set-Cookie': cookie, Location: '/' }).end();
+  }
+
+  if (!access.isAuthorized(req)) {
+    if (url.pathname.startsWith('/api/')) return send({ error: 'Unauthorized: send the server token or open the login link it printed' }, 401);
+    return res.writeHead(401, { 'Content-Type': 'text/plain' }).end('Unauthorized. Open the login link printed by the Apex Log Monitor server.');
+  }
+
+  // Orgs named by ?org= (or a JSON body's `org`, see readJson) must be connected: they end up on sf command lines
+  const queryOrg = url.searchParams.get('org');
+  if (queryOrg && !(await isConnectedOrg(queryOrg))) return send({ ok: false, error: unknownOrgError(queryOrg) }, 400);
+
+  /** Parse a JSON request body; a malformed body or an unknown `org` is answered with 400 */
+  const readJson = (handler) => {
+    let body = '';
+    req.on('data', (c) => (body += c));
+    req.on('end', async () => {
+      let data;
+      try { data = JSON.parse(body || '{}'); } catch (_) { return send({ ok: false, error: 'Invalid JSON body' }, 400); }
+      if (typeof data?.org === 'string' && !(await isConnectedOrg(data.org))) return send({ ok: false, error: unknownOrgError(data.org) }, 400);
+      handler(data || {});
+    });
+  };
+
+  /** Send the result of an sf-backed operation: { ok: false } is a 400, a failed sf command a 502 */
+  const sendAsync = (promise) => {
+    promise.then((r) => send(r, r?.ok === false ? 400 : 200), (e) => send({ ok: false, error: e.message }, 502));
   };
 
   if (url.pathname === '/' && req.method === 'GET') {
@@ -374,86 +963,417 @@ const server = http.createServer((req, res) => {
   }
 
   if (url.pathname === '/api/orgs') {
-    const result = getConnectedOrgs(url.searchParams.get('refresh') === '1');
-    return send(result);
+    return getConnectedOrgs(url.searchParams.get('refresh') === '1').then(send);
   }
 
   if (url.pathname === '/api/set-default' && req.method === 'POST') {
-    let body = '';
-    req.on('data', (c) => (body += c));
-    req.on('end', () => {
-      const { org } = JSON.parse(body || '{}');
-      send(setDefaultOrg(org));
+    return readJson(({ org }) => sendAsync(setDefaultOrg(org)));
+  }
+
+  if (url.pathname === '/api/start' && req.method === 'POST') {
+    return readJson(({ org, debugLevel }) => startAudit(org, { debugLevel }).then(send));
+  }
+
+  // Reading a session never creates it: an unknown ?session= is a 404 for every route below
+  const sessionParam = url.searchParams.get('session');
+  if (sessionParam && !sessions.has(sessionParam)) return send({ error: `No session for ${sessionParam}` }, 404);
+  const session = () => resolveSession(sessionParam);
+
+  const sendLogs = (target) => {
+    if (url.searchParams.has('since')) {
+      const { chunks, lastSeq, truncated } = target.logBuffer.since(parseInt(url.searchParams.get('since'), 10) || 0);
+      return send({ session: target.key, chunks, lastSeq, truncated, logPath: target.currentLogPath, tailError: target.lastTailError });
+    }
+    return send({ session: target.key, logs: target.logBuffer.text(), logPath: target.currentLogPath, tailError: target.lastTailError });
+  };
+
+  if (url.pathname === '/api/stop' && req.method === 'POST') {
+    return send(stopAudit(session()));
+  }
+
+  if (url.pathname === '/api/logs') {
+    return sendLogs(session());
+  }
+
+  // Server-Sent Events: `log` chunks (id = sequence number), `transaction` summaries, `status` and `reset`.
+  // Resume with the Last-Event-ID header (sent by EventSource on reconnect) or ?since=<seq>.
+  if (url.pathname === '/api/logs/stream') {
+    const target = session();
+    const since = parseInt(req.headers['last-event-id'] || url.searchParams.get('since') || '0', 10) || 0;
+    res.writeHead(200, { ...CORS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    const backlog = target.logBuffer.since(since);
+    if (backlog.truncated) sendEvent(res, 'reset', { ...tailStatus(target), truncated: true });
+    for (const c of backlog.chunks) sendEvent(res, 'log', c, c.seq);
+    sendEvent(res, 'status', tailStatus(target));
+    target.streamClients.add(res);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), STREAM_KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      target.streamClients.delete(res);
     });
     return;
   }
 
-  if (url.pathname === '/api/start' && req.method === 'POST') {
-    let body = '';
-    req.on('data', (c) => (body += c));
-    req.on('end', () => {
-      let org;
-      try { org = JSON.parse(body || '{}').org; } catch (_) { org = undefined; }
-      send(startAudit(org));
+  if (url.pathname === '/api/sessions' && req.method === 'GET') {
+    return send({ active: activeSessionKey, lastAnalysisAt: lastAnalysis?.analyzedAt || null, sessions: [...sessions.values()].map(tailStatus) });
+  }
+
+  const sessionMatch = /^\/api\/sessions\/([^/]+)(?:\/(start|stop|logs))?$/.exec(url.pathname);
+  if (sessionMatch) {
+    let key;
+    try { key = decodeURIComponent(sessionMatch[1]); } catch (_) { return send({ error: 'Invalid session name' }, 400); }
+    const action = sessionMatch[2];
+    if (action === 'start' && req.method === 'POST') return readJson(({ debugLevel }) => startAudit(key, { debugLevel }).then(send));
+    const target = sessions.get(key);
+    if (!target) return send({ error: `No session for ${key}` }, 404);
+    if (action === 'stop' && req.method === 'POST') return send(stopAudit(target));
+    if (action === 'logs') return sendLogs(target);
+    if (!action && req.method === 'GET') return send(tailStatus(target));
+    if (!action && req.method === 'DELETE') {
+      stopAudit(target);
+      for (const client of target.streamClients) client.end();
+      sessions.delete(key);
+      if (activeSessionKey === key) activeSessionKey = sessions.keys().next().value || DEFAULT_SESSION;
+      return send({ ok: true, session: key });
+    }
+    return send({ error: 'Method not allowed' }, 405);
+  }
+
+  if (url.pathname === '/api/transactions') {
+    const target = session();
+    return send({ session: target.key, transactions: target.transactions.map(summarizeTransaction), pending: target.txParser.pending() });
+  }
+
+  // What the background regex scan has found in this session's transactions so far
+  if (url.pathname === '/api/findings') {
+    const target = session();
+    return send({ session: target.key, ...target.liveScan.summary(), findings: target.liveScan.list() });
+  }
+
+  if (url.pathname === '/api/limits') {
+    const { transactions } = session();
+    const limitsConfig = loadConfig(PROJECT_DIR).limits;
+    const rows = transactions.filter((tx) => Object.keys(tx.limits || {}).length).map((tx) => ({
+      id: tx.id,
+      startTime: tx.startTime,
+      codeUnit: tx.codeUnits[0] || null,
+      limits: tx.limits,
+      warnings: evaluateLimits(tx.limits, limitsConfig),
+    }));
+    return send({ config: limitsConfig, transactions: rows, worst: worstOffenders(transactions).slice(0, 10) });
+  }
+
+  if (url.pathname === '/api/queries') {
+    const queriesConfig = loadConfig(PROJECT_DIR).queries;
+    const rows = session().transactions.map((tx) => ({
+      id: tx.id,
+      startTime: tx.startTime,
+      codeUnit: tx.codeUnits[0] || null,
+      ...profileTransaction(tx, queriesConfig),
+    })).filter((p) => p.queries.length);
+    return send({ config: queriesConfig, transactions: rows, totals: aggregateProfiles(rows).slice(0, 50) });
+  }
+
+  // HTTP callouts per transaction; bodies go through the current redaction rules, which may be newer than the tail's
+  if (url.pathname === '/api/callouts') {
+    const target = session();
+    const redactor = sessionRedactor(target);
+    const redactBody = (body) => (body == null ? null : redactor.redact(body));
+    const rows = target.transactions.map((tx) => ({
+      id: tx.id,
+      startTime: tx.startTime,
+      codeUnit: tx.codeUnits[0] || null,
+      callouts: traceCallouts(tx).map((c) => ({ ...c, requestBody: redactBody(c.requestBody), responseBody: redactBody(c.responseBody) })),
+    })).filter((t) => t.callouts.length);
+    const flagged = rows.reduce((n, t) => n + t.callouts.filter((c) => c.flags.length).length, 0);
+    return send({ session: target.key, transactions: rows, flagged });
+  }
+
+  // Flame graph data for one transaction: spans overlapping ?from=&to= (ms) that are at least a pixel wide at
+  // ?width=, at most ?maxSpans=, plus the top methods
+  const timelineMatch = /^\/api\/transactions\/(\d+)\/timeline$/.exec(url.pathname);
+  if (timelineMatch) {
+    const tx = session().transactions.find((t) => t.id === parseInt(timelineMatch[1], 10));
+    if (!tx) return send({ error: 'Transaction not found' }, 404);
+    if (!timelines.has(tx)) timelines.set(tx, buildTimeline(tx));
+    const number = (name) => (url.searchParams.has(name) ? parseFloat(url.searchParams.get(name)) : undefined);
+    const maxSpans = Math.min(Math.max(parseInt(url.searchParams.get('maxSpans') || '4000', 10) || 4000, 100), 20000);
+    return send({ id: tx.id, ...timelineWindow(timelines.get(tx), { from: number('from'), to: number('to'), width: number('width'), maxSpans }) });
+  }
+
+  const txMatch = /^\/api\/transactions\/(\d+)$/.exec(url.pathname);
+  if (txMatch) {
+    const tx = session().transactions.find((t) => t.id === parseInt(txMatch[1], 10));
+    if (!tx) return send({ error: 'Transaction not found' }, 404);
+    const { events, ...detail } = tx;
+    return send(detail);
+  }
+
+  if (url.pathname === '/api/tests/run' && req.method === 'POST') {
+    return readJson(({ org, ...input }) => {
+      startTestRun(org, input).then((r) => send(r, r.ok ? 200 : 400));
     });
+  }
+
+  if (url.pathname === '/api/tests/classes' && req.method === 'GET') {
+    return send({ classes: findLocalTestClasses(PROJECT_DIR) });
+  }
+
+  if (url.pathname === '/api/tests' && req.method === 'GET') {
+    return send({ runs: testRuns.map(testRunSummary).reverse() });
+  }
+
+  const testRunMatch = /^\/api\/tests\/(\d+)$/.exec(url.pathname);
+  if (testRunMatch && req.method === 'GET') {
+    const run = testRuns.find((r) => r.id === parseInt(testRunMatch[1], 10));
+    return run ? send(run) : send({ error: 'Test run not found' }, 404);
+  }
+
+  if (url.pathname === '/api/history' && req.method === 'GET') {
+    const q = Object.fromEntries(url.searchParams);
+    listHistoricalLogs(q.org)
+      .then((logs) => {
+        const filtered = filterLogs(logs, q);
+        send({ session: sessionKey(q.org), total: logs.length, logs: filtered });
+      })
+      .catch((e) => send({ error: e.message, logs: [] }, 502));
     return;
   }
 
-  if (url.pathname === '/api/stop' && req.method === 'POST') {
-    return send(stopAudit());
+  if (url.pathname === '/api/history/download' && req.method === 'POST') {
+    return readJson(({ org, ids }) => {
+      if (!Array.isArray(ids) || !ids.length) return send({ error: 'No log ids given' }, 400);
+      downloadHistoricalLogs(org, ids).then(send, (e) => send({ error: e.message }, 500));
+    });
   }
 
-  if (url.pathname === '/api/logs') {
-    return send({ logs: logBuffer.join(''), logPath: currentLogPath, tailError: lastTailError });
+  if (url.pathname === '/api/debug-levels' && req.method === 'GET') {
+    return sendAsync(listDebugLevels(url.searchParams.get('org')).then((debugLevels) => ({ debugLevels })));
+  }
+
+  const debugLevelMatch = /^\/api\/debug-levels(?:\/([^/]+))?$/.exec(url.pathname);
+  if (debugLevelMatch && req.method === 'POST') {
+    return readJson(({ org, ...input }) => sendAsync(saveDebugLevel(org, { ...input, id: debugLevelMatch[1] })));
+  }
+
+  if (url.pathname === '/api/trace-flags' && req.method === 'GET') {
+    return sendAsync(listTraceFlags(url.searchParams.get('org')).then((traceFlags) => ({ traceFlags })));
+  }
+
+  const traceFlagMatch = /^\/api\/trace-flags(?:\/([^/]+))?$/.exec(url.pathname);
+  if (traceFlagMatch && req.method === 'POST') {
+    return readJson(({ org, ...input }) => sendAsync(traceFlagMatch[1] ? updateTraceFlag(org, traceFlagMatch[1], input) : createTraceFlag(org, input)));
+  }
+
+  if (url.pathname === '/api/users' && req.method === 'GET') {
+    return sendAsync(listUsers(url.searchParams.get('org')).then((users) => ({ users })));
+  }
+
+  if (url.pathname === '/api/archive' && req.method === 'GET') {
+    return sendAsync(listArchive(SF_LOG_ARCHIVE_DIR).then((batches) => ({
+      batches,
+      totalSize: batches.reduce((n, b) => n + b.size, 0),
+      retention: loadConfig(PROJECT_DIR).archive,
+    })));
+  }
+
+  if (url.pathname === '/api/archive/search' && req.method === 'GET') {
+    const params = url.searchParams;
+    const q = params.get('q') || '';
+    const regex = params.get('regex') === '1';
+    const event = params.get('event') || '';
+    if (!q && !event) return send({ ok: false, error: 'q or event is required' }, 400);
+    if (regex) {
+      try { new RegExp(q); } catch (e) { return send({ ok: false, error: `Invalid regex: ${e.message}` }, 400); }
+    }
+    // Server-Sent Events: `file` as each file is opened, `match` per hit, then `done` with the totals
+    res.writeHead(200, { ...CORS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    searchArchive(SF_LOG_ARCHIVE_DIR, {
+      q,
+      regex,
+      event,
+      org: params.get('org') || undefined,
+      batch: params.get('batch') || undefined,
+      limit: Math.min(parseInt(params.get('limit') || '500', 10) || 500, 5000),
+    }, {
+      onFile: (file) => sendEvent(res, 'file', { path: file }),
+      onMatch: (match) => sendEvent(res, 'match', match),
+      isCancelled: () => closed,
+    }).then((result) => {
+      if (!closed) sendEvent(res, 'done', result);
+      res.end();
+    }, (e) => {
+      if (!closed) sendEvent(res, 'done', { error: e.message });
+      res.end();
+    });
+    return;
+  }
+
+  if (url.pathname === '/api/archive/open' && req.method === 'POST') {
+    return readJson(({ path: relPath, session: sessionName }) => sendAsync(reopenArchivedLog(relPath, sessionName)));
+  }
+
+  if (url.pathname === '/api/compare/sources' && req.method === 'GET') {
+    return sendAsync(compareSources(url.searchParams.get('session')));
+  }
+
+  if (url.pathname === '/api/compare' && req.method === 'POST') {
+    return readJson(({ a, b }) => {
+      if (!a || !b) return send({ ok: false, error: 'a and b are required' }, 400);
+      sendAsync(compareCaptures(a, b));
+    });
+  }
+
+  if (url.pathname === '/api/issues' && req.method === 'GET') {
+    const statusFilter = url.searchParams.get('status');
+    const issues = listIssues(loadIssues(PROJECT_DIR)).filter((i) => !statusFilter || i.status === statusFilter).map(flagNew);
+    return send({ issues, since: RUN_STARTED_AT });
+  }
+
+  const issueMatch = /^\/api\/issues\/([0-9a-f]{12})$/.exec(url.pathname);
+  if (issueMatch && req.method === 'POST') {
+    return readJson(({ status: issueStatus, note }) => {
+      const store = loadIssues(PROJECT_DIR);
+      const r = setIssueStatus(store, issueMatch[1], issueStatus, note);
+      if (r.error) return send({ ok: false, error: r.error }, r.error.startsWith('No issue') ? 404 : 400);
+      saveIssues(PROJECT_DIR, store);
+      send({ ok: true, issue: flagNew(r.issue) });
+    });
+  }
+
+  if (url.pathname === '/api/alerts' && req.method === 'GET') {
+    const since = parseInt(url.searchParams.get('since') || '0', 10) || 0;
+    const { exists, rules, errors, notifiers } = loadAlertRules(PROJECT_DIR);
+    return send({
+      alerts: recentAlerts.filter((a) => a.id > since),
+      lastId: alertSeq,
+      rules: { exists, count: rules.length, names: rules.map((r) => r.name), errors, webhook: !!notifiers.webhook },
+    });
+  }
+
+  // Send a test alert through every enabled notifier (no rule or rate limit involved) and report webhook delivery.
+  // Only the webhook configured in .debugfast-alerts.json is posted to, never a URL from the request.
+  if (url.pathname === '/api/alerts/test' && req.method === 'POST') {
+    return readJson(() => {
+      const { notifiers } = loadAlertRules(PROJECT_DIR);
+      const notify = NOTIFIERS.filter((n) => notifiers[n]);
+      const alert = { rule: 'test', severity: 'info', notify, event: null, line: 'Test alert from Apex Log Monitor', count: 1, suppressed: 0, at: new Date().toISOString() };
+      raiseAlert(session(), alert, notifiers.webhook).then((result) => send({ ok: !result || result.ok, notify, webhook: result }));
+    });
+  }
+
+  if (url.pathname === '/api/redaction/preview' && req.method === 'POST') {
+    return readJson(({ text }) => {
+      if (typeof text !== 'string') return send({ ok: false, error: 'text is required' }, 400);
+      send(previewRedaction(text, loadConfig(PROJECT_DIR).redaction));
+    });
+  }
+
+  if (url.pathname === '/api/analyzers' && req.method === 'GET') {
+    const { analyzers = {} } = loadConfig(PROJECT_DIR);
+    return send({ provider: analyzers.provider, fallback: analyzers.fallback || [], providers: describeProviders(analyzers) });
+  }
+
+  if (url.pathname === '/api/analysis/latest' && req.method === 'GET') {
+    return send(lastAnalysis || { analyzedAt: null, session: null, source: 'none', errors: [], issues: [] });
+  }
+
+  if (url.pathname === '/api/analyses' && req.method === 'GET') {
+    return send({ analyses: listAnalyses(PROJECT_DIR) });
+  }
+
+  const analysisMatch = /^\/api\/analyses\/([^/]+)(?:\/(export|logs\/[^/]+))?$/.exec(url.pathname);
+  if (analysisMatch) {
+    const [, id, sub] = analysisMatch;
+    if (!sub && req.method === 'DELETE') {
+      return deleteAnalysis(PROJECT_DIR, id) ? send({ ok: true }) : send({ ok: false, error: `No analysis ${id}` }, 404);
+    }
+    const record = req.method === 'GET' ? loadAnalysis(PROJECT_DIR, id) : null;
+    if (!record) return send({ ok: false, error: `No analysis ${id}` }, 404);
+    if (!sub) return send(record);
+    if (sub === 'export') {
+      const format = url.searchParams.get('format') || 'html';
+      if (!ANALYSIS_EXPORTS[format]) return send({ ok: false, error: `Unknown format ${format}; use ${Object.keys(ANALYSIS_EXPORTS).join(', ')}` }, 400);
+      return res.writeHead(200, {
+        ...CORS,
+        'Content-Type': `${ANALYSIS_EXPORTS[format]}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="apex-analysis-${record.id}.${format}"`,
+      }).end(exportAnalysis(record, format));
+    }
+    let file;
+    try { file = decodeURIComponent(sub.slice('logs/'.length)); } catch (_) { return send({ ok: false, error: 'Invalid file name' }, 400); }
+    return sendAsync(analysisLog(record, file));
   }
 
   if (url.pathname === '/api/analyze' && req.method === 'POST') {
-    let body = '';
-    req.on('data', (c) => (body += c));
-    req.on('end', () => {
-      const { logContent, useCursorAgent } = JSON.parse(body || '{}');
-      const useAgent = useCursorAgent !== false;
-      moveLogsToAnalysisFolder();
-      const logsOnDisk = fs.existsSync(SF_LOG_ANALYSIS_DIR)
-        ? (fs.readdirSync(SF_LOG_ANALYSIS_DIR) || []).filter((f) => f.endsWith('.log')).sort().reverse()
+    return readJson(({ logContent, useCursorAgent, analyzer, session: sessionName, files, slice }) => {
+      const config = loadConfig(PROJECT_DIR);
+      // useCursorAgent: false is the older way of asking for the regex scan
+      const requested = analyzer || (useCursorAgent === false ? 'regex' : undefined);
+      const chain = analyzerChain(config.analyzers, requested);
+      if (requested && chain[0] !== requested) return send({ ok: false, error: `Unknown analyzer: ${requested}` }, 400);
+      const target = resolveSession(sessionName);
+      if (!target) return send({ error: `No session for ${sessionName}` }, 404);
+      if (slice && typeof slice === 'object') return sendAsync(analyzeSlice(target, chain, config, slice));
+      // Named files (e.g. downloaded historical logs) are analyzed as they are; otherwise the live logs move over first
+      const selected = Array.isArray(files) ? files.map((f) => path.basename(String(f))).filter((f) => f.endsWith('.log')) : [];
+      const moved = selected.length ? [] : moveLogsToAnalysisFolder(target);
+      const logsOnDisk = fs.existsSync(target.analysisDir)
+        ? (fs.readdirSync(target.analysisDir) || []).filter((f) => f.endsWith('.log')).sort().reverse()
         : [];
       const latestLog = logsOnDisk[0];
-      const content = logContent || (latestLog ? fs.readFileSync(path.join(SF_LOG_ANALYSIS_DIR, latestLog), 'utf8') : null) || logBuffer.join('');
+      const selectedContent = selected
+        .filter((f) => logsOnDisk.includes(f))
+        .map((f) => fs.readFileSync(path.join(target.analysisDir, f), 'utf8'))
+        .join('\n');
+      const content = selectedContent || logContent || (latestLog ? fs.readFileSync(path.join(target.analysisDir, latestLog), 'utf8') : null) || target.logBuffer.text();
       if (!content?.trim()) {
         return send({ report: 'No logs to analyze. Start audit and wait for output.', errors: [], source: 'none' });
       }
-      if (useAgent) {
-        if (!latestLog && content) {
-          const tmpName = `apex-analysis-${Date.now()}.log`;
-          fs.writeFileSync(path.join(SF_LOG_ANALYSIS_DIR, tmpName), content);
-        }
-        analyzeWithCursorAgent(SF_LOG_ANALYSIS_DIR, (result) => {
-          if (result.ok) {
-            return send({ report: result.report, errors: result.errors || [], source: 'cursor-agent' });
-          }
-          if (result.fallback) {
-            const { report, errors } = analyzeLogs(content);
-            return send({ report, errors, source: 'regex', agentError: result.error });
+      const redactor = sessionRedactor(target);
+      const agentFiles = selected.filter((f) => logsOnDisk.includes(f));
+      const usesAgent = chainUsesAgent(chain, config);
+      // Log files saved with the analysis: the named ones, else the agent's whole folder, else what the text came from
+      let logFiles = selectedContent ? agentFiles
+        : usesAgent ? logsOnDisk
+          : moved.length ? moved
+            : !logContent && latestLog ? [latestLog] : [];
+      if (usesAgent) {
+        // The Cursor agent reads files itself: redact them in place (logs written before redaction was on, or
+        // before a rule was added) and write buffered-only output out for it
+        if (redactor.enabled) {
+          for (const f of agentFiles.length ? agentFiles : logsOnDisk) {
+            const file = path.join(target.analysisDir, f);
+            const text = fs.readFileSync(file, 'utf8');
+            const redacted = redactor.redact(text);
+            if (redacted !== text) fs.writeFileSync(file, redacted);
           }
-          send({ report: result.error || 'Analysis failed', errors: [], source: 'error', agentError: result.error });
-        });
-      } else {
-        const { report, errors } = analyzeLogs(content);
-        send({ report, errors, source: 'regex' });
+        }
+        if (!latestLog) {
+          const buffered = `apex-analysis-${Date.now()}.log`;
+          fs.writeFileSync(path.join(target.analysisDir, buffered), redactor.redact(content));
+          logFiles = [buffered];
+        }
       }
+      analyzeAndSave(target, chain, config, { logDir: target.analysisDir, files: agentFiles, content: redactor.redact(content) }, {
+        logDir: projectRelative(target.analysisDir),
+        logFiles,
+      }).then(send, (e) => send({ report: e.message, errors: [], source: 'error', agentError: e.message }, 500));
     });
-    return;
   }
 
   res.writeHead(404, CORS).end('Not found');
 });
 
-server.listen(PORT, () => {
+server.listen(PORT, HOST, () => {
   ensureSfLogDir();
   if (!fs.existsSync(SF_LOG_ANALYSIS_DIR)) fs.mkdirSync(SF_LOG_ANALYSIS_DIR, { recursive: true });
   if (!fs.existsSync(SF_LOG_ARCHIVE_DIR)) fs.mkdirSync(SF_LOG_ARCHIVE_DIR, { recursive: true });
   archiveOnAppLoad();
-  console.log(`Apex Log Monitor: http://localhost:${PORT}`);
+  applyArchiveRetention();
+  console.log(`Apex Log Monitor on ${HOST}:${PORT}. Open (one-time link): ${access.loginUrl()}`);
   console.log(`Project: ${PROJECT_DIR}`);
   console.log(`Logs: ${SF_LOG_DIR} | Analysis: ${SF_LOG_ANALYSIS_DIR} | Archive: ${SF_LOG_ARCHIVE_DIR}`);
 });
@@ -0,0 +1,35 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+test('API requests without the token are refused with 401', async () => {
+  const res = await server.request('/api/sessions', { auth: false });
+  assert.strictEqual(res.status, 401);
+  assert.match(res.json.error, /Unauthorized/);
+});
+
+test('a wrong bearer token is refused with 401', async () => {
+  const res = await server.request('/api/sessions', { auth: false, headers: { Authorization: 'Bearer nope' } });
+  assert.strictEqual(res.status, 401);
+});
+
+test('a foreign Origin is refused with 403, even with the token', async () => {
+  const res = await server.request('/api/sessions', { headers: { Origin: 'https://evil.example.com' } });
+  assert.strictEqual(res.status, 403);
+});
+
+test('a foreign Host is refused with 403, even with the token (DNS rebinding)', async () => {
+  const res = await server.request('/api/sessions', { headers: { Host: `evil.example.com:${server.port}` } });
+  assert.strictEqual(res.status, 403);
+  assert.match(res.json.error, /Host/);
+});
+
+test('the bearer token is accepted', async () => {
+  const res = await server.request('/api/sessions', { headers: { Origin: `http://localhost:${server.port}` } });
+  assert.strictEqual(res.status, 200);
+  assert.ok(Array.isArray(res.json.sessions));
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startServer, waitFor } = require('./helpers');
+
+// Two FATAL_ERRORs within the cooldown of the `fatal` rule, then a line for the `done` rule: once `done` has
+// fired, the second FATAL_ERROR has been scanned too
+const TAIL_LOG = [
+  '59.0 APEX_CODE,FINEST',
+  '12:00:00.000 (100)|EXECUTION_STARTED',
+  '12:00:00.001 (200)|FATAL_ERROR|System.NullPointerException: Attempt to de-reference a null object',
+  '12:00:00.002 (300)|FATAL_ERROR|System.NullPointerException: Attempt to de-reference a null object',
+  '12:00:00.003 (400)|USER_DEBUG|[1]|DEBUG|tail done',
+  '12:00:00.004 (500)|EXECUTION_FINISHED',
+].join('\n') + '\n';
+
+const SF = `#!/bin/sh
+case "$1 $2" in
+  "org list") echo '{"status":0,"result":{"nonScratchOrgs":[{"alias":"dev","username":"dev@example.com","connectedStatus":"Connected"}]}}';;
+  "apex tail") cat tail.log; exec sleep 30;;
+  *) echo '{"status":0,"result":{}}';;
+esac
+`;
+
+// Records every webhook POST it receives
+let hook;
+const posts = [];
+let server;
+before(async () => {
+  hook = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => (body += c));
+    req.on('end', () => {
+      posts.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise((resolve) => hook.listen(0, '127.0.0.1', resolve));
+  const alerts = {
+    cooldownSeconds: 600,
+    notifiers: { webhook: { url: `http://127.0.0.1:${hook.address().port}/configured` } },
+    rules: [{ name: 'fatal', event: 'FATAL_ERROR' }, { name: 'done', event: 'USER_DEBUG', message: 'tail done' }],
+  };
+  server = await startServer({ sf: SF, files: { '.debugfast-alerts.json': JSON.stringify(alerts), 'tail.log': TAIL_LOG } });
+});
+after(async () => {
+  await server.request('/api/stop?session=dev', { method: 'POST' });
+  await server.stop();
+  hook.close();
+});
+
+test('a test alert goes to the configured webhook only, whatever url the request names', async () => {
+  const res = await server.request('/api/alerts/test', { method: 'POST', body: { url: `http://127.0.0.1:${hook.address().port}/elsewhere` } });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.ok, true);
+  assert.ok(res.json.notify.includes('webhook'));
+  assert.deepStrictEqual(posts.map((p) => p.url), ['/configured']);
+  assert.strictEqual(posts[0].body.rule, 'test');
+});
+
+test('a tailed line matching a rule is posted to the webhook once, and the cooldown holds back the next match', async () => {
+  const start = await server.request('/api/start', { method: 'POST', body: { org: 'dev' } });
+  assert.strictEqual(start.status, 200);
+  const rulePosts = () => posts.filter((p) => p.body.rule !== 'test');
+  // `done` is raised after the second FATAL_ERROR was scanned; its post and the first one may arrive in either order
+  await waitFor(() => ['fatal', 'done'].every((rule) => rulePosts().some((p) => p.body.rule === rule)));
+  const fatal = rulePosts().filter((p) => p.body.rule === 'fatal');
+  assert.strictEqual(fatal.length, 1);
+  assert.strictEqual(fatal[0].url, '/configured');
+  assert.strictEqual(fatal[0].body.event, 'FATAL_ERROR');
+  assert.strictEqual(fatal[0].body.exception, 'NullPointerException');
+  assert.strictEqual(fatal[0].body.session, 'dev');
+  assert.strictEqual(fatal[0].body.suppressed, 0);
+  const { alerts } = (await server.request('/api/alerts')).json;
+  assert.deepStrictEqual(alerts.filter((a) => a.rule !== 'test').map((a) => a.rule), ['fatal', 'done']);
+});
@@ -0,0 +1,90 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ANALYSES_DIR_NAME, isAnalysisId, saveAnalysis, listAnalyses, loadAnalysis, findLogFile } = require('../lib/analysis-history');
+
+let dir;
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apex-log-monitor-history-')); });
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const AT = '2026-10-18T20:00:39.000Z';
+
+test('ids are valid, including those saved in the older whole-second format', () => {
+  const { id } = saveAnalysis(dir, { analyzedAt: AT, errors: [] });
+  assert.match(id, /^20261018T200039000Z-[0-9a-f]{10}$/);
+  assert.ok(isAnalysisId(id));
+  assert.ok(isAnalysisId('20261018T200039Z-a1b2c3'));
+  assert.ok(!isAnalysisId('../20261018T200039Z-a1b2c3'));
+});
+
+test('analyses saved in the same second are listed newest first', () => {
+  const saved = Array.from({ length: 20 }, (_, i) => saveAnalysis(dir, { analyzedAt: AT, source: `run-${i}`, errors: [] }));
+  assert.deepStrictEqual(listAnalyses(dir).map((a) => a.source), saved.map((a) => a.source).reverse());
+});
+
+test('pruning deletes the oldest analyses, not the newest of a busy second', () => {
+  const files = () => fs.readdirSync(path.join(dir, ANALYSES_DIR_NAME));
+  const first = saveAnalysis(dir, { analyzedAt: '2026-10-18T19:00:00.000Z', source: 'oldest', errors: [] });
+  const saved = Array.from({ length: 200 }, (_, i) => saveAnalysis(dir, { analyzedAt: AT, source: `run-${i}`, errors: [] }));
+  assert.strictEqual(files().length, 200);
+  assert.strictEqual(loadAnalysis(dir, first.id), null);
+  const next = saveAnalysis(dir, { analyzedAt: AT, source: 'latest', errors: [] });
+  assert.strictEqual(files().length, 200);
+  assert.strictEqual(loadAnalysis(dir, saved[0].id), null);
+  assert.ok(loadAnalysis(dir, saved[1].id));
+  assert.strictEqual(listAnalyses(dir)[0].id, next.id);
+});
+
+describe('findLogFile', () => {
+  let dirs;
+  const write = (rel) => {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), 'log');
+  };
+  beforeEach(() => {
+    dirs = { projectDir: dir, liveDir: path.join(dir, '.sf-log'), analysisDir: path.join(dir, '.sf-log_Analysis'), archiveDir: path.join(dir, '.sf-log_archive') };
+  });
+
+  test('follows a log of the analysis folder into the newest archive batch that holds it', () => {
+    write('.sf-log_archive/2026-10-17_09-00-00/dev/apex-1.log');
+    write('.sf-log_archive/2026-10-18_09-00-00/dev/apex-1.log.gz');
+    write('.sf-log_archive/2026-10-18_09-00-00/uat/apex-1.log');
+    const found = findLogFile(dirs, '.sf-log_Analysis/dev', 'apex-1.log');
+    assert.deepStrictEqual({ ...found, abs: undefined }, { folder: 'archive', path: '2026-10-18_09-00-00/dev/apex-1.log.gz', abs: undefined });
+    write('.sf-log_Analysis/dev/apex-1.log');
+    assert.strictEqual(findLogFile(dirs, '.sf-log_Analysis/dev', 'apex-1.log').folder, 'analysis');
+  });
+
+  test('finds archive logs in org sub-folders and loose at the batch root where they were read', () => {
+    write('.sf-log_archive/2026-10-18_09-00-00/dev/apex-1.log');
+    write('.sf-log_archive/2026-10-18_09-00-00/apex-2.log');
+    write('.sf-log_archive/2026-10-18_10-00-00/dev/apex-2.log');
+    assert.strictEqual(findLogFile(dirs, '.sf-log_archive/2026-10-18_09-00-00/dev', 'apex-1.log').path, '2026-10-18_09-00-00/dev/apex-1.log');
+    const loose = findLogFile(dirs, '.sf-log_archive/2026-10-18_09-00-00', 'apex-2.log');
+    assert.strictEqual(loose.abs, path.join(dir, '.sf-log_archive', '2026-10-18_09-00-00', 'apex-2.log'));
+    assert.strictEqual(findLogFile(dirs, '.sf-log_archive/2026-10-18_09-00-00', 'apex-1.log'), null);
+  });
+
+  test('finds logs read loose from the live folder after they were archived', () => {
+    write('.sf-log_archive/2026-10-18_09-00-00/apex-3.log');
+    write('.sf-log_archive/2026-10-18_09-00-00/dev/apex-3.log');
+    assert.strictEqual(findLogFile(dirs, '.sf-log', 'apex-3.log').path, '2026-10-18_09-00-00/apex-3.log');
+  });
+
+  test('still resolves records saved with logDir relative to a log folder', () => {
+    write('.sf-log_archive/2026-10-18_09-00-00/dev/apex-1.log');
+    assert.strictEqual(findLogFile(dirs, 'dev', 'apex-1.log').path, '2026-10-18_09-00-00/dev/apex-1.log');
+    assert.strictEqual(findLogFile(dirs, '2026-10-18_09-00-00/dev', 'apex-1.log').path, '2026-10-18_09-00-00/dev/apex-1.log');
+  });
+
+  test('never leaves the log folders', () => {
+    write('secret/apex-1.log');
+    write('.sf-log_archive/2026-10-18_09-00-00/apex-1.log');
+    assert.strictEqual(findLogFile(dirs, 'secret', 'apex-1.log'), null);
+    assert.strictEqual(findLogFile(dirs, '../secret', 'apex-1.log'), null);
+    assert.strictEqual(findLogFile(dirs, '.sf-log_archive/../secret', 'apex-1.log'), null);
+    assert.strictEqual(findLogFile(dirs, '.sf-log_archive/2026-10-18_09-00-00', '../../secret/apex-1.log').path, '2026-10-18_09-00-00/apex-1.log');
+  });
+});
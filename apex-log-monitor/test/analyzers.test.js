@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { runAnalyzers, analyzerChain } = require('../lib/analyzers');
+
+const LOG = [
+  '12:00:00.0 (100)|CODE_UNIT_STARTED|[EXTERNAL]|execute_anonymous_apex',
+  '12:00:00.0 (200)|FATAL_ERROR|System.NullPointerException: Attempt to de-reference a null object',
+  '12:00:00.0 (300)|CODE_UNIT_FINISHED|execute_anonymous_apex',
+].join('\n');
+const PROMPT_FILE = path.join(__dirname, '..', 'prompts', 'apex-log-analysis.md');
+
+// OpenAI-compatible mock: /ok answers, /down fails with 503, /slow never answers
+let mock;
+let baseUrl;
+const received = [];
+const savedKey = process.env.TEST_LLM_KEY; // Put back in after() so other tests in this process never see the fake key
+before(async () => {
+  process.env.TEST_LLM_KEY = 'sk-test';
+  mock = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => (body += c));
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      if (req.url === '/ok/chat/completions') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: '## Root cause\nA null Account in OrderService.' } }] }));
+      }
+      if (req.url === '/down/chat/completions') {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: 'model overloaded' } }));
+      }
+    });
+  });
+  await new Promise((resolve) => mock.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${mock.address().port}`;
+});
+after(() => {
+  mock.closeAllConnections();
+  mock.close();
+  if (savedKey === undefined) delete process.env.TEST_LLM_KEY;
+  else process.env.TEST_LLM_KEY = savedKey;
+});
+
+function config(providers, fallback = []) {
+  return { analyzers: { providers, fallback } };
+}
+
+function input(cfg) {
+  return { content: LOG, promptFile: PROMPT_FILE, config: cfg, ignored: new Set() };
+}
+
+test('a successful completion becomes the report, with the regex findings alongside', async () => {
+  const cfg = config({ llm: { type: 'http', baseUrl: `${baseUrl}/ok`, model: 'test-model', apiKeyEnv: 'TEST_LLM_KEY' } });
+  const result = await runAnalyzers(['llm'], input(cfg));
+  assert.strictEqual(result.source, 'llm');
+  assert.match(result.report, /null Account in OrderService/);
+  assert.ok(result.errors.some((e) => /NullPointerException/.test(e.line)));
+  assert.deepStrictEqual(result.failures, []);
+
+  const req = received.find((r) => r.url === '/ok/chat/completions');
+  assert.strictEqual(req.headers.authorization, 'Bearer sk-test');
+  assert.strictEqual(req.body.model, 'test-model');
+  assert.strictEqual(req.body.messages[0].role, 'system');
+  assert.match(req.body.messages[1].content, /FATAL_ERROR/);
+});
+
+test('a non-2xx response falls through the fallback order to regex', async () => {
+  const cfg = config({
+    primary: { type: 'http', baseUrl: `${baseUrl}/down`, model: 'test-model' },
+    secondary: { type: 'http', baseUrl: `${baseUrl}/down`, model: 'other-model' },
+  }, ['secondary', 'regex']);
+  const names = analyzerChain(cfg.analyzers, 'primary');
+  assert.deepStrictEqual(names, ['primary', 'secondary', 'regex']);
+  const result = await runAnalyzers(names, input(cfg));
+  assert.strictEqual(result.source, 'regex');
+  assert.deepStrictEqual(result.failures.map((f) => f.provider), ['primary', 'secondary']);
+  assert.match(result.failures[0].error, /HTTP 503: model overloaded/);
+  assert.ok(result.errors.some((e) => /NullPointerException/.test(e.line)));
+});
+
+test('a request past timeoutMs fails that provider', async () => {
+  const cfg = config({ slow: { type: 'http', baseUrl: `${baseUrl}/slow`, model: 'test-model', timeoutMs: 200 } }, ['regex']);
+  const started = Date.now();
+  const result = await runAnalyzers(analyzerChain(cfg.analyzers, 'slow'), input(cfg));
+  assert.ok(Date.now() - started < 5000);
+  assert.strictEqual(result.source, 'regex');
+  assert.match(result.failures[0].error, /timed out after 200 ms/);
+});
+
+test('every provider failing reports source error with each failure', async () => {
+  const cfg = config({ primary: { type: 'http', baseUrl: `${baseUrl}/down`, model: 'test-model' } });
+  const result = await runAnalyzers(['primary'], input(cfg));
+  assert.strictEqual(result.source, 'error');
+  assert.deepStrictEqual(result.errors, []);
+  assert.match(result.report, /^primary: HTTP 503/);
+});
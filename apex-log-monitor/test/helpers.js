@@ -0,0 +1,126 @@
+/**
+ * Test helpers: start server.js against a throwaway Salesforce project with a stub `sf` first on PATH.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const TOKEN = 'test-token';
+const START_TIMEOUT_MS = 15000;
+
+// Answers `org list` with one connected org (alias dev) and everything else with an empty result
+const DEFAULT_SF = `#!/bin/sh
+case "$1 $2" in
+  "org list") echo '{"status":0,"result":{"nonScratchOrgs":[{"alias":"dev","username":"dev@example.com","connectedStatus":"Connected"}]}}';;
+  *) echo '{"status":0,"result":{}}';;
+esac
+`;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/** A temp project with sfdx-project.json and bin/sf (the `sf` shell script given, else DEFAULT_SF) */
+function makeProject({ sf = DEFAULT_SF, files = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apex-log-monitor-test-'));
+  fs.writeFileSync(path.join(dir, 'sfdx-project.json'), JSON.stringify({ packageDirectories: [{ path: 'force-app', default: true }] }));
+  fs.mkdirSync(path.join(dir, 'bin'));
+  fs.writeFileSync(path.join(dir, 'bin', 'sf'), sf, { mode: 0o755 });
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return dir;
+}
+
+/**
+ * Start server.js on a free port with MONITOR_TOKEN set. Resolves with { port, token, dir, request, stop };
+ * `request(path, { method, headers, body, auth })` sends the bearer token unless auth is false and resolves with
+ * { status, headers, body, json }.
+ */
+async function startServer({ sf, files, env = {} } = {}) {
+  const dir = makeProject({ sf, files });
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: { ...process.env, ...env, PATH: `${path.join(dir, 'bin')}${path.delimiter}${process.env.PATH}`, SF_PROJECT_DIR: dir, PORT: String(port), MONITOR_HOST: '127.0.0.1', MONITOR_TOKEN: TOKEN },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), START_TIMEOUT_MS);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Apex Log Monitor on')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const request = (urlPath, { method = 'GET', headers = {}, body, auth = true } = {}) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: urlPath,
+      method,
+      headers: {
+        ...(auth ? { Authorization: `Bearer ${TOKEN}` } : {}),
+        ...(payload != null ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (c) => { text += c; });
+      res.on('end', () => {
+        let json = null;
+        try { json = JSON.parse(text); } catch (_) {}
+        resolve({ status: res.statusCode, headers: res.headers, body: text, json });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  const stop = () => new Promise((resolve) => {
+    const done = () => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      resolve();
+    };
+    if (child.exitCode !== null || child.signalCode !== null) return done();
+    child.once('exit', done);
+    child.kill('SIGTERM');
+  });
+
+  return { port, token: TOKEN, dir, request, stop, output: () => output };
+}
+
+/** Poll `check` until it returns something truthy */
+async function waitFor(check, { timeout = 10000, interval = 100 } = {}) {
+  const until = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error('timed out waiting for condition');
+    await new Promise((r) => setTimeout(r, interval));
+  }
+}
+
+module.exports = { startServer, makeProject, freePort, waitFor, TOKEN };
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const record = (id, user, operation, status, startTime, size) => ({
+  Id: id,
+  LogUser: { Name: user },
+  Operation: operation,
+  Application: 'Unknown',
+  Request: 'Api',
+  Location: 'Monitoring',
+  Status: status,
+  StartTime: startTime,
+  DurationMilliseconds: 120,
+  LogLength: size,
+});
+const LOGS = [
+  record('07L000000000001AAA', 'Ada Lovelace', '/services/data/v59.0/sobjects/Account', 'Success', '2026-10-01T09:00:00.000+0000', 1200),
+  record('07L000000000002AAA', 'Alan Turing', 'ApexTrigger', 'Attempt to de-reference a null object', '2026-10-02T09:00:00.000+0000', 52000),
+  record('07L000000000003AAA', 'Ada Lovelace', 'Batch Apex', 'Success', '2026-10-03T09:00:00.000+0000', 800000),
+];
+
+// `apex list log` prints list.json; `apex get log --log-id <id>` prints a body naming the id
+const SF = `#!/bin/sh
+case "$1 $2 $3" in
+  "org list "*) echo '{"status":0,"result":{"nonScratchOrgs":[{"alias":"dev","username":"dev@example.com","connectedStatus":"Connected"}]}}';;
+  "apex list log") echo "$@" >> list.calls; cat list.json;;
+  "apex get log")
+    id=""
+    while [ $# -gt 0 ]; do
+      if [ "$1" = "--log-id" ]; then id="$2"; fi
+      shift
+    done
+    printf '{"status":0,"result":[{"log":"59.0 APEX_CODE,FINEST\\\\n12:00:00.000 (1)|USER_DEBUG|[1]|DEBUG|log %s"}]}\\n' "$id";;
+  *) echo '{"status":0,"result":{}}';;
+esac
+`;
+
+let server;
+before(async () => { server = await startServer({ sf: SF, files: { 'list.json': JSON.stringify({ status: 0, result: LOGS }) } }); });
+after(() => server.stop());
+
+const ids = (res) => res.json.logs.map((l) => l.id);
+
+test('lists the org\'s logs newest first, with the org passed to sf', async () => {
+  const res = await server.request('/api/history?org=dev');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.total, 3);
+  assert.deepStrictEqual(ids(res), ['07L000000000003AAA', '07L000000000002AAA', '07L000000000001AAA']);
+  assert.deepStrictEqual(res.json.logs[2], {
+    id: '07L000000000001AAA',
+    user: 'Ada Lovelace',
+    operation: '/services/data/v59.0/sobjects/Account',
+    application: 'Unknown',
+    request: 'Api',
+    location: 'Monitoring',
+    status: 'Success',
+    startTime: '2026-10-01T09:00:00.000+0000',
+    durationMs: 120,
+    size: 1200,
+  });
+  assert.match(fs.readFileSync(path.join(server.dir, 'list.calls'), 'utf8'), /--target-org dev/);
+});
+
+test('filters by user, operation, status and size', async () => {
+  assert.deepStrictEqual(ids(await server.request('/api/history?org=dev&user=ada')), ['07L000000000003AAA', '07L000000000001AAA']);
+  assert.deepStrictEqual(ids(await server.request('/api/history?org=dev&operation=trigger')), ['07L000000000002AAA']);
+  assert.deepStrictEqual(ids(await server.request('/api/history?org=dev&status=null')), ['07L000000000002AAA']);
+  assert.deepStrictEqual(ids(await server.request('/api/history?org=dev&minSize=1000&maxSize=60000')), ['07L000000000002AAA', '07L000000000001AAA']);
+  const combined = await server.request('/api/history?org=dev&user=ada&status=success&maxSize=1000000&from=2026-10-02');
+  assert.deepStrictEqual(ids(combined), ['07L000000000003AAA']);
+  assert.strictEqual(combined.json.total, 3);
+});
+
+test('download writes one .log file per valid id and rejects anything else', async () => {
+  const res = await server.request('/api/history/download', {
+    method: 'POST',
+    body: { org: 'dev', ids: ['07L000000000002AAA', '../../etc/passwd', '07L000000000003AAA'] },
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.ok, false);
+  assert.deepStrictEqual(res.json.errors, [{ id: '../../etc/passwd', error: 'Invalid log id' }]);
+  assert.deepStrictEqual(res.json.files.map((f) => f.file), [
+    'apex-2026-10-02T09-00-00-07L000000000002AAA.log',
+    'apex-2026-10-03T09-00-00-07L000000000003AAA.log',
+  ]);
+  const dir = path.join(server.dir, res.json.dir);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), res.json.files.map((f) => f.file));
+  assert.match(fs.readFileSync(path.join(dir, res.json.files[0].file), 'utf8'), /USER_DEBUG\|\[1\]\|DEBUG\|log 07L000000000002AAA/);
+});
+
+test('download needs ids', async () => {
+  const res = await server.request('/api/history/download', { method: 'POST', body: { org: 'dev', ids: [] } });
+  assert.strictEqual(res.status, 400);
+});
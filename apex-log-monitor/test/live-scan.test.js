@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTransactions } = require('../lib/log-parser');
+const { analyzeLogs } = require('../lib/regex-analyzer');
+const { createLiveScanner } = require('../lib/live-scan');
+
+const RAW = [
+  '59.0 APEX_CODE,FINEST',
+  '12:00:00.000 (100)|EXECUTION_STARTED',
+  '12:00:00.001 (1000000)|CODE_UNIT_STARTED|[EXTERNAL]|execute_anonymous_apex',
+  '12:00:00.002 (2000000)|FATAL_ERROR|System.NullPointerException: Attempt to de-reference a null object',
+  '12:00:00.003 (3000000)|CODE_UNIT_FINISHED|execute_anonymous_apex',
+  '12:00:00.004 (4000000)|EXECUTION_FINISHED',
+].join('\n');
+
+// The log has no LIMIT_USAGE_FOR_NS lines, so a limit finding can only come from the transaction passed in
+function parsedTransaction() {
+  const [tx] = parseTransactions(RAW);
+  tx.id = 1;
+  tx.limits = { '(default)': { soqlQueries: { label: 'SOQL queries', used: 95, max: 100, pct: 95 } } };
+  return tx;
+}
+
+test('analyzeLogs runs the structural checks on the transactions it is given', () => {
+  const types = (r) => r.errors.map((e) => e.type).sort();
+  assert.deepStrictEqual(types(analyzeLogs(RAW)), ['FATAL_ERROR']);
+  const given = analyzeLogs(RAW, {}, { transactions: [parsedTransaction()] });
+  assert.deepStrictEqual(types(given), ['FATAL_ERROR', 'LIMIT_THRESHOLD']);
+  assert.strictEqual(given.errors.find((e) => e.type === 'LIMIT_THRESHOLD').line, 'SOQL queries: 95 out of 100 (95%)');
+});
+
+test('the live scanner analyzes the transaction the tailer parsed instead of parsing its raw text again', async () => {
+  const done = new Promise((resolve) => {
+    const scanner = createLiveScanner({ onUpdate: (summary) => summary.pending === 0 && resolve(scanner) });
+    scanner.add(parsedTransaction());
+  });
+  const scanner = await done;
+  const findings = scanner.list();
+  assert.deepStrictEqual(findings.map((f) => f.type).sort(), ['FATAL_ERROR', 'LIMIT_THRESHOLD']);
+  assert.ok(findings.every((f) => f.transactionIds[0] === 1));
+  assert.deepStrictEqual(scanner.summary(), { error: 1, warning: 1, info: 0, issues: 2, scanned: 1, pending: 0 });
+});
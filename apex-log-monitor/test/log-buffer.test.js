@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLogBuffer } = require('../lib/log-buffer');
+
+test('maxBytes bounds the UTF-8 size of the buffered chunks, not their length in characters', () => {
+  const buffer = createLogBuffer({ maxBytes: 10 });
+  buffer.push('ééé'); // 3 characters, 6 bytes
+  assert.strictEqual(buffer.size, 6);
+  buffer.push('ab€'); // 3 characters, 5 bytes: 11 bytes in all, so the first chunk goes
+  assert.strictEqual(buffer.size, 5);
+  assert.strictEqual(buffer.text(), 'ab€');
+  buffer.push('cdefg');
+  assert.strictEqual(buffer.size, 10);
+  assert.strictEqual(buffer.text(), 'ab€cdefg');
+});
+
+test('the newest chunk is kept even when it alone exceeds maxBytes, and since() reports the gap', () => {
+  const buffer = createLogBuffer({ maxBytes: 4 });
+  const first = buffer.push('ab');
+  buffer.push('日本語'); // 9 bytes
+  assert.strictEqual(buffer.text(), '日本語');
+  assert.strictEqual(buffer.size, 9);
+  assert.deepStrictEqual(buffer.since(first), { chunks: [{ seq: 2, text: '日本語' }], lastSeq: 2, truncated: false });
+  buffer.push('c');
+  assert.strictEqual(buffer.size, 1);
+  assert.strictEqual(buffer.since(first).truncated, true);
+  buffer.clear();
+  assert.strictEqual(buffer.size, 0);
+  assert.strictEqual(buffer.push('d'), 4);
+});
@@ -0,0 +1,145 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { parseHeader, parseLine, createTransactionParser, parseTransactions, summarizeTransaction } = require('../lib/log-parser');
+
+const HEADER = '59.0 APEX_CODE,FINEST;APEX_PROFILING,INFO;DB,INFO';
+const TX1 = [
+  HEADER,
+  '12:00:00.000 (100)|EXECUTION_STARTED',
+  '12:00:00.001 (1000000)|CODE_UNIT_STARTED|[EXTERNAL]|01p000000000001|AccountService.run()',
+  '12:00:00.002 (2000000)|METHOD_ENTRY|[3]|01p000000000001|AccountService.load()',
+  '12:00:00.003 (3000000)|SOQL_EXECUTE_BEGIN|[4]|Aggregations:0|SELECT Id FROM Account',
+  '12:00:00.004 (4000000)|SOQL_EXECUTE_END|[4]|Rows:2',
+  '12:00:00.005 (5000000)|METHOD_EXIT|[3]|01p000000000001|AccountService.load()',
+  '12:00:00.006 (6000000)|USER_DEBUG|[5]|DEBUG|first line',
+  'second line of the debug message',
+  '12:00:00.007 (7000000)|CODE_UNIT_FINISHED|AccountService.run()',
+  '12:00:00.008 (8000000)|EXECUTION_FINISHED',
+].join('\n');
+const TX2 = [
+  HEADER,
+  '12:00:01.000 (100)|EXECUTION_STARTED',
+  '12:00:01.001 (1000000)|CODE_UNIT_STARTED|[EXTERNAL]|execute_anonymous_apex',
+  '12:00:01.002 (2000000)|FATAL_ERROR|System.NullPointerException: Attempt to de-reference a null object',
+  '12:00:01.003 (3000000)|EXECUTION_FINISHED',
+].join('\n');
+
+describe('parseHeader and parseLine', () => {
+  test('reads the API version and log levels from a header line', () => {
+    assert.deepStrictEqual(parseHeader(HEADER), { apiVersion: '59.0', logLevels: { APEX_CODE: 'FINEST', APEX_PROFILING: 'INFO', DB: 'INFO' } });
+    assert.deepStrictEqual(parseHeader('59.0 APEX_CODE,FINEST'), { apiVersion: '59.0', logLevels: { APEX_CODE: 'FINEST' } });
+    for (const line of ['APEX_CODE,FINEST', '59.0', '59.0 APEX_CODE=FINEST', '12:00:00.000 (1)|EXECUTION_STARTED']) assert.strictEqual(parseHeader(line), null, line);
+  });
+
+  test('splits an event line into time, nanos, type, line number and fields', () => {
+    assert.deepStrictEqual(parseLine('12:00:00.003 (3000000)|SOQL_EXECUTE_BEGIN|[4]|Aggregations:0|SELECT Id FROM Account'), {
+      time: '12:00:00.003',
+      nanos: 3000000,
+      type: 'SOQL_EXECUTE_BEGIN',
+      lineNumber: 4,
+      fields: ['Aggregations:0', 'SELECT Id FROM Account'],
+      text: '12:00:00.003 (3000000)|SOQL_EXECUTE_BEGIN|[4]|Aggregations:0|SELECT Id FROM Account',
+    });
+    assert.strictEqual(parseLine('12:00:00.001 (1)|CODE_UNIT_STARTED|[EXTERNAL]|x').lineNumber, null);
+    assert.strictEqual(parseLine('second line of the debug message'), null);
+  });
+});
+
+describe('createTransactionParser', () => {
+  test('splits transactions the same however the stream is chunked, mid-line or mid-transaction', () => {
+    const text = `${TX1}\n${TX2}\n`;
+    const whole = parseTransactions(text).map(summarizeTransaction);
+    for (const size of [1, 7, 64, 333]) {
+      const seen = [];
+      const parser = createTransactionParser({ onTransaction: (tx) => seen.push(tx) });
+      for (let i = 0; i < text.length; i += size) parser.write(text.slice(i, i + size));
+      assert.strictEqual(parser.flush(), null);
+      const summaries = seen.map(summarizeTransaction).map(({ receivedAt, ...s }) => s);
+      assert.deepStrictEqual(summaries, whole.map(({ receivedAt, ...s }) => s), `chunks of ${size}`);
+    }
+    assert.strictEqual(whole.length, 2);
+    assert.deepStrictEqual(whole.map((tx) => [tx.id, tx.complete, tx.apiVersion, tx.codeUnits, tx.errorCount]), [
+      [1, true, '59.0', ['AccountService.run()'], 0],
+      [2, true, '59.0', ['execute_anonymous_apex'], 1],
+    ]);
+  });
+
+  test('holds a partial line and reports the open transaction as pending', () => {
+    const seen = [];
+    const parser = createTransactionParser({ onTransaction: (tx) => seen.push(tx) });
+    const cut = TX1.indexOf('METHOD_EXIT') - 10; // inside the METHOD_EXIT line
+    parser.write(TX1.slice(0, cut));
+    assert.deepStrictEqual(seen, []);
+    assert.deepStrictEqual(parser.pending(), { id: 1, startTime: '12:00:00.000', eventCount: 5, complete: false });
+    parser.write(`${TX1.slice(cut)}\n`);
+    assert.strictEqual(seen.length, 1);
+    assert.strictEqual(parser.pending(), null);
+    const [tx] = seen;
+    assert.strictEqual(tx.raw, TX1);
+    assert.strictEqual(tx.lineCount, TX1.split('\n').length);
+    assert.strictEqual(tx.events.find((e) => e.type === 'USER_DEBUG').fields.pop(), 'first line\nsecond line of the debug message');
+  });
+
+  test('flush closes an unfinished transaction as incomplete', () => {
+    const parser = createTransactionParser();
+    parser.write(TX2.split('\n').slice(0, 3).join('\n'));
+    const tx = parser.flush();
+    assert.strictEqual(tx.complete, false);
+    assert.strictEqual(tx.eventCount, 2);
+    assert.strictEqual(parser.pending(), null);
+  });
+
+  test('a new header or EXECUTION_STARTED ends a transaction that never finished', () => {
+    const unfinished = TX1.split('\n').slice(0, 4).join('\n');
+    const txs = parseTransactions(`${unfinished}\n${TX2}\n`);
+    assert.deepStrictEqual(txs.map((tx) => [tx.id, tx.complete]), [[1, false], [2, true]]);
+    const restarted = parseTransactions(`${unfinished}\n${TX2.split('\n').slice(1).join('\n')}\n`);
+    assert.deepStrictEqual(restarted.map((tx) => [tx.id, tx.complete]), [[1, false], [2, true]]);
+  });
+});
+
+describe('buildTree', () => {
+  test('nests code units, methods and SOQL with durations and rows', () => {
+    const [tx] = parseTransactions(TX1);
+    const [unit] = tx.tree;
+    assert.strictEqual(unit.kind, 'CODE_UNIT');
+    assert.strictEqual(unit.durationMs, 6);
+    const [method] = unit.children;
+    assert.strictEqual(method.kind, 'METHOD');
+    assert.strictEqual(method.durationMs, 3);
+    assert.deepStrictEqual(method.children.map((n) => [n.kind, n.rows, n.durationMs]), [['SOQL', 2, 1]]);
+    assert.ok(!JSON.stringify(tx.tree).includes('unclosed'));
+  });
+
+  test('a missing CODE_UNIT_FINISHED leaves the unit unclosed at the last event, children closed at their own ends', () => {
+    const text = TX1.split('\n').filter((l) => !l.includes('CODE_UNIT_FINISHED')).join('\n');
+    const [tx] = parseTransactions(text);
+    assert.strictEqual(tx.complete, true);
+    const [unit] = tx.tree;
+    assert.strictEqual(unit.unclosed, true);
+    assert.strictEqual(unit.endNanos, 8000000);
+    assert.strictEqual(unit.children[0].unclosed, undefined);
+    assert.strictEqual(unit.children[0].endNanos, 5000000);
+  });
+
+  test('an end event closes the inner nodes that never saw their own end, and a stray end is ignored', () => {
+    const text = [
+      '12:00:00.000 (100)|EXECUTION_STARTED',
+      '12:00:00.001 (1000000)|CODE_UNIT_STARTED|[EXTERNAL]|Outer',
+      '12:00:00.002 (2000000)|METHOD_ENTRY|[3]|01p000000000001|Outer.inner()',
+      '12:00:00.003 (3000000)|EXCEPTION_THROWN|[4]|System.DmlException: boom',
+      '12:00:00.004 (4000000)|DML_END|[9]',
+      '12:00:00.005 (5000000)|CODE_UNIT_FINISHED|Outer',
+      '12:00:00.006 (6000000)|EXECUTION_FINISHED',
+    ].join('\n');
+    const [tx] = parseTransactions(text);
+    const [unit] = tx.tree;
+    assert.strictEqual(tx.tree.length, 1);
+    assert.strictEqual(unit.unclosed, undefined);
+    const [method] = unit.children;
+    assert.strictEqual(method.unclosed, true);
+    assert.strictEqual(method.endNanos, 5000000);
+    assert.deepStrictEqual(method.children.map((n) => [n.kind, n.type]), [['EXCEPTION', 'EXCEPTION_THROWN']]);
+    assert.strictEqual(tx.errorCount, 1);
+  });
+});
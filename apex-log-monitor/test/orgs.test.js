@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+// `org list` is slow and every call is counted in org-list.calls
+const SF = `#!/bin/sh
+case "$1 $2" in
+  "org list")
+    echo call >> org-list.calls
+    sleep 1
+    echo '{"status":0,"result":{"nonScratchOrgs":[{"alias":"dev","username":"dev@example.com","connectedStatus":"Connected"}]}}';;
+  *) echo '{"status":0,"result":[]}';;
+esac
+`;
+
+let server;
+before(async () => { server = await startServer({ sf: SF }); });
+after(() => server.stop());
+
+const orgListCalls = () => {
+  try { return fs.readFileSync(path.join(server.dir, 'org-list.calls'), 'utf8').trim().split('\n').length; } catch (_) { return 0; }
+};
+
+test('the server keeps answering while `sf org list` runs', async () => {
+  const lookup = server.request('/api/history?org=typo');
+  const started = Date.now();
+  const sessions = await server.request('/api/sessions');
+  assert.strictEqual(sessions.status, 200);
+  assert.ok(Date.now() - started < 800, 'answered before org list returned');
+  assert.strictEqual((await lookup).status, 400);
+});
+
+test('unknown orgs are answered from the cache instead of running `sf org list` each time', async () => {
+  const before = orgListCalls();
+  for (const org of ['typo', 'other-typo', 'typo']) {
+    const res = await server.request(`/api/history?org=${org}`);
+    assert.strictEqual(res.status, 400);
+    assert.match(res.json.error, /Unknown org/);
+  }
+  const body = await server.request('/api/set-default', { method: 'POST', body: { org: 'nope' } });
+  assert.strictEqual(body.status, 400);
+  assert.strictEqual(orgListCalls(), before);
+});
+
+test('connected orgs are accepted', async () => {
+  const res = await server.request('/api/history?org=dev');
+  assert.strictEqual(res.status, 200);
+  const orgs = await server.request('/api/orgs');
+  assert.deepStrictEqual(orgs.json.orgs, [{ alias: 'dev', username: 'dev@example.com' }]);
+});
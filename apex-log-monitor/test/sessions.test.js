@@ -0,0 +1,36 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+const sessionNames = async () => (await server.request('/api/sessions')).json.sessions.map((s) => s.session);
+
+test('read endpoints answer 404 for an unknown session and do not create it', async () => {
+  for (const path of ['/api/logs?session=nope', '/api/transactions?session=nope', '/api/findings?session=nope', '/api/compare/sources?session=nope']) {
+    const res = await server.request(path);
+    assert.strictEqual(res.status, 404, path);
+    assert.match(res.json.error, /No session for nope/);
+  }
+  const analyze = await server.request('/api/analyze', { method: 'POST', body: { session: 'nope', logContent: 'x' } });
+  assert.strictEqual(analyze.status, 404);
+  assert.ok(!(await sessionNames()).includes('nope'));
+});
+
+test('starting a tail creates the session, which can then be read', async () => {
+  const started = await server.request('/api/start', { method: 'POST', body: { org: 'dev' } });
+  assert.strictEqual(started.json.ok, true);
+  assert.ok((await sessionNames()).includes('dev'));
+  const res = await server.request('/api/logs?session=dev');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.session, 'dev');
+  await server.request('/api/stop?session=dev', { method: 'POST' });
+});
+
+test('requests without ?session= use the active session', async () => {
+  const res = await server.request('/api/transactions');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.session, 'dev');
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sfInvocation } = require('../lib/sf');
+
+let dir;
+const platform = Object.getOwnPropertyDescriptor(process, 'platform');
+before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apex-log-monitor-sf-')); });
+after(() => {
+  Object.defineProperty(process, 'platform', platform);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function touch(...parts) {
+  const file = path.join(dir, ...parts);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '');
+  return file;
+}
+
+const onWindows = () => Object.defineProperty(process, 'platform', { ...platform, value: 'win32' });
+
+test('outside Windows sf is run by name', () => {
+  assert.deepStrictEqual(sfInvocation(['org', 'list', '--query', 'a & b']), ['sf', ['org', 'list', '--query', 'a & b']]);
+});
+
+test('on Windows the npm-installed CLI script runs under node, bypassing sf.cmd', () => {
+  onWindows();
+  touch('npm', 'sf.cmd');
+  const script = touch('npm', 'node_modules', '@salesforce', 'cli', 'bin', 'run.js');
+  const [command, args] = sfInvocation(['data', 'query', '--query', "SELECT Id FROM User WHERE Name = 'A & B'"], { PATH: path.join(dir, 'npm') });
+  assert.strictEqual(command, 'node.exe');
+  assert.deepStrictEqual(args, [script, 'data', 'query', '--query', "SELECT Id FROM User WHERE Name = 'A & B'"]);
+});
+
+test('on Windows the installer layout runs its bundled node and client script', () => {
+  onWindows();
+  touch('sf', 'bin', 'sf.cmd');
+  const node = touch('sf', 'client', 'bin', 'node.exe');
+  const script = touch('sf', 'client', 'bin', 'run.js');
+  assert.deepStrictEqual(sfInvocation(['org', 'list'], { PATH: path.join(dir, 'sf', 'bin') }), [node, [script, 'org', 'list']]);
+});
+
+test('a bare sf.cmd only gets arguments cmd.exe would not interpret', () => {
+  onWindows();
+  touch('bare', 'sf.cmd');
+  const env = { PATH: path.join(dir, 'bare') };
+  assert.deepStrictEqual(sfInvocation(['org', 'list'], env), ['sf.cmd', ['org', 'list']]);
+  assert.throws(() => sfInvocation(['data', 'update', 'record', '--values', 'DebugLevel="x" & calc'], env), /Cannot pass/);
+});
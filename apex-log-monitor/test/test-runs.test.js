@@ -0,0 +1,165 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { normalizeRunResult, findTestTransaction } = require('../lib/test-runs');
+const { parseTransactions } = require('../lib/log-parser');
+const { startServer, waitFor } = require('./helpers');
+
+function logFor(method, time, lines = []) {
+  return [
+    '59.0 APEX_CODE,FINEST',
+    `${time}.000 (100)|EXECUTION_STARTED`,
+    `${time}.001 (200)|CODE_UNIT_STARTED|[EXTERNAL]|01p000000000001|${method}()`,
+    ...lines.map((l, i) => `${time}.00${i + 2} (${300 + i * 100})|${l}`),
+    `${time}.008 (900)|CODE_UNIT_FINISHED|${method}()`,
+    `${time}.009 (1000)|EXECUTION_FINISHED`,
+  ].join('\n');
+}
+
+const FAILURE = 'System.AssertException: Assertion Failed: Expected: 2, Actual: 1';
+const TAIL_LOG = [
+  logFor('AccountServiceTest.testUpdate', '12:00:00', [`EXCEPTION_THROWN|[42]|${FAILURE}`, `FATAL_ERROR|${FAILURE}`]),
+  logFor('AccountServiceTest.testInsert', '12:00:01'),
+  logFor('OrderTest.testSubmit', '12:00:02', [
+    'EXCEPTION_THROWN|[7]|System.NullPointerException: Attempt to de-reference a null object',
+    'FATAL_ERROR|System.NullPointerException: Attempt to de-reference a null object',
+  ]),
+].join('\n') + '\n';
+
+const apexTest = (className, methodName, outcome, extra = {}) => ({
+  Id: `07M${methodName}`,
+  MethodName: methodName,
+  Outcome: outcome,
+  Message: null,
+  StackTrace: null,
+  RunTime: 40,
+  ApexLogId: null,
+  ApexClass: { Name: className, NamespacePrefix: null },
+  FullName: `${className}.${methodName}`,
+  ...extra,
+});
+const RUN_RESULT = {
+  summary: { outcome: 'Failed', testsRan: 3, passing: 1, failing: 2, skipped: 0, testRunId: '7070000000000AB', testExecutionTime: '812 ms' },
+  tests: [
+    apexTest('AccountServiceTest', 'testInsert', 'Pass'),
+    apexTest('AccountServiceTest', 'testUpdate', 'Fail', { Message: FAILURE, StackTrace: 'Class.AccountServiceTest.testUpdate: line 42, column 1' }),
+    apexTest('OrderTest', 'testSubmit', 'Fail', { Message: 'System.NullPointerException: Attempt to de-reference a null object', ApexLogId: '07L000000000013AAA' }),
+  ],
+};
+
+describe('normalizeRunResult', () => {
+  test('lists failures first, then by name, in the UI shape', () => {
+    const { summary, tests } = normalizeRunResult(RUN_RESULT);
+    assert.deepStrictEqual(summary, { outcome: 'Failed', testsRan: 3, passing: 1, failing: 2, skipped: 0, testRunId: '7070000000000AB', testExecutionTime: '812 ms' });
+    assert.deepStrictEqual(tests.map((t) => [t.fullName, t.outcome]), [
+      ['AccountServiceTest.testUpdate', 'Fail'],
+      ['OrderTest.testSubmit', 'Fail'],
+      ['AccountServiceTest.testInsert', 'Pass'],
+    ]);
+    assert.strictEqual(tests[1].logId, '07L000000000013AAA');
+    assert.strictEqual(tests[0].runTimeMs, 40);
+  });
+
+  test('derives the summary and names when sf leaves them out', () => {
+    const { summary, tests } = normalizeRunResult({
+      tests: [{ MethodName: 'testA', Outcome: 'Pass', FullName: 'ns.FooTest.testA' }, { MethodName: 'testB', Outcome: 'CompileFail', FullName: 'ns.FooTest.testB' }],
+    });
+    assert.deepStrictEqual(summary, { outcome: 'Failed', testsRan: 2, passing: 1, failing: 1, skipped: 0, testRunId: null, testExecutionTime: null });
+    assert.strictEqual(tests[0].className, 'FooTest');
+    assert.strictEqual(tests[0].outcome, 'CompileFail');
+  });
+
+  test('copes with an empty result', () => {
+    assert.deepStrictEqual(normalizeRunResult(null).tests, []);
+  });
+});
+
+describe('findTestTransaction', () => {
+  const transactions = parseTransactions(`${TAIL_LOG}${logFor('AccountServiceTest.testUpdate', '12:00:05')}\n`);
+  // testUpdate, testInsert, testSubmit, testUpdate again
+  transactions.forEach((tx, i) => { tx.receivedAt = `2026-01-01T00:00:0${i}.000Z`; });
+
+  test('picks the newest transaction that ran the method, ignoring case, namespace and parameters', () => {
+    const tx = findTestTransaction(transactions, { className: 'ns.accountservicetest', methodName: 'TestUpdate' });
+    assert.strictEqual(tx, transactions[3]);
+  });
+
+  test('ignores transactions received before the run started', () => {
+    assert.strictEqual(findTestTransaction(transactions, { className: 'AccountServiceTest', methodName: 'testInsert' }, '2026-01-01T00:00:02.000Z'), null);
+    assert.strictEqual(findTestTransaction(transactions, { className: 'AccountServiceTest', methodName: 'testInsert' }, '2026-01-01T00:00:01.000Z'), transactions[1]);
+  });
+
+  test('returns null for a method the tail has not delivered', () => {
+    assert.strictEqual(findTestTransaction(transactions, { className: 'OrderTest', methodName: 'testCancel' }), null);
+  });
+});
+
+// The tail prints its log once `apex run test` has been called
+const SF = `#!/bin/sh
+case "$1 $2" in
+  "org list") echo '{"status":0,"result":{"nonScratchOrgs":[{"alias":"dev","username":"dev@example.com","connectedStatus":"Connected"}]}}';;
+  "apex tail")
+    while [ ! -f ran ]; do sleep 0.1; done
+    cat tail.log
+    exec sleep 30;;
+  "apex run")
+    touch ran
+    cat run.json
+    exit 100;;
+  *) echo '{"status":0,"result":{}}';;
+esac
+`;
+
+describe('/api/tests/run', () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      sf: SF,
+      files: {
+        'tail.log': TAIL_LOG,
+        'run.json': JSON.stringify({ status: 100, result: RUN_RESULT }),
+      },
+    });
+  });
+  after(async () => {
+    await server.request('/api/stop?session=dev', { method: 'POST' });
+    await server.stop();
+  });
+
+  test('links each failing method to its transaction', async () => {
+    const started = await server.request('/api/start', { method: 'POST', body: { org: 'dev' } });
+    assert.strictEqual(started.status, 200);
+    assert.strictEqual(started.json.ok, true);
+
+    const res = await server.request('/api/tests/run', { method: 'POST', body: { org: 'dev', classNames: ['AccountServiceTest', 'OrderTest'] } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.json.run.status, 'running');
+
+    const run = await waitFor(async () => {
+      const r = await server.request(`/api/tests/${res.json.run.id}`);
+      return r.json.status === 'done' || r.json.status === 'error' ? r.json : null;
+    }, { timeout: 20000 });
+    assert.strictEqual(run.status, 'done', run.error);
+    assert.strictEqual(run.summary.failing, 2);
+
+    const byName = Object.fromEntries(run.tests.map((t) => [t.fullName, t]));
+    const { transactions } = (await server.request('/api/transactions?session=dev')).json;
+    const txId = (method) => transactions.find((tx) => tx.codeUnits.some((u) => u.startsWith(method))).id;
+
+    const update = byName['AccountServiceTest.testUpdate'];
+    assert.strictEqual(update.transactionId, txId('AccountServiceTest.testUpdate'));
+    assert.strictEqual(update.log.origin, 'tail');
+    assert.strictEqual(update.log.transactionId, update.transactionId);
+    assert.ok(update.log.errors.some((e) => /AssertException/.test(e.line)));
+
+    const submit = byName['OrderTest.testSubmit'];
+    assert.strictEqual(submit.transactionId, txId('OrderTest.testSubmit'));
+    assert.strictEqual(submit.log.origin, 'tail');
+    assert.strictEqual(submit.log.codeUnit, 'OrderTest.testSubmit()');
+    assert.ok(submit.log.errors.some((e) => /NullPointerException/.test(e.line)));
+
+    // Passing tests are linked but carry no log
+    const insert = byName['AccountServiceTest.testInsert'];
+    assert.strictEqual(insert.transactionId, txId('AccountServiceTest.testInsert'));
+    assert.strictEqual(insert.log, undefined);
+  });
+});
@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { timelineWindow } = require('../lib/timeline');
+
+const span = (s, d, depth = 0) => ({ s, d, self: d, depth, kind: 'METHOD', name: `m${s}`, line: null });
+const timeline = (spans) => ({ durationMs: 100, maxDepth: 1, spans, markers: [], methods: [] });
+
+test('keeps the longest maxSpans spans and counts the rest as hidden', () => {
+  const w = timelineWindow(timeline([span(0, 50), span(1, 5), span(2, 30), span(3, 1)]), { maxSpans: 2 });
+  assert.deepStrictEqual(w.spans.map((s) => s.d), [50, 30]);
+  assert.strictEqual(w.hidden, 2);
+});
+
+test('spans as long as the cutoff fill up to maxSpans, so equal durations never leave it empty', () => {
+  const zero = timelineWindow(timeline(Array.from({ length: 10 }, (_, i) => span(i, 0))), { maxSpans: 4 });
+  assert.deepStrictEqual(zero.spans.map((s) => s.s), [0, 1, 2, 3]);
+  assert.strictEqual(zero.hidden, 6);
+
+  const ties = timelineWindow(timeline([span(0, 2), span(1, 9), span(2, 2), span(3, 2)]), { maxSpans: 3 });
+  assert.deepStrictEqual(ties.spans.map((s) => s.s), [0, 1, 2]);
+});
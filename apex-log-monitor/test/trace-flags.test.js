@@ -0,0 +1,109 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const USER_ID = '005000000000001AAA';
+const LEVEL_ID = '7dl000000000001AAA';
+
+// Every call is logged to sf.calls, one line per call with the arguments separated by |
+const SF = `#!/bin/sh
+printf '%s|' "$@" >> sf.calls
+echo >> sf.calls
+case "$1 $2" in
+  "org list") echo '{"status":0,"result":{"nonScratchOrgs":[{"alias":"dev","username":"dev@example.com","connectedStatus":"Connected"}]}}';;
+  "data query")
+    case "$4" in
+      *"FROM DebugLevel"*) echo '{"status":0,"result":{"records":[{"Id":"${LEVEL_ID}","DeveloperName":"Verbose","MasterLabel":"Verbose","ApexCode":"FINEST","Database":"INFO"}]}}';;
+      *"FROM TraceFlag"*) echo '{"status":0,"result":{"records":[{"Id":"7tf000000000001AAA","TracedEntityId":"${USER_ID}","TracedEntity":{"Name":"Ada"},"DebugLevelId":"${LEVEL_ID}","DebugLevel":{"DeveloperName":"Verbose"},"StartDate":"2020-01-01T00:00:00.000Z","ExpirationDate":"2020-01-01T01:00:00.000Z"}]}}';;
+      *"FROM User"*) echo '{"status":0,"result":{"records":[{"Id":"${USER_ID}","Name":"Ada","Username":"ada@example.com"}]}}';;
+    esac;;
+  "data create") echo '{"status":0,"result":{"id":"7tf000000000009AAA","success":true}}';;
+  *) echo '{"status":0,"result":{}}';;
+esac
+`;
+
+let server;
+before(async () => { server = await startServer({ sf: SF }); });
+after(() => server.stop());
+
+const callsFile = () => path.join(server.dir, 'sf.calls');
+beforeEach(() => fs.rmSync(callsFile(), { force: true }));
+/** sf data calls made since the test started, as argument lists */
+const dataCalls = () => {
+  let text = '';
+  try { text = fs.readFileSync(callsFile(), 'utf8'); } catch (_) {}
+  return text.split('\n').filter((l) => l.startsWith('data|')).map((l) => l.split('|').slice(0, -1));
+};
+const valuesOf = (args) => Object.fromEntries(args[args.indexOf('--values') + 1].split(' ').map((kv) => kv.split('=')));
+
+test('lists debug levels, trace flags and users through sf data query', async () => {
+  const levels = await server.request('/api/debug-levels?org=dev');
+  assert.strictEqual(levels.status, 200);
+  assert.deepStrictEqual(levels.json.debugLevels[0].levels.ApexCode, 'FINEST');
+  assert.strictEqual(levels.json.debugLevels[0].levels.Callout, 'NONE');
+  const flags = await server.request('/api/trace-flags?org=dev');
+  assert.strictEqual(flags.json.traceFlags[0].debugLevel, 'Verbose');
+  assert.strictEqual(flags.json.traceFlags[0].active, false);
+  const users = await server.request('/api/users?org=dev');
+  assert.deepStrictEqual(users.json.users, [{ id: USER_ID, name: 'Ada', username: 'ada@example.com' }]);
+  const calls = dataCalls();
+  assert.ok(calls.slice(0, 2).every((args) => args.includes('--use-tooling-api') && args.includes('--target-org')));
+});
+
+test('creates a USER_DEBUG trace flag for the requested window', async () => {
+  const res = await server.request('/api/trace-flags', { method: 'POST', body: { org: 'dev', userId: USER_ID, debugLevelId: LEVEL_ID, expiresInMinutes: 30 } });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.id, '7tf000000000009AAA');
+  assert.strictEqual(Date.parse(res.json.expirationDate) - Date.parse(res.json.startDate), 30 * 60000);
+  const [args] = dataCalls();
+  assert.deepStrictEqual(args.slice(0, 5), ['data', 'create', 'record', '--sobject', 'TraceFlag']);
+  assert.deepStrictEqual(valuesOf(args), {
+    TracedEntityId: USER_ID,
+    LogType: 'USER_DEBUG',
+    DebugLevelId: LEVEL_ID,
+    StartDate: res.json.startDate,
+    ExpirationDate: res.json.expirationDate,
+  });
+});
+
+test('trace flags longer than 24 hours are refused with 400 before sf runs', async () => {
+  const exactly = await server.request('/api/trace-flags', {
+    method: 'POST',
+    body: { org: 'dev', userId: USER_ID, debugLevelId: LEVEL_ID, startDate: '2026-10-18T00:00:00.000Z', expirationDate: '2026-10-19T00:00:00.000Z' },
+  });
+  assert.strictEqual(exactly.status, 200);
+  fs.rmSync(callsFile(), { force: true });
+  for (const window of [{ expiresInMinutes: 24 * 60 + 1 }, { startDate: '2026-10-18T00:00:00.000Z', expirationDate: '2026-10-19T00:01:00.000Z' }]) {
+    const res = await server.request('/api/trace-flags', { method: 'POST', body: { org: 'dev', userId: USER_ID, debugLevelId: LEVEL_ID, ...window } });
+    assert.strictEqual(res.status, 400);
+    assert.match(res.json.error, /at most 24 hours/);
+  }
+  const backwards = await server.request('/api/trace-flags', {
+    method: 'POST',
+    body: { org: 'dev', userId: USER_ID, debugLevelId: LEVEL_ID, startDate: '2026-10-18T00:00:00.000Z', expirationDate: '2026-10-17T00:00:00.000Z' },
+  });
+  assert.strictEqual(backwards.status, 400);
+  assert.deepStrictEqual(dataCalls(), []);
+});
+
+test('debug levels with bad level values or categories are refused with 400 before sf runs', async () => {
+  for (const levels of [{ ApexCode: 'LOUD' }, { ApexCode: 'FINEST', Nope: 'DEBUG' }, { ApexCode: 'FINEST; rm -rf /' }]) {
+    const res = await server.request('/api/debug-levels', { method: 'POST', body: { org: 'dev', developerName: 'Verbose2', levels } });
+    assert.strictEqual(res.status, 400, JSON.stringify(levels));
+  }
+  const badName = await server.request('/api/debug-levels', { method: 'POST', body: { org: 'dev', developerName: 'has space', levels: { ApexCode: 'FINEST' } } });
+  assert.strictEqual(badName.status, 400);
+  assert.deepStrictEqual(dataCalls(), []);
+});
+
+test('creates a debug level with unset categories at NONE', async () => {
+  const res = await server.request('/api/debug-levels', { method: 'POST', body: { org: 'dev', developerName: 'Verbose2', levels: { ApexCode: 'finest', Database: 'info' } } });
+  assert.strictEqual(res.status, 200);
+  const values = valuesOf(dataCalls()[0]);
+  assert.strictEqual(values.DeveloperName, 'Verbose2');
+  assert.strictEqual(values.ApexCode, 'FINEST');
+  assert.strictEqual(values.Database, 'INFO');
+  assert.strictEqual(values.Workflow, 'NONE');
+});
@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor } = require('./helpers');
+
+// Ten transactions of about 2 KB each, printed by the stub tail
+const PADDING = 'x'.repeat(2000);
+const TAIL_LOG = Array.from({ length: 10 }, (_, i) => [
+  '59.0 APEX_CODE,FINEST',
+  `12:00:0${i}.000 (100)|EXECUTION_STARTED`,
+  `12:00:0${i}.001 (200)|CODE_UNIT_STARTED|[EXTERNAL]|execute_anonymous_apex`,
+  `12:00:0${i}.002 (300)|USER_DEBUG|[1]|DEBUG|run ${i} ${PADDING}`,
+  `12:00:0${i}.003 (400)|CODE_UNIT_FINISHED|execute_anonymous_apex`,
+  `12:00:0${i}.004 (500)|EXECUTION_FINISHED`,
+].join('\n')).join('\n') + '\n';
+
+const SF = `#!/bin/sh
+case "$1 $2" in
+  "org list") echo '{"status":0,"result":{"nonScratchOrgs":[{"alias":"dev","username":"dev@example.com","connectedStatus":"Connected"}]}}';;
+  "apex tail") cat tail.log; exec sleep 30;;
+  *) echo '{"status":0,"result":{}}';;
+esac
+`;
+
+let server;
+before(async () => { server = await startServer({ sf: SF, files: { 'tail.log': TAIL_LOG }, env: { MAX_TRANSACTION_BYTES: '7000' } }); });
+after(async () => {
+  await server.request('/api/stop?session=dev', { method: 'POST' });
+  await server.stop();
+});
+
+test('the transaction store drops the oldest transactions beyond MAX_TRANSACTION_BYTES of raw text', async () => {
+  await server.request('/api/start', { method: 'POST', body: { org: 'dev' } });
+  const { transactions } = await waitFor(async () => {
+    const r = (await server.request('/api/transactions?session=dev')).json;
+    return r.transactions.some((tx) => tx.id === 10) ? r : null;
+  });
+  assert.deepStrictEqual(transactions.map((tx) => tx.id), [8, 9, 10]);
+  const oldest = await server.request('/api/transactions/7?session=dev');
+  assert.strictEqual(oldest.status, 404);
+  const newest = await server.request('/api/transactions/10?session=dev');
+  assert.match(newest.json.raw, /run 9/);
+});
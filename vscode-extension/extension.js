@@ -1,11 +1,26 @@
 const vscode = require('vscode');
 const path = require('path');
-const { spawn } = require('child_process');
+const { spawn, execFile } = require('child_process');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 
 const PORT = 3456;
+const HOST = '127.0.0.1'; // The server listens on loopback only
+const TOKEN = crypto.randomBytes(24).toString('base64url'); // Passed to the server we start; every request sends it
+const AUTH_HEADERS = { Authorization: `Bearer ${TOKEN}` };
 let serverProcess = null;
+let serverStarting = null; // Promise while the server is starting, so concurrent commands wait for the same start
 let panel = null;
+let diagnostics = null;
+let statusItem = null;
+let statusTimer = null;
+let lastAnalysisAt = null; // analyzedAt of the analysis the diagnostics were built from
+let lastAlertId = 0; // Last alert from GET /api/alerts already shown
+const streams = new Map(); // webview stream id -> http.ClientRequest
+const STATUS_POLL_MS = 3000;
+const SEVERITIES = { error: 'Error', warning: 'Warning', info: 'Information' };
+const SOURCE_TYPES = { class: { metadata: 'ApexClass', ext: '.cls' }, trigger: { metadata: 'ApexTrigger', ext: '.trigger' } };
 
 function findProjectDir() {
   const folders = vscode.workspace.workspaceFolders;
@@ -17,18 +32,106 @@ function findProjectDir() {
   return null;
 }
 
+/** Absolute package directories from sfdx-project.json; force-app when none are listed */
+function packageDirectories(projectDir) {
+  try {
+    const project = JSON.parse(fs.readFileSync(path.join(projectDir, 'sfdx-project.json'), 'utf8'));
+    const dirs = (project.packageDirectories || []).map((d) => d?.path).filter(Boolean);
+    if (dirs.length) return dirs.map((d) => path.resolve(projectDir, d));
+  } catch (_) {}
+  return [path.join(projectDir, 'force-app')];
+}
+
+/** First file named like one of `fileNames` under `dirs`; case-insensitive, as Apex names are */
+function findSourceFile(dirs, fileNames) {
+  const wanted = new Set(fileNames.map((n) => n.toLowerCase()));
+  const queue = [...dirs];
+  while (queue.length) {
+    const dir = queue.shift();
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (_) { continue; }
+    for (const entry of entries) {
+      if (entry.isFile() && wanted.has(entry.name.toLowerCase())) return path.join(dir, entry.name);
+      if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') queue.push(path.join(dir, entry.name));
+    }
+  }
+  return null;
+}
+
+/** `sf project retrieve start` for the class and/or trigger into the project's default package directory */
+function retrieveSource(projectDir, types, name, org) {
+  const args = ['project', 'retrieve', 'start', ...types.flatMap((t) => ['--metadata', `${t.metadata}:${name}`]), ...(org ? ['--target-org', org] : [])];
+  // The monitor's sf helper starts sf without a shell (the Node script behind sf.cmd on Windows)
+  const { getSfEnv, sfInvocation } = require(path.join(path.dirname(getServerPath()), 'lib', 'sf.js'));
+  return new Promise((resolve, reject) => {
+    const env = getSfEnv();
+    let command;
+    let commandArgs;
+    try { [command, commandArgs] = sfInvocation(args, env); } catch (e) { return reject(e); }
+    execFile(command, commandArgs, { cwd: projectDir, env, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) reject(new Error(stderr.trim() || err.message));
+      else resolve();
+    });
+  });
+}
+
+/**
+ * Open the .cls/.trigger a webview source link points at, beside the monitor, at its line.
+ * kind is class, trigger or any; when the file is not in the project, offer to retrieve it from the org.
+ */
+async function openApexSource({ kind, name, line, org }) {
+  const projectDir = findProjectDir();
+  if (!projectDir || !/^[A-Za-z_]\w*$/.test(name || '')) return;
+  const types = SOURCE_TYPES[kind] ? [SOURCE_TYPES[kind]] : Object.values(SOURCE_TYPES);
+  const fileNames = types.map((t) => name + t.ext);
+  const dirs = packageDirectories(projectDir);
+  let file = findSourceFile(dirs, fileNames);
+  if (!file) {
+    const targetOrg = /^[\w.@-]+$/.test(org || '') ? org : null;
+    const choice = await vscode.window.showWarningMessage(
+      `${fileNames.join(' / ')} is not in the local project.`,
+      `Retrieve from ${targetOrg || 'default org'}`
+    );
+    if (!choice) return;
+    try {
+      await vscode.window.withProgress(
+        { location: vscode.ProgressLocation.Notification, title: `Retrieving ${name}…` },
+        () => retrieveSource(projectDir, types, name, targetOrg)
+      );
+    } catch (e) {
+      vscode.window.showErrorMessage(`Retrieve failed: ${e.message}`);
+      return;
+    }
+    file = findSourceFile(dirs, fileNames);
+    if (!file) {
+      vscode.window.showWarningMessage(`${name} was not found in ${targetOrg || 'the default org'}.`);
+      return;
+    }
+  }
+  const position = new vscode.Position(Math.max(0, (Number(line) || 1) - 1), 0);
+  await vscode.window.showTextDocument(vscode.Uri.file(file), {
+    viewColumn: vscode.ViewColumn.Beside,
+    selection: new vscode.Range(position, position),
+  });
+}
+
 function getServerPath() {
   const bundled = path.join(__dirname, 'apex-log-monitor', 'server.js');
   if (fs.existsSync(bundled)) return bundled;
   return path.join(__dirname, '..', 'apex-log-monitor', 'server.js');
 }
 
+/** Resolve once our server answers; a server on the port that rejects our token is someone else's */
 function waitForServer(attempts = 30) {
   return new Promise((resolve, reject) => {
     const http = require('http');
     let n = 0;
     const tryConnect = () => {
-      const req = http.get(`http://localhost:${PORT}/`, () => resolve());
+      const req = http.get({ hostname: HOST, port: PORT, path: '/api/sessions', headers: AUTH_HEADERS }, (res) => {
+        res.resume();
+        if (res.statusCode === 200) resolve();
+        else reject(new Error(`Port ${PORT} is in use by another Apex Log Monitor (HTTP ${res.statusCode})`));
+      });
       req.on('error', () => {
         if (++n >= attempts) reject(new Error('Server failed to start'));
         else setTimeout(tryConnect, 300);
@@ -57,123 +160,518 @@ function getWebviewContent() {
         if (e.data?.type === 'debugfast-api-response' && e.data.id === id) {
           window.removeEventListener('message', handler);
           if (e.data.error) reject(new Error(e.data.error));
-          else resolve({ ok: e.data.ok, json: () => Promise.resolve(e.data.body), status: e.data.status });
+          else resolve({ ok: e.data.ok, json: () => Promise.resolve(e.data.body), text: () => Promise.resolve(e.data.text ?? JSON.stringify(e.data.body)), status: e.data.status });
         }
       };
       window.addEventListener('message', handler);
       vscode.postMessage({ type: 'debugfast-api', id, url, method: (opts && opts.method) || 'GET', body: opts && opts.body });
     });
   };
+  // EventSource stand-in: the extension holds the SSE connection and relays events; reconnects resume from lastEventId
+  const _EventSource = window.EventSource;
+  window.EventSource = function(url) {
+    if (typeof url !== 'string' || (!url.startsWith('http://localhost:') && !url.startsWith('http://127.0.0.1:'))) return new _EventSource(url);
+    const id = 'stream_' + Date.now() + '_' + Math.random().toString(36).slice(2);
+    const listeners = {};
+    let lastEventId = '';
+    let closed = false;
+    const source = {
+      url, readyState: 0, onopen: null, onmessage: null, onerror: null,
+      addEventListener(type, fn) { (listeners[type] = listeners[type] || []).push(fn); },
+      removeEventListener(type, fn) { listeners[type] = (listeners[type] || []).filter((f) => f !== fn); },
+      close() {
+        closed = true;
+        source.readyState = 2;
+        window.removeEventListener('message', handler);
+        vscode.postMessage({ type: 'debugfast-stream-close', id });
+      },
+    };
+    const dispatch = (type, ev) => {
+      if (typeof source['on' + type] === 'function') source['on' + type](ev);
+      (listeners[type] || []).forEach((fn) => fn.call(source, ev));
+    };
+    const handler = (e) => {
+      const m = e.data;
+      if (!m || m.id !== id || closed) return;
+      if (m.type === 'debugfast-stream-open') {
+        source.readyState = 1;
+        dispatch('open', { type: 'open' });
+      } else if (m.type === 'debugfast-stream-event') {
+        if (m.lastEventId) lastEventId = m.lastEventId;
+        dispatch(m.event || 'message', { type: m.event || 'message', data: m.data, lastEventId });
+      } else if (m.type === 'debugfast-stream-error') {
+        source.readyState = 0;
+        dispatch('error', { type: 'error', message: m.error });
+        setTimeout(() => { if (!closed) vscode.postMessage({ type: 'debugfast-stream', id, url, lastEventId }); }, 1000);
+      }
+    };
+    window.addEventListener('message', handler);
+    vscode.postMessage({ type: 'debugfast-stream', id, url, lastEventId });
+    return source;
+  };
+  window.debugfastOpenSource = (ref) => vscode.postMessage({ type: 'debugfast-open-source', ...ref });
+  window.debugfastSaveFile = (name, content) => vscode.postMessage({ type: 'debugfast-save-file', name, content });
 })();
 <\/script>`;
   html = html.replace(/<head>/i, `<head><meta http-equiv="Content-Security-Policy" content="${csp}">${proxyScript}`);
   html = html.replace(/fetch\(path,/g, `fetch('${apiBase}' + path,`);
+  html = html.replace(/new EventSource\(path\)/g, `new EventSource('${apiBase}' + path)`);
   return html;
 }
 
-function activate(context) {
-  context.subscriptions.push(
-    vscode.commands.registerCommand('debugfast.launchLogAnalysis', async () => {
-      const projectDir = findProjectDir();
-      if (!projectDir) {
-        vscode.window.showErrorMessage('No Salesforce project found. Open a workspace with sfdx-project.json.');
-        return;
-      }
+/** Forward a webview fetch() to the monitor server and post the JSON response back */
+function proxyApiRequest(msg) {
+  const http = require('http');
+  const url = new URL(msg.url);
+  // Only the path comes from the webview: the token is never sent anywhere but our server
+  const opts = {
+    hostname: HOST,
+    port: PORT,
+    path: url.pathname + url.search,
+    method: msg.method || 'GET',
+    headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+  };
+  const req = http.request(opts, (res) => {
+    let body = '';
+    res.on('data', (c) => { body += c; });
+    res.on('end', () => {
+      const isJson = /json/.test(res.headers['content-type'] || '');
+      let parsed = {};
+      if (isJson) try { parsed = JSON.parse(body || '{}'); } catch (_) {}
+      panel?.webview.postMessage({
+        type: 'debugfast-api-response',
+        id: msg.id,
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        body: parsed,
+        ...(isJson ? {} : { text: body }), // Exports (HTML, Markdown) are read with text()
+      });
+    });
+  });
+  req.on('error', (err) => {
+    panel?.webview.postMessage({ type: 'debugfast-api-response', id: msg.id, error: err.message });
+  });
+  if (msg.body) req.write(msg.body);
+  req.end();
+}
 
-      const serverPath = getServerPath();
-      if (!fs.existsSync(serverPath)) {
-        vscode.window.showErrorMessage(`Apex Log Monitor not found at ${serverPath}`);
-        return;
+/** Hold a Server-Sent Events connection for the webview and relay each event as a message */
+function proxyStream(msg) {
+  const http = require('http');
+  closeStream(msg.id);
+  const url = new URL(msg.url);
+  const post = (m) => panel?.webview.postMessage({ id: msg.id, ...m });
+  const req = http.get({
+    hostname: HOST,
+    port: PORT,
+    path: url.pathname + url.search,
+    headers: { Accept: 'text/event-stream', ...AUTH_HEADERS, ...(msg.lastEventId ? { 'Last-Event-ID': msg.lastEventId } : {}) },
+  }, (res) => {
+    if (res.statusCode !== 200) {
+      res.resume();
+      if (streams.get(msg.id) !== req) return;
+      streams.delete(msg.id);
+      post({ type: 'debugfast-stream-error', error: `HTTP ${res.statusCode}` });
+      return;
+    }
+    post({ type: 'debugfast-stream-open' });
+    res.setEncoding('utf8');
+    let buf = '';
+    res.on('data', (c) => {
+      buf += c;
+      let idx;
+      while ((idx = buf.indexOf('\n\n')) !== -1) {
+        const block = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        let event = 'message';
+        let id = '';
+        const data = [];
+        for (const line of block.split('\n')) {
+          if (line.startsWith(':')) continue;
+          const sep = line.indexOf(':');
+          const field = sep === -1 ? line : line.slice(0, sep);
+          const value = sep === -1 ? '' : line.slice(sep + 1).replace(/^ /, '');
+          if (field === 'event') event = value;
+          else if (field === 'id') id = value;
+          else if (field === 'data') data.push(value);
+        }
+        if (data.length) post({ type: 'debugfast-stream-event', event, data: data.join('\n'), lastEventId: id });
       }
+    });
+    res.on('end', () => {
+      if (streams.get(msg.id) !== req) return;
+      streams.delete(msg.id);
+      post({ type: 'debugfast-stream-error', error: 'Stream ended' });
+    });
+  });
+  req.on('error', (err) => {
+    if (streams.get(msg.id) !== req) return;
+    streams.delete(msg.id);
+    post({ type: 'debugfast-stream-error', error: err.message });
+  });
+  streams.set(msg.id, req);
+}
 
-      if (serverProcess) {
-        if (panel) panel.reveal();
-        return;
-      }
+function closeStream(id) {
+  const req = streams.get(id);
+  if (!req) return;
+  streams.delete(id);
+  req.destroy();
+}
 
-      serverProcess = spawn('node', [serverPath], {
-        cwd: projectDir,
-        env: { ...process.env, SF_PROJECT_DIR: projectDir },
-        stdio: ['ignore', 'pipe', 'pipe'],
-      });
+function closeAllStreams() {
+  for (const id of [...streams.keys()]) closeStream(id);
+}
 
-      let stderr = '';
-      serverProcess.stderr?.on('data', (c) => { stderr += c.toString(); });
-      serverProcess.on('error', (err) => {
-        serverProcess = null;
-        vscode.window.showErrorMessage(`Failed to start: ${err.message}`);
-      });
-      serverProcess.on('exit', (code) => {
-        serverProcess = null;
+/** JSON request to the monitor server from the extension itself (commands, status bar, diagnostics) */
+function apiRequest(method, urlPath, body) {
+  const http = require('http');
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: HOST,
+      port: PORT,
+      path: urlPath,
+      method,
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+    }, (res) => {
+      let data = '';
+      res.on('data', (c) => { data += c; });
+      res.on('end', () => {
+        let parsed = {};
+        try { parsed = JSON.parse(data || '{}'); } catch (_) {}
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve(parsed);
+        else reject(new Error(parsed.error || `HTTP ${res.statusCode}`));
       });
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
 
-      try {
-        await vscode.window.withProgress(
-          { location: vscode.ProgressLocation.Notification, title: 'Starting Apex Log Monitor…' },
-          () => waitForServer()
-        );
-      } catch (e) {
-        serverProcess?.kill();
-        serverProcess = null;
-        vscode.window.showErrorMessage(`Server failed to start: ${e.message}`);
-        return;
-      }
+/** Start the monitor server for the workspace's Salesforce project unless it is already running; resolves with the project dir or null */
+function ensureServer() {
+  const projectDir = findProjectDir();
+  if (!projectDir) {
+    vscode.window.showErrorMessage('No Salesforce project found. Open a workspace with sfdx-project.json.');
+    return Promise.resolve(null);
+  }
+  if (serverProcess && !serverStarting) return Promise.resolve(projectDir);
+  if (serverStarting) return serverStarting;
 
-      panel = vscode.window.createWebviewPanel('debugfast', 'Debugfast: Apex Log Analysis', vscode.ViewColumn.One, {
-        enableScripts: true,
-        retainContextWhenHidden: true,
-      });
-      panel.webview.html = getWebviewContent();
-
-      panel.webview.onDidReceiveMessage((msg) => {
-        if (msg.type !== 'debugfast-api' || !panel) return;
-        const http = require('http');
-        const url = new URL(msg.url);
-        const opts = {
-          hostname: url.hostname,
-          port: url.port || 3456,
-          path: url.pathname + url.search,
-          method: msg.method || 'GET',
-          headers: { 'Content-Type': 'application/json' },
-        };
-        const req = http.request(opts, (res) => {
-          let body = '';
-          res.on('data', (c) => { body += c; });
-          res.on('end', () => {
-            let parsed = {};
-            try { parsed = JSON.parse(body || '{}'); } catch (_) {}
-            panel?.webview.postMessage({
-              type: 'debugfast-api-response',
-              id: msg.id,
-              ok: res.statusCode >= 200 && res.statusCode < 300,
-              status: res.statusCode,
-              body: parsed,
-            });
-          });
-        });
-        req.on('error', (err) => {
-          panel?.webview.postMessage({ type: 'debugfast-api-response', id: msg.id, error: err.message });
-        });
-        if (msg.body) req.write(msg.body);
-        req.end();
-      });
+  const serverPath = getServerPath();
+  if (!fs.existsSync(serverPath)) {
+    vscode.window.showErrorMessage(`Apex Log Monitor not found at ${serverPath}`);
+    return Promise.resolve(null);
+  }
 
-      panel.onDidDispose(() => {
-        panel = null;
-        if (serverProcess) {
-          serverProcess.kill();
-          serverProcess = null;
-        }
-      });
-    })
-  );
+  serverProcess = spawn('node', [serverPath], {
+    cwd: projectDir,
+    env: { ...process.env, SF_PROJECT_DIR: projectDir, PORT: String(PORT), MONITOR_HOST: HOST, MONITOR_TOKEN: TOKEN },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let stderr = '';
+  serverProcess.stderr?.on('data', (c) => { stderr += c.toString(); });
+  serverProcess.on('error', (err) => {
+    serverProcess = null;
+    vscode.window.showErrorMessage(`Failed to start: ${err.message}`);
+  });
+  serverProcess.on('exit', () => {
+    serverProcess = null;
+    stopStatusPolling();
+  });
+
+  serverStarting = vscode.window.withProgress(
+    { location: vscode.ProgressLocation.Notification, title: 'Starting Apex Log Monitor…' },
+    () => waitForServer()
+  ).then(() => {
+    serverStarting = null;
+    startStatusPolling();
+    return projectDir;
+  }, (e) => {
+    serverStarting = null;
+    serverProcess?.kill();
+    serverProcess = null;
+    vscode.window.showErrorMessage(`Server failed to start: ${e.message}`);
+    return null;
+  });
+  return serverStarting;
 }
 
-function deactivate() {
+function stopServer() {
+  stopStatusPolling();
   if (serverProcess) {
     serverProcess.kill();
     serverProcess = null;
   }
 }
 
+function openPanel() {
+  if (panel) {
+    panel.reveal();
+    return;
+  }
+  panel = vscode.window.createWebviewPanel('debugfast', 'Debugfast: Apex Log Analysis', vscode.ViewColumn.One, {
+    enableScripts: true,
+    retainContextWhenHidden: true,
+  });
+  panel.webview.html = getWebviewContent();
+
+  panel.webview.onDidReceiveMessage((msg) => {
+    if (!panel) return;
+    if (msg.type === 'debugfast-api') proxyApiRequest(msg);
+    else if (msg.type === 'debugfast-stream') proxyStream(msg);
+    else if (msg.type === 'debugfast-stream-close') closeStream(msg.id);
+    else if (msg.type === 'debugfast-open-source') {
+      openApexSource(msg).catch((e) => vscode.window.showErrorMessage(`Could not open ${msg.name}: ${e.message}`));
+    } else if (msg.type === 'debugfast-save-file') {
+      saveExport(msg).catch((e) => vscode.window.showErrorMessage(`Could not save ${msg.name}: ${e.message}`));
+    }
+  });
+
+  // The server outlives the panel: audits started from the command palette keep running and feed the status bar
+  panel.onDidDispose(() => {
+    panel = null;
+    closeAllStreams();
+  });
+}
+
+/** Save a file the webview exported (e.g. an analysis report) where the user picks; webviews cannot download */
+async function saveExport({ name, content }) {
+  const fileName = path.basename(String(name || 'export.txt'));
+  const uri = await vscode.window.showSaveDialog({ defaultUri: vscode.Uri.file(path.join(findProjectDir() || os.homedir(), fileName)) });
+  if (!uri) return;
+  await fs.promises.writeFile(uri.fsPath, String(content ?? ''));
+  vscode.window.showInformationMessage(`Saved ${path.basename(uri.fsPath)}`);
+}
+
+/** Candidate source locations of a finding, innermost first: model class/line, loop caller/line, then stack frames */
+function findingFrames(error) {
+  const frames = [];
+  if (error.className) frames.push({ name: String(error.className).split('.')[0], line: error.lineNumber });
+  else if (/^\w+\./.test(error.method || '') && error.lineNumber != null) frames.push({ name: error.method.split('.')[0], line: error.lineNumber });
+  for (const f of error.frames || []) {
+    const m = /^([A-Za-z_]\w*)[^:]*:(\d+)$/.exec(f);
+    if (m) frames.push({ name: m[1], line: Number(m[2]) });
+  }
+  return frames.filter((f) => /^[A-Za-z_]\w*$/.test(f.name) && Number(f.line) > 0);
+}
+
+/**
+ * Replace the Problems-panel entries with the findings of one analysis. Each finding is placed on the first
+ * of its frames whose class or trigger is in the local project; the outer frames become related locations.
+ */
+function publishDiagnostics(analysis) {
+  diagnostics.clear();
+  const projectDir = findProjectDir();
+  if (!projectDir) return 0;
+  const dirs = packageDirectories(projectDir);
+  const files = new Map(); // class/trigger name -> file path or null
+  const lines = new Map(); // file path -> source lines
+  const resolve = (frame) => {
+    const key = frame.name.toLowerCase();
+    if (!files.has(key)) files.set(key, findSourceFile(dirs, [`${frame.name}.cls`, `${frame.name}.trigger`]));
+    const file = files.get(key);
+    if (!file) return null;
+    if (!lines.has(file)) {
+      try { lines.set(file, fs.readFileSync(file, 'utf8').split('\n')); } catch (_) { lines.set(file, []); }
+    }
+    const text = lines.get(file)[frame.line - 1] || '';
+    const start = text.length - text.trimStart().length;
+    return new vscode.Location(vscode.Uri.file(file), new vscode.Range(frame.line - 1, start, frame.line - 1, Math.max(start + 1, text.trimEnd().length)));
+  };
+
+  const occurrences = new Map((analysis.issues || []).map((i) => [i.fingerprint, i.occurrences]));
+  const byFile = new Map();
+  const seen = new Set();
+  for (const e of analysis.errors || []) {
+    const located = findingFrames(e).map((f) => ({ frame: f, location: resolve(f) })).filter((f) => f.location);
+    if (!located.length) continue;
+    const [{ location }, ...outer] = located;
+    const key = `${e.fingerprint}|${location.uri.fsPath}|${location.range.start.line}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const count = occurrences.get(e.fingerprint);
+    const text = String(e.rootCause || e.message || e.line || '').split('\n')[0].slice(0, 300);
+    const d = new vscode.Diagnostic(
+      location.range,
+      `${e.exceptionType || e.type}: ${text}${count > 1 ? ` (×${count})` : ''}`,
+      vscode.DiagnosticSeverity[SEVERITIES[e.severity] || 'Warning']
+    );
+    d.source = 'Debugfast';
+    d.code = e.type;
+    if (outer.length) d.relatedInformation = outer.map((o) => new vscode.DiagnosticRelatedInformation(o.location, `called from ${o.frame.name} line ${o.frame.line}`));
+    const list = byFile.get(location.uri.fsPath) || [];
+    list.push(d);
+    byFile.set(location.uri.fsPath, list);
+  }
+  for (const [file, list] of byFile) diagnostics.set(vscode.Uri.file(file), list);
+  return seen.size;
+}
+
+/** Rebuild diagnostics from the server's latest analysis, whoever ran it (webview, browser or command) */
+async function refreshDiagnostics() {
+  const analysis = await apiRequest('GET', '/api/analysis/latest');
+  lastAnalysisAt = analysis.analyzedAt;
+  return publishDiagnostics(analysis);
+}
+
+/** Status bar: whether any session is tailing and the error count across sessions; picks up new analyses */
+async function updateStatus() {
+  if (!serverProcess || serverStarting) {
+    statusItem.text = '$(debug-disconnect) Debugfast';
+    statusItem.tooltip = 'Apex Log Monitor is not running. Click to launch.';
+    return;
+  }
+  try {
+    const { sessions = [], lastAnalysisAt: analyzedAt } = await apiRequest('GET', '/api/sessions');
+    const running = sessions.filter((s) => s.running);
+    const errorCount = sessions.reduce((n, s) => n + (s.errorCount || 0), 0);
+    statusItem.text = `${running.length ? '$(pulse)' : '$(debug-pause)'} Debugfast${running.length ? `: ${running.map((s) => s.org || 'default org').join(', ')}` : ': stopped'}` +
+      (errorCount ? ` $(error) ${errorCount}` : '');
+    statusItem.tooltip = running.length
+      ? `Tailing ${running.length} org(s) · ${errorCount} error(s) in this session's transactions. Click to open the monitor.`
+      : 'No audit running. Click to open the monitor.';
+    if (analyzedAt && analyzedAt !== lastAnalysisAt) await refreshDiagnostics();
+    await showAlerts();
+  } catch (_) {
+    statusItem.text = '$(warning) Debugfast';
+    statusItem.tooltip = 'Apex Log Monitor is not responding.';
+  }
+}
+
+/** Notifications for alert rule hits (.debugfast-alerts.json) that list the vscode notifier */
+async function showAlerts() {
+  const { alerts = [], lastId = lastAlertId } = await apiRequest('GET', `/api/alerts?since=${lastAlertId}`);
+  lastAlertId = lastId;
+  for (const a of alerts.filter((x) => x.notify?.includes('vscode'))) {
+    const text = `Debugfast alert ${a.rule}${a.org ? ` (${a.org})` : ''}: ${a.line}${a.suppressed ? ` (+${a.suppressed} suppressed)` : ''}`;
+    const show = a.severity === 'error' ? vscode.window.showErrorMessage : a.severity === 'info' ? vscode.window.showInformationMessage : vscode.window.showWarningMessage;
+    show(text, 'Open Monitor').then((choice) => { if (choice) openPanel(); });
+  }
+}
+
+function startStatusPolling() {
+  lastAlertId = 0;
+  stopStatusPolling();
+  updateStatus();
+  statusTimer = setInterval(updateStatus, STATUS_POLL_MS);
+}
+
+function stopStatusPolling() {
+  if (statusTimer) clearInterval(statusTimer);
+  statusTimer = null;
+  if (statusItem) updateStatus();
+}
+
+/** Org QuickPick entry ({ org } with undefined for the project default org), or undefined when dismissed */
+async function pickOrg(placeHolder) {
+  const { orgs = [], error } = await apiRequest('GET', '/api/orgs');
+  return vscode.window.showQuickPick(
+    [{ label: '$(star) Default org', org: undefined }, ...orgs.map((o) => ({ label: o.alias, description: o.alias !== o.username ? o.username : '', org: o.alias }))],
+    { placeHolder: error ? `Could not list orgs (${error}); pick the default org` : placeHolder }
+  );
+}
+
+async function startAuditCommand() {
+  if (!(await ensureServer())) return;
+  const picked = await pickOrg('Org to tail');
+  if (!picked) return;
+  const r = await apiRequest('POST', '/api/start', { org: picked.org });
+  if (r.ok === false) {
+    vscode.window.showErrorMessage(`Start audit failed: ${r.error}`);
+    return;
+  }
+  vscode.window.showInformationMessage(`Audit running: ${r.org} (${r.debugLevel})`);
+  updateStatus();
+}
+
+async function stopAuditCommand() {
+  if (!serverProcess) {
+    vscode.window.showInformationMessage('No audit is running.');
+    return;
+  }
+  const { sessions = [] } = await apiRequest('GET', '/api/sessions');
+  const running = sessions.filter((s) => s.running);
+  if (!running.length) {
+    vscode.window.showInformationMessage('No audit is running.');
+    return;
+  }
+  const picked = running.length === 1 ? running[0] : (await vscode.window.showQuickPick(
+    running.map((s) => ({ label: s.org || 'default org', description: s.debugLevel || '', session: s })),
+    { placeHolder: 'Audit to stop' }
+  ))?.session;
+  if (!picked) return;
+  await apiRequest('POST', `/api/sessions/${encodeURIComponent(picked.session)}/stop`);
+  vscode.window.showInformationMessage(`Audit stopped: ${picked.org || 'default org'}`);
+  updateStatus();
+}
+
+async function analyzeLogsCommand() {
+  if (!(await ensureServer())) return;
+  const result = await vscode.window.withProgress(
+    { location: vscode.ProgressLocation.Notification, title: 'Analyzing Apex logs…' },
+    () => apiRequest('POST', '/api/analyze', {})
+  );
+  const placed = await refreshDiagnostics();
+  const issues = result.issues?.length || 0;
+  const summary = result.source === 'none'
+    ? result.report
+    : `${issues} issue(s) from ${result.sourceLabel || result.source}; ${placed} shown in the Problems panel.`;
+  const choice = await vscode.window.showInformationMessage(summary, 'Show Problems', 'Open Report');
+  if (choice === 'Show Problems') vscode.commands.executeCommand('workbench.actions.view.problems');
+  else if (choice === 'Open Report') openPanel();
+}
+
+/** Pick test classes (the open one preselected) and an org, start the run and open the panel to follow it */
+async function runTestsCommand() {
+  if (!(await ensureServer())) return;
+  const { classes = [] } = await apiRequest('GET', '/api/tests/classes');
+  if (!classes.length) {
+    vscode.window.showInformationMessage('No @isTest classes found in the project package directories.');
+    return;
+  }
+  const openFile = vscode.window.activeTextEditor?.document.fileName || '';
+  const current = path.basename(openFile, '.cls');
+  const picked = await vscode.window.showQuickPick(
+    classes.map((name) => ({ label: name, picked: openFile.endsWith('.cls') && name === current })),
+    { canPickMany: true, placeHolder: 'Test classes to run' }
+  );
+  if (!picked?.length) return;
+  const org = await pickOrg('Org to run the tests in');
+  if (!org) return;
+  await apiRequest('POST', '/api/tests/run', { org: org.org, classNames: picked.map((p) => p.label) });
+  openPanel();
+  updateStatus();
+}
+
+/** Run a command handler, reporting failures (server down, sf errors) as a notification */
+function command(handler) {
+  return () => handler().catch((e) => vscode.window.showErrorMessage(`Debugfast: ${e.message}`));
+}
+
+function activate(context) {
+  diagnostics = vscode.languages.createDiagnosticCollection('debugfast');
+  statusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 50);
+  statusItem.command = 'debugfast.launchLogAnalysis';
+  updateStatus();
+  statusItem.show();
+
+  context.subscriptions.push(
+    diagnostics,
+    statusItem,
+    vscode.commands.registerCommand('debugfast.launchLogAnalysis', command(async () => {
+      if (await ensureServer()) openPanel();
+    })),
+    vscode.commands.registerCommand('debugfast.startAudit', command(startAuditCommand)),
+    vscode.commands.registerCommand('debugfast.stopAudit', command(stopAuditCommand)),
+    vscode.commands.registerCommand('debugfast.analyzeLogs', command(analyzeLogsCommand)),
+    vscode.commands.registerCommand('debugfast.runTests', command(runTestsCommand))
+  );
+}
+
+function deactivate() {
+  stopServer();
+}
+
 module.exports = { activate, deactivate };